@@ -0,0 +1,311 @@
+import express from 'express';
+import passport from 'passport';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as OutlookStrategy } from 'passport-outlook';
+import { Strategy as SlackStrategy } from 'passport-slack-oauth2';
+import MagicLogin from 'passport-magic-login';
+import storage from '../storage/index.js';
+import HandledError from '../util/handledError.js';
+import Helpers from '../util/helpers.js';
+import mailer from '../util/mailer.js';
+import logger from '../util/logger.js';
+
+// The package is compiled to CommonJS with the strategy class on its default export
+const MagicLoginStrategy = MagicLogin.default || MagicLogin;
+
+// OAuth providers available for login - each is only registered when its client credentials are configured
+const OAUTH_PROVIDERS = [
+  { name: 'google', Strategy: GoogleStrategy, envPrefix: 'GOOGLE', scope: ['profile', 'email'] },
+  { name: 'outlook', Strategy: OutlookStrategy, envPrefix: 'OUTLOOK', scope: ['openid', 'profile', 'email', 'https://outlook.office.com/User.Read'] },
+  { name: 'slack', Strategy: SlackStrategy, envPrefix: 'SLACK', scope: ['identity.basic', 'identity.email'] },
+];
+
+/**
+ * Auth object for passport strategy registration and the login/logout routes
+ */
+const Auth = {
+  passport,
+  router: express.Router(),
+  providers: [],
+  magicLogin: null,
+};
+
+/**
+ * Find the user for the email provided, creating them if they do not exist yet
+ * @param {Object} params - Parameters of the authenticated user
+ * @param {String} params.email - Email of the user
+ * @param {String} params.firstName - First name of the user, used on creation
+ * @param {String} params.lastName - Last name of the user, used on creation
+ *
+ * @returns {User} user - Existing or newly created user object
+ */
+Auth.findOrCreateUser = async ({ email, firstName, lastName } = {}) => {
+  try {
+    if (!email) { throw new HandledError('Email is required from the authentication provider', 400); }
+    const existingUser = await storage.model('User').findUser({ email });
+    if (existingUser) { return existingUser; }
+
+    const user = await storage.model('User').create({ email, firstName: firstName || '', lastName: lastName || '' });
+    return user;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding or creating authenticated user: ${err.message}`, { email });
+      throw err;
+    }
+    logger.error('Error finding or creating authenticated user', err, { email });
+    throw new HandledError('Error finding or creating authenticated user', 500);
+  }
+};
+
+/**
+ * Register the OAuth strategies for each provider with credentials set in the environment,
+ * and the magic link strategy when a secret is set to sign its tokens
+ *
+ * @returns {Array<String>} - Names of the providers registered
+ */
+Auth.loadStrategies = () => {
+  const callbackBaseUrl = process.env.AUTH_CALLBACK_BASE_URL || '';
+
+  for (const provider of OAUTH_PROVIDERS) {
+    const clientID = process.env[`${provider.envPrefix}_CLIENT_ID`];
+    const clientSecret = process.env[`${provider.envPrefix}_CLIENT_SECRET`];
+    if (!clientID || !clientSecret) { continue; }
+
+    const options = { name: provider.name, clientID, clientSecret, callbackURL: `${callbackBaseUrl}/auth/${provider.name}/callback`, scope: provider.scope, state: true };
+    passport.use(provider.name, new provider.Strategy(options, async (accessToken, refreshToken, profile, done) => {
+      try {
+        const user = await Auth.findOrCreateUser(getProfileDetails(profile));
+        return done(null, user);
+      } catch (err) {
+        return done(err);
+      }
+    }));
+    if (!Auth.providers.includes(provider.name)) { Auth.providers.push(provider.name); }
+  }
+
+  // Magic link login is registered when a secret is configured to sign the tokens with
+  if (process.env.MAGIC_LINK_SECRET) {
+    Auth.magicLogin = new MagicLoginStrategy({
+      secret: process.env.MAGIC_LINK_SECRET,
+      callbackUrl: '/auth/magiclogin/callback',
+      jwtOptions: { expiresIn: process.env.MAGIC_LINK_EXPIRES_IN || '15m' },
+      sendMagicLink: async (destination, href, code) => {
+        await mailer.send({
+          to: destination,
+          subject: 'Your Mini One login link',
+          text: `Your login code is ${code}. Click this link to finish logging in: ${callbackBaseUrl}${href}`,
+        });
+      },
+      verify: async (payload, done) => {
+        try {
+          // Only existing users can log in with a magic link, there is no signup from an email alone
+          const user = await storage.model('User').findUser({ email: payload.destination });
+          return done(null, user || false);
+        } catch (err) {
+          return done(err);
+        }
+      },
+    });
+    passport.use(Auth.magicLogin);
+    if (!Auth.providers.includes(Auth.magicLogin.name)) { Auth.providers.push(Auth.magicLogin.name); }
+  }
+  return Auth.providers;
+};
+
+// Only the user id is kept in the session, the user is loaded again on each request
+passport.serializeUser((user, done) => {
+  done(null, user._id.toString());
+});
+
+passport.deserializeUser(async (userId, done) => {
+  try {
+    const user = await storage.model('User').findUser({ userId });
+    done(null, user || false);
+  } catch (err) {
+    done(err);
+  }
+});
+
+/**
+ * Middleware to require an authenticated user in the session before continuing to the route
+ */
+Auth.requireUser = (req, res, next) => {
+  if (!req.isAuthenticated?.() || !req.user) { return res.status(401).json({ error: 'Authentication required' }); }
+  return next();
+};
+
+/**
+ * Middleware to require either a user in the session, or a bearer api key granted the scope provided
+ * - Api keys issued to a user act as that user, api keys issued to a service have no user and can read every account, so they
+ *   are only granted read scopes
+ * @param {String} scope - Scope required of an api key for the route
+ */
+Auth.requireScope = (scope) => async (req, res, next) => {
+  const authorization = req.headers.authorization;
+  if (!authorization?.startsWith('Bearer ')) { return Auth.requireUser(req, res, next); }
+
+  try {
+    const apiKey = await storage.model('ApiKey').authenticate({ key: authorization.slice('Bearer '.length).trim() });
+    if (!apiKey) { return res.status(401).json({ error: 'Invalid api key' }); }
+    if (!apiKey.hasScope(scope)) { return res.status(403).json({ error: `Api key missing required scope: ${scope}` }); }
+
+    req.apiKey = apiKey;
+    if (apiKey._user) {
+      req.user = await storage.model('User').findUser({ userId: apiKey._user });
+      if (!req.user) { return res.status(401).json({ error: 'Invalid api key' }); }
+    }
+    return next();
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    logger.error('Error authenticating api key', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Middleware to require an admin user in the session before continuing to the route
+ */
+Auth.requireAdmin = (req, res, next) => {
+  if (!req.isAuthenticated?.() || !req.user) { return res.status(401).json({ error: 'Authentication required' }); }
+  if (!req.user.isAdmin()) { return res.status(403).json({ error: 'Admin role required' }); }
+  return next();
+};
+
+/**
+ * Middleware to let a client safely retry a request by sending an Idempotency-Key header, used after an auth middleware
+ * - The response to the first request with a key is stored, and replayed for retries with the same key and request
+ * - The same key with a different request is rejected, and server errors release the key so the request can be retried
+ * - A key still processing past its lock, such as after a crash or a timeout mid-request, is taken over by the next retry
+ */
+Auth.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (typeof key === 'undefined') { return next(); }
+
+  try {
+    const { idempotencyKey, replay } = await storage.model('IdempotencyKey').begin({
+      key,
+      caller: Auth.getIdentity(req),
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body
+    });
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(idempotencyKey.responseCode).json(idempotencyKey.responseBody);
+    }
+
+    // Store the response before sending it, so a retry once it is received is replayed instead of seen as still processing
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      const settled = res.statusCode >= 500 ? idempotencyKey.release() : idempotencyKey.complete({ responseCode: res.statusCode, responseBody: body });
+      // Failing to store the response is logged by the model, the response is still sent
+      settled.catch(() => {}).finally(() => json(body));
+      return res;
+    };
+    return next();
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    logger.error('Error handling idempotency key', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the identity of who is making the request, used as performedBy in audit logs
+ * @param {Request} req - Express request, after an auth middleware
+ *
+ * @returns {String} - User id, or the service name for a service api key
+ */
+Auth.getIdentity = (req) => {
+  if (req.user) { return req.user.id; }
+  if (req.apiKey?.service) { return `service:${req.apiKey.service}`; }
+  return 'unknown';
+};
+
+// ------------------------- ROUTES -------------------------
+
+/**
+ * Log out the authenticated user and end the session
+ */
+Auth.router.post('/logout', (req, res) => {
+  req.logout((err) => {
+    if (err) {
+      logger.error('Error logging out user', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    return res.status(200).json({ success: true });
+  });
+});
+
+/**
+ * Email a magic login link to the destination provided
+ */
+Auth.router.post('/magiclogin', (req, res) => {
+  if (!Auth.magicLogin) { return res.status(404).json({ error: 'Authentication provider not found' }); }
+  if (!Helpers.isValidEmail(req.body?.destination)) { return res.status(400).json({ error: 'Valid email required as destination' }); }
+
+  return Auth.magicLogin.send(req, res);
+});
+
+/**
+ * Redirect to the provider to start the login
+ */
+Auth.router.get('/:provider', (req, res, next) => {
+  const { provider } = req.params;
+  if (!Auth.providers.includes(provider)) { return res.status(404).json({ error: 'Authentication provider not found' }); }
+
+  return passport.authenticate(provider)(req, res, next);
+});
+
+/**
+ * Callback from the provider, or the magic link, to complete the login and start the session
+ */
+Auth.router.get('/:provider/callback', (req, res, next) => {
+  const { provider } = req.params;
+  if (!Auth.providers.includes(provider)) { return res.status(404).json({ error: 'Authentication provider not found' }); }
+
+  return passport.authenticate(provider, (err, user) => {
+    if (err) {
+      if (err.handled) {
+        return res.status(err.code).json({ error: err.message });
+      }
+      logger.error('Error authenticating user', err, { provider });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (!user) { return res.status(401).json({ error: 'Authentication failed' }); }
+
+    return req.login(user, (loginErr) => {
+      if (loginErr) {
+        logger.error('Error starting user session', loginErr, { provider });
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+      return res.status(200).json(user._filter());
+    });
+  })(req, res, next);
+});
+
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Method to pull the email and name from the differing provider profile formats
+ * @param {Object} profile - Profile returned by the OAuth provider
+ *
+ * @returns {Object} - Object with email, firstName, and lastName
+ */
+function getProfileDetails(profile = {}) {
+  const email = profile.emails?.[0]?.value || profile.user?.email;
+  const [firstName, ...lastNames] = (profile.displayName || profile.user?.name || '').split(' ');
+
+  return {
+    email,
+    firstName: profile.name?.givenName || firstName,
+    lastName: profile.name?.familyName || lastNames.join(' '),
+  };
+}
+
+export default Auth;
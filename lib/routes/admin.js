@@ -0,0 +1,202 @@
+import express from 'express';
+import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+import Helpers from '../util/helpers.js';
+import Money from '../util/money.js';
+
+const router = express.Router();
+
+/**
+ * Search users by partial email or name
+ */
+router.get('/users', auth.requireAdmin, async (req, res) => {
+  try {
+    const { search, limit } = req.query;
+    const users = await storage.model('User').searchUsers({ search, limit });
+    const filteredUsers = users.map(u => u._filter());
+    return res.status(200).json(filteredUsers);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get any debit card by id with its balances and audit log
+ */
+router.get('/debitcards/:debitCardId', auth.requireAdmin, async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(404).json({ error: 'Debit card not found' }); }
+
+    const balances = await debitCard.getBalances();
+    return res.status(200).json({ ...debitCard._filter(), balances: Money.fromCentsValues(balances) });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Force a debit card to be active or inactive with a reason
+ */
+router.put('/debitcards/:debitCardId', auth.requireAdmin, async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+    const { active, reason } = req.body;
+    if (typeof active !== 'boolean') { return res.status(400).json({ error: 'active required as boolean' }); }
+    if (typeof reason !== 'string' || !reason) { return res.status(400).json({ error: 'reason required as string' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(404).json({ error: 'Debit card not found' }); }
+
+    const performedBy = auth.getIdentity(req);
+    const updatedDebitCard = active ? await debitCard.setActive({ performedBy, reason }) : await debitCard.setInactive({ performedBy, reason });
+    return res.status(200).json(updatedDebitCard._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Manually complete or fail a stuck pending transaction with a reason
+ */
+router.put('/transactions/:transactionId', auth.requireAdmin, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
+    const { status, reason } = req.body;
+
+    const transactions = await storage.model('Transaction').findTransactions({ transactionId });
+    if (!transactions || transactions.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const result = await transactions[0].forceStatus({ status, reason, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(result._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get all disputes, optionally by status
+ */
+router.get('/disputes', auth.requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const disputes = await storage.model('Dispute').findDisputes({ status });
+    return res.status(200).json(disputes.map(d => d._filter()));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Move a dispute to its next status with an optional reason - issuing the provisional credit, reviewing, or resolving it as won or lost
+ */
+router.put('/disputes/:disputeId', auth.requireAdmin, async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const { status, reason } = req.body;
+
+    const [dispute] = await storage.model('Dispute').findDisputes({ disputeId });
+    if (!dispute) { return res.status(404).json({ error: 'Dispute not found' }); }
+    const result = await dispute.setStatus({ status, reason, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(result._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the trial balance of the journal in a currency, with the net income of the bank, optionally between dates
+ */
+router.get('/ledger/trialbalance', auth.requireAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, currency } = req.query;
+    const trialBalance = await storage.model('JournalEntry').getTrialBalance({ startDate, endDate, currency });
+    return res.status(200).json({
+      currency: trialBalance.currency,
+      accounts: Money.fromCentsValues(trialBalance.accounts),
+      balanced: trialBalance.balanced,
+      netIncome: Money.fromCents(trialBalance.netIncome)
+    });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the journal entry a transaction was posted to the ledger with
+ */
+router.get('/ledger/transactions/:transactionId', auth.requireAdmin, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    if (!Helpers.isValidObjectId(transactionId)) { return res.status(400).json({ error: 'valid transactionId required' }); }
+
+    const journalEntry = await storage.model('JournalEntry').findOne({ _transaction: transactionId });
+    if (!journalEntry) { return res.status(404).json({ error: 'Journal entry not found' }); }
+    return res.status(200).json(journalEntry._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the exchange rate of each currency
+ */
+router.get('/fxrates', auth.requireAdmin, async (req, res) => {
+  try {
+    const fxRates = await storage.model('FxRate').find({}).sort({ currency: 1 });
+    return res.status(200).json(fxRates.map(r => r._filter()));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Set the exchange rates of currencies, quoted against the base currency
+ */
+router.put('/fxrates', auth.requireAdmin, async (req, res) => {
+  try {
+    const { base, rates } = req.body;
+    const fxRates = await storage.model('FxRate').setRates({ base, rates, source: auth.getIdentity(req) });
+    return res.status(200).json(fxRates.map(r => r._filter()));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default { router, path: '/admin' };
@@ -0,0 +1,84 @@
+import express from 'express';
+import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+import HandledError from '../util/handledError.js';
+
+const router = express.Router();
+
+/**
+ * Create a new api key for the authenticated user - the key is only returned here
+ */
+router.post('/', auth.requireUser, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const { apiKey, key } = await storage.model('ApiKey').create({ name, scopes, userId: req.user._id, performedBy: req.user.id });
+    return res.status(200).json({ ...apiKey._filter(), key });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get all api keys for the authenticated user
+ */
+router.get('/', auth.requireUser, async (req, res) => {
+  try {
+    const apiKeys = await storage.model('ApiKey').findApiKeys({ userId: req.user._id });
+    const filteredApiKeys = apiKeys.map(k => k._filter());
+    return res.status(200).json(filteredApiKeys);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Rotate an api key by id - the new key is only returned here
+ */
+router.put('/rotate/:apiKeyId', auth.requireUser, async (req, res) => {
+  try {
+    const { apiKeyId } = req.params;
+    if (!apiKeyId) { return res.status(400).json({ error: 'apiKeyId required' }); }
+
+    const apiKey = await storage.model('ApiKey').findOne({ _id: apiKeyId });
+    if (!apiKey) { return res.status(404).json({ error: 'Api key not found' }); }
+    if (!apiKey._user?.equals(req.user._id)) { throw new HandledError('Not authorized to rotate this api key', 403); }
+
+    const key = await apiKey.rotate({ performedBy: req.user.id });
+    return res.status(200).json({ ...apiKey._filter(), key });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Revoke an api key by id
+ */
+router.delete('/:apiKeyId', auth.requireUser, async (req, res) => {
+  try {
+    const { apiKeyId } = req.params;
+    if (!apiKeyId) { return res.status(400).json({ error: 'apiKeyId required' }); }
+
+    const apiKey = await storage.model('ApiKey').findOne({ _id: apiKeyId });
+    if (!apiKey) { return res.status(404).json({ error: 'Api key not found' }); }
+    if (!apiKey._user?.equals(req.user._id)) { throw new HandledError('Not authorized to revoke this api key', 403); }
+
+    const revokedApiKey = await apiKey.revoke({ performedBy: req.user.id });
+    return res.status(200).json(revokedApiKey._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default { router, path: '/apikeys' };
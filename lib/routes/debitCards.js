@@ -1,15 +1,21 @@
 import express from 'express';
 import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+import HandledError from '../util/handledError.js';
+import Money from '../util/money.js';
 
 const router = express.Router();
 
 /**
- * Create a new debitCard
+ * Create a new debitCard account, as checking or savings with an optional nickname - the CVV is only returned here
  */
-router.post('/', async (req, res) => {
+router.post('/', auth.requireScope('cards:admin'), async (req, res) => {
   try {
-    const debitCard = await storage.model('DebitCard').create(req.body);
-    return res.status(200).json(debitCard._filter());
+    const { userId = req.user?.id } = req.body;
+    if (req.user && userId !== req.user.id) { throw new HandledError('Not authorized to create a debit card for this user', 403); }
+
+    const debitCard = await storage.model('DebitCard').create({ ...req.body, userId });
+    return res.status(200).json({ ...debitCard._filter(), cvv: debitCard.$locals.cvv });
   } catch (err) {
     if (err.handled) {
       return res.status(err.code).json({ error: err.message });
@@ -21,7 +27,7 @@ router.post('/', async (req, res) => {
 /**
  * Update a debit card by id to be active or inactive
  */
-router.put('/:debitCardId', async (req, res) => {
+router.put('/:debitCardId', auth.requireScope('cards:admin'), async (req, res) => {
   try {
     const { debitCardId } = req.params;
     if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
@@ -30,8 +36,9 @@ router.put('/:debitCardId', async (req, res) => {
 
     const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
     if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.isOwner(req.user._id)) { throw new HandledError('Not authorized to update this debit card', 403); }
 
-    const updatedDebitCard = active ? await debitCard.setActive() : await debitCard.setInactive();
+    const updatedDebitCard = active ? await debitCard.setActive({ performedBy: auth.getIdentity(req) }) : await debitCard.setInactive({ performedBy: auth.getIdentity(req) });
     const filteredDebitCard = updatedDebitCard._filter();
     return res.status(200).json(filteredDebitCard);
   } catch (err) {
@@ -42,15 +49,36 @@ router.put('/:debitCardId', async (req, res) => {
   }
 });
 
+/**
+ * Get all debit card accounts for a user - defaults to the authenticated user
+ */
+router.get('/', auth.requireScope('cards:read'), async (req, res) => {
+  try {
+    const { userId = req.user?.id } = req.query;
+    if (!userId) { return res.status(400).json({ error: 'userId required' }); }
+    if (req.user && userId !== req.user.id) { throw new HandledError('Not authorized to access debit cards for this user', 403); }
+
+    const debitCards = await storage.model('DebitCard').findAccessible({ userId });
+    const filteredDebitCards = debitCards.map(d => d._filter());
+    return res.status(200).json(filteredDebitCards);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * Get a debit card by id
  */
-router.get('/:debitCardId', async (req, res) => {
+router.get('/:debitCardId', auth.requireScope('cards:read'), async (req, res) => {
   try {
     const { debitCardId } = req.params;
     if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
 
     const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (debitCard && req.user && !debitCard.canAccess(req.user._id)) { throw new HandledError('Not authorized to access this debit card', 403); }
 
     const filteredDebitCard = debitCard?._filter();
     return res.status(200).json(filteredDebitCard || {});
@@ -63,18 +91,229 @@ router.get('/:debitCardId', async (req, res) => {
 });
 
 /**
- * Get a debit card balances by id
+ * Get a debit card balances by id - only visible to owners and joint owners
  */
-router.get('/balances/:debitCardId', async (req, res) => {
+router.get('/balances/:debitCardId', auth.requireScope('cards:read'), async (req, res) => {
   try {
     const { debitCardId } = req.params;
     if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
 
     const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
     if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.isOwner(req.user._id)) { throw new HandledError('Not authorized to access balances for this debit card', 403); }
 
     const balances = await debitCard.getBalances();
-    return res.status(200).json(balances);
+    return res.status(200).json(Money.fromCentsValues(balances));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the spending controls of a debit card
+ */
+router.get('/:debitCardId/controls', auth.requireScope('cards:read'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.canAccess(req.user._id)) { throw new HandledError('Not authorized to access this debit card', 403); }
+
+    return res.status(200).json(debitCard._filter().controls);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Replace the spending controls of a debit card - unset limits are not enforced
+ */
+router.put('/:debitCardId/controls', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.isOwner(req.user._id)) { throw new HandledError('Not authorized to update the controls of this debit card', 403); }
+
+    const updatedDebitCard = await debitCard.setControls({ controls: req.body, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(updatedDebitCard._filter().controls);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Close a debit card account, sweeping any remaining balance to another account - returns the final statement
+ */
+router.post('/:debitCardId/close', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+    const { sweepAccountNumber, reason } = req.body;
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+
+    const { statement } = await debitCard.close({ sweepAccountNumber, reason, userId: req.user?._id, performedBy: auth.getIdentity(req) });
+    const finalStatement = {
+      ...statement,
+      closingBalance: Money.fromCents(statement.closingBalance),
+      sweptAmount: Money.fromCents(statement.sweptAmount),
+      transactions: statement.transactions.map(t => t._filter())
+    };
+    return res.status(200).json({ ...debitCard._filter(), finalStatement });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Reissue a lost, stolen, or damaged debit card with a new account number - returns the new debit card, with its CVV only returned here
+ */
+router.post('/:debitCardId/reissue', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+    const { reason } = req.body;
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+
+    const newDebitCard = await debitCard.reissue({ reason, userId: req.user?._id, performedBy: auth.getIdentity(req) });
+    return res.status(200).json({ ...newDebitCard._filter(), cvv: newDebitCard.$locals.cvv });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Create a single-use or merchant-locked virtual card funded by a debit card - the CVV is only returned here
+ */
+router.post('/:debitCardId/virtualcards', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+    const { type, lockedVender } = req.body;
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+
+    const virtualCard = await storage.model('VirtualCard').create({ debitCard, type, lockedVender, userId: req.user?._id, performedBy: auth.getIdentity(req) });
+    return res.status(200).json({ ...virtualCard._filter(), cvv: virtualCard.$locals.cvv });
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the virtual cards funded by a debit card - authorized users only see the ones issued to them
+ */
+router.get('/:debitCardId/virtualcards', auth.requireScope('cards:read'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.canAccess(req.user._id)) { throw new HandledError('Not authorized to access this debit card', 403); }
+
+    const userId = req.user && !debitCard.isOwner(req.user._id) ? req.user._id : undefined;
+    const virtualCards = await storage.model('VirtualCard').findVirtualCards({ debitCardId: debitCard._id, userId });
+    const filteredVirtualCards = virtualCards.map(v => v._filter());
+    return res.status(200).json(filteredVirtualCards);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Revoke a virtual card by id, leaving its funding debit card unchanged
+ */
+router.delete('/:debitCardId/virtualcards/:virtualCardId', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId, virtualCardId } = req.params;
+    if (!debitCardId || !virtualCardId) { return res.status(400).json({ error: 'debitCardId and virtualCardId required' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    const virtualCard = await storage.model('VirtualCard').findOne({ _id: virtualCardId, _debitCard: debitCardId });
+    if (!debitCard || !virtualCard) { return res.status(404).json({ error: 'Virtual card not found' }); }
+    // Owners can revoke any virtual card of the debit card, other holders only the ones issued to them
+    if (req.user && !debitCard.isOwner(req.user._id) && !virtualCard._user.equals(req.user._id)) {
+      throw new HandledError('Not authorized to revoke this virtual card', 403);
+    }
+
+    const revokedVirtualCard = await virtualCard.revoke({ performedBy: auth.getIdentity(req) });
+    return res.status(200).json(revokedVirtualCard._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Add an existing user by email to a debit card as a joint owner or authorized user
+ */
+router.post('/:debitCardId/holders', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+    const { email, role, spendingCap } = req.body;
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.isOwner(req.user._id)) { throw new HandledError('Not authorized to manage holders of this debit card', 403); }
+
+    const updatedDebitCard = await debitCard.addHolder({ email, role, spendingCap, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(updatedDebitCard._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Remove a joint owner or authorized user from a debit card
+ */
+router.delete('/:debitCardId/holders/:userId', auth.requireScope('cards:admin'), async (req, res) => {
+  try {
+    const { debitCardId, userId } = req.params;
+    if (!debitCardId) { return res.status(400).json({ error: 'debitCardId required' }); }
+
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+    if (!debitCard) { return res.status(400).json({ error: 'Debit card not found' }); }
+    if (req.user && !debitCard.isOwner(req.user._id)) { throw new HandledError('Not authorized to manage holders of this debit card', 403); }
+
+    const updatedDebitCard = await debitCard.removeHolder({ userId, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(updatedDebitCard._filter());
   } catch (err) {
     if (err.handled) {
       return res.status(err.code).json({ error: err.message });
@@ -0,0 +1,58 @@
+import express from 'express';
+import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+
+const router = express.Router();
+
+/**
+ * Open a dispute of a completed purchase with a reason and optional evidence
+ */
+router.post('/', auth.requireScope('transactions:write'), async (req, res) => {
+  try {
+    const { transactionId, reason, evidence } = req.body;
+    if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
+
+    const dispute = await storage.model('Dispute').open({ transactionId, reason, evidence, userId: req.user?._id, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(dispute._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get a dispute by id
+ */
+router.get('/:disputeId', auth.requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const [dispute] = await storage.model('Dispute').findDisputes({ disputeId, userId: req.user?._id });
+    if (!dispute) { return res.status(404).json({ error: 'Dispute not found' }); }
+    return res.status(200).json(dispute._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get all disputes opened by the user, optionally by status
+ */
+router.get('/', auth.requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const disputes = await storage.model('Dispute').findDisputes({ status, userId: req.user?._id });
+    return res.status(200).json(disputes.map(d => d._filter()));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default { router, path: '/disputes' };
@@ -0,0 +1,95 @@
+import express from 'express';
+import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+
+const router = express.Router();
+
+/**
+ * Add a payee to the address book of the user
+ */
+router.post('/', auth.requireScope('transactions:write'), async (req, res) => {
+  try {
+    const { name, accountReference, category, nickname } = req.body;
+    const payee = await storage.model('Payee').create({ name, accountReference, category, nickname, userId: req.user?._id, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(payee._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get all payees in the address book of the user, optionally by category
+ */
+router.get('/', auth.requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { category } = req.query;
+    const payees = await storage.model('Payee').findPayees({ category, userId: req.user?._id });
+    return res.status(200).json(payees.map(p => p._filter()));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get a payee by id with its audit log
+ */
+router.get('/:payeeId', auth.requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { payeeId } = req.params;
+    const [payee] = await storage.model('Payee').findPayees({ payeeId, userId: req.user?._id });
+    if (!payee) { return res.status(404).json({ error: 'Payee not found' }); }
+    return res.status(200).json(payee._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Edit the name, account reference, category, or nickname of a payee
+ */
+router.put('/:payeeId', auth.requireScope('transactions:write'), async (req, res) => {
+  try {
+    const { payeeId } = req.params;
+    const { name, accountReference, category, nickname } = req.body;
+    const [payee] = await storage.model('Payee').findPayees({ payeeId, userId: req.user?._id });
+    if (!payee) { return res.status(404).json({ error: 'Payee not found' }); }
+
+    const result = await payee.edit({ name, accountReference, category, nickname, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(result._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Archive a payee so it can no longer be paid, its bill payments are kept
+ */
+router.delete('/:payeeId', auth.requireScope('transactions:write'), async (req, res) => {
+  try {
+    const { payeeId } = req.params;
+    const [payee] = await storage.model('Payee').findPayees({ payeeId, userId: req.user?._id });
+    if (!payee) { return res.status(404).json({ error: 'Payee not found' }); }
+
+    const result = await payee.archive({ performedBy: auth.getIdentity(req) });
+    return res.status(200).json(result._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default { router, path: '/payees' };
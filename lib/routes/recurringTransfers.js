@@ -0,0 +1,76 @@
+import express from 'express';
+import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+
+const router = express.Router();
+
+/**
+ * Set up a recurring transfer from an account the user owns - retries with the same Idempotency-Key header replay the original response
+ */
+router.post('/', auth.requireScope('transactions:write'), auth.idempotent, async (req, res) => {
+  try {
+    const recurringTransfer = await storage.model('RecurringTransfer').create({ ...req.body, userId: req.user?._id, performedBy: auth.getIdentity(req) });
+    return res.status(200).json(recurringTransfer._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get all recurring transfers set up by the user, optionally by status
+ */
+router.get('/', auth.requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const recurringTransfers = await storage.model('RecurringTransfer').findRecurringTransfers({ status, userId: req.user?._id });
+    return res.status(200).json(recurringTransfers.map(r => r._filter()));
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get a recurring transfer by id with the outcome of each run
+ */
+router.get('/:recurringTransferId', auth.requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { recurringTransferId } = req.params;
+    const [recurringTransfer] = await storage.model('RecurringTransfer').findRecurringTransfers({ recurringTransferId, userId: req.user?._id });
+    if (!recurringTransfer) { return res.status(404).json({ error: 'Recurring transfer not found' }); }
+    return res.status(200).json(recurringTransfer._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Pause, resume, or cancel a recurring transfer
+ */
+for (const action of ['pause', 'resume', 'cancel']) {
+  router.post(`/:recurringTransferId/${action}`, auth.requireScope('transactions:write'), async (req, res) => {
+    try {
+      const { recurringTransferId } = req.params;
+      const [recurringTransfer] = await storage.model('RecurringTransfer').findRecurringTransfers({ recurringTransferId, userId: req.user?._id });
+      if (!recurringTransfer) { return res.status(404).json({ error: 'Recurring transfer not found' }); }
+
+      const result = await recurringTransfer[action]({ userId: req.user?._id, performedBy: auth.getIdentity(req) });
+      return res.status(200).json(result._filter());
+    } catch (err) {
+      if (err.handled) {
+        return res.status(err.code).json({ error: err.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+}
+
+export default { router, path: '/recurringtransfers' };
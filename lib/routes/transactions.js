@@ -1,13 +1,14 @@
 import express from 'express';
 import storage from '../storage/index.js';
+import auth from '../auth/index.js';
 import HandledError from '../util/handledError.js';
 
 const router = express.Router();
 
 /**
- * Create a new transaction
+ * Create a new transaction - retries with the same Idempotency-Key header replay the original response
  */
-router.post('/', async (req, res) => {
+router.post('/', auth.requireScope('transactions:write'), auth.idempotent, async (req, res) => {
   try {
     const { type, subtype } = req.body;
     if (type === 'debit' && subtype !== 'credit') {
@@ -16,24 +17,86 @@ router.post('/', async (req, res) => {
     if (type === 'withdrawal' && subtype !== 'purchase') {
       throw new HandledError('Withdrawal transactions must have a "purchase" subtype', 400);
     }
-    const transaction = await storage.model('Transaction').create(req.body);
+    const transaction = await storage.model('Transaction').create({ ...req.body, userId: req.user?._id, skipSave: false, skipControls: false });
     return res.status(200).json(transaction._filter());
   } catch (err) {
     if (err.handled) {
-      return res.status(err.code).json({ error: err.message });
+      return res.status(err.code).json({ error: err.message, reason: err.reason });
     }
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * Create a new transfer transaction
+ * Create a new transfer transaction - retries with the same Idempotency-Key header replay the original response
  */
-router.post('/transfer', async (req, res) => {
+router.post('/transfer', auth.requireScope('transactions:write'), auth.idempotent, async (req, res) => {
   try {
-    const transactions = await storage.model('Transaction').createTransferTransaction(req.body);
+    const transactions = await storage.model('Transaction').createTransferTransaction({ ...req.body, userId: req.user?._id });
     const filteredTransactions = transactions.map(t => t._filter());
     return res.status(200).json(filteredTransactions);
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message, reason: err.reason });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Pay a bill to a payee in the address book of the user, optionally on a future date - retries with the same Idempotency-Key header replay the original response
+ */
+router.post('/billpay', auth.requireScope('transactions:write'), auth.idempotent, async (req, res) => {
+  try {
+    const { payeeId, accountNumber, amount, memo, scheduledFor } = req.body;
+    const transaction = await storage.model('Transaction').createBillPayment({ payeeId, accountNumber, amount, memo, scheduledFor, userId: req.user?._id });
+    return res.status(200).json(transaction._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message, reason: err.reason });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Refund a purchase, in full or for an amount up to what has not been refunded yet
+ */
+router.put('/refund', auth.requireScope('transactions:write'), async (req, res) => {
+  try {
+    const { transactionId, amount } = req.body;
+    if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
+
+    const transactions = await storage.model('Transaction').findTransactions({ transactionId, userId: req.user?._id });
+    if (!transactions || transactions.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const transaction = transactions[0];
+    const result = await transaction.createRefundTransaction({ amount });
+    return res.status(200).json(result._filter());
+  } catch (err) {
+    if (err.handled) {
+      return res.status(err.code).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Capture an authorized purchase, for less than the amount authorized or over it within the capture tolerance
+ */
+router.put('/capture', auth.requireScope('transactions:write'), async (req, res) => {
+  try {
+    const { transactionId, amount } = req.body;
+    if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
+
+    const transactions = await storage.model('Transaction').findTransactions({ transactionId, userId: req.user?._id });
+    if (!transactions || transactions.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const transaction = transactions[0];
+    const result = await transaction.capture({ amount });
+    return res.status(200).json(result._filter());
   } catch (err) {
     if (err.handled) {
       return res.status(err.code).json({ error: err.message });
@@ -43,19 +106,19 @@ router.post('/transfer', async (req, res) => {
 });
 
 /**
- * Refund a transaction
+ * Void an authorized purchase, releasing its hold
  */
-router.put('/refund', async (req, res) => {
+router.put('/void', auth.requireScope('transactions:write'), async (req, res) => {
   try {
     const { transactionId } = req.body;
     if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
 
-    const transactions = await storage.model('Transaction').findTransactions({ transactionId });
+    const transactions = await storage.model('Transaction').findTransactions({ transactionId, userId: req.user?._id });
     if (!transactions || transactions.length === 0) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
     const transaction = transactions[0];
-    const result = await transaction.createRefundTransaction();
+    const result = await transaction.voidAuthorization();
     return res.status(200).json(result._filter());
   } catch (err) {
     if (err.handled) {
@@ -66,14 +129,14 @@ router.put('/refund', async (req, res) => {
 });
 
 /**
- * Cancel a pending transaction
+ * Cancel a pending or scheduled transaction
  */
-router.delete('/cancel', async (req, res) => {
+router.delete('/cancel', auth.requireScope('transactions:write'), async (req, res) => {
   try {
     const { transactionId } = req.body;
     if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
 
-    const transactions = await storage.model('Transaction').findTransactions({ transactionId });
+    const transactions = await storage.model('Transaction').findTransactions({ transactionId, userId: req.user?._id });
     if (!transactions || transactions.length === 0) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
@@ -91,12 +154,12 @@ router.delete('/cancel', async (req, res) => {
 /**
  * Get a transaction by id
  */
-router.get('/:transactionId', async (req, res) => {
+router.get('/:transactionId', auth.requireScope('transactions:read'), async (req, res) => {
   try {
     const { transactionId } = req.params;
     if (!transactionId) { return res.status(400).json({ error: 'transactionId required' }); }
 
-    const transactions = await storage.model('Transaction').findTransactions({ transactionId });
+    const transactions = await storage.model('Transaction').findTransactions({ transactionId, userId: req.user?._id });
     
     const filteredTransaction = transactions[0]?._filter();
     return res.status(200).json(filteredTransaction || {});
@@ -111,9 +174,9 @@ router.get('/:transactionId', async (req, res) => {
 /**
  * Get all transactions matching query
  */
-router.get('/', async (req, res) => {
+router.get('/', auth.requireScope('transactions:read'), async (req, res) => {
   try {
-    const transactions = await storage.model('Transaction').findTransactions(req.query);
+    const transactions = await storage.model('Transaction').findTransactions({ ...req.query, userId: req.user?._id });
     const filteredTransactions = transactions.map(t => t._filter());
     return res.status(200).json(filteredTransactions);
   } catch (err) {
@@ -1,5 +1,7 @@
 import express from 'express';
 import storage from '../storage/index.js';
+import auth from '../auth/index.js';
+import HandledError from '../util/handledError.js';
 
 const router = express.Router();
 
@@ -21,10 +23,11 @@ router.post('/', async (req, res) => {
 /**
  * Update a user by id
  */
-router.put('/update', async (req, res) => {
+router.put('/update', auth.requireScope('users:write'), async (req, res) => {
   try {
     const { userId } = req.body;
     if (!userId) { return res.status(400).json({ error: 'userId required' }); }
+    if (req.user && userId !== req.user.id) { throw new HandledError('Not authorized to update this user', 403); }
 
     const user = await storage.model('User').findUser({ userId });
     if (!user) { return res.status(400).json({ error: 'User not found' }); }
@@ -43,10 +46,11 @@ router.put('/update', async (req, res) => {
 /**
  * Get a user by id
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', auth.requireScope('users:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     if (!userId) { return res.status(400).json({ error: 'userId required' }); }
+    if (req.user && userId !== req.user.id) { throw new HandledError('Not authorized to access this user', 403); }
 
     const user = await storage.model('User').findUser({ userId });
     if (!user) { return res.status(400).json({ error: 'User not found' }); }
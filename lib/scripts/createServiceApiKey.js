@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+/**
+ * Script to issue an api key to a service, such as a back-office script or partner integration
+ *
+ * Usage: node lib/scripts/createServiceApiKey.js <service> <name> <scope,scope,...>
+ * The plain text key is printed once and cannot be recovered afterwards
+ */
+const [service, name, scopes] = process.argv.slice(2);
+
+await storage.connect();
+try {
+  const { apiKey, key } = await storage.model('ApiKey').create({ name, service, scopes: scopes?.split(','), performedBy: `script:${process.env.USER || 'unknown'}` });
+  logger.info('Api key created', apiKey._filter());
+  console.log(key);
+} catch (err) {
+  logger.error('Error creating service api key', err, { service });
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
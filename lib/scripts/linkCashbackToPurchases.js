@@ -0,0 +1,26 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+// Description cashback was created with before it was linked to its purchase, ending in the id of the purchase
+const LEGACY_DESCRIPTION = /^Cashback for eligible purchase - [0-9a-f]{24}$/;
+
+/**
+ * Script to link the cashback paid before it was linked to its purchase, by the purchase id at the end of its description
+ * - refunds only claw back the cashback linked to the refunded purchase
+ *
+ * Usage: node lib/scripts/linkCashbackToPurchases.js
+ */
+await storage.connect();
+try {
+  const result = await storage.model('Transaction').updateMany(
+    { subtype: 'cashback', _originalTransaction: { $exists: false }, description: LEGACY_DESCRIPTION },
+    [{ $set: { _originalTransaction: { $toObjectId: { $arrayElemAt: [{ $split: ['$description', ' - '] }, 1] } } } }]
+  );
+  logger.info('Cashback linked to purchases', { linkedCount: result.modifiedCount });
+} catch (err) {
+  logger.error('Error linking cashback to purchases', err);
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
@@ -0,0 +1,22 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+/**
+ * Script to load the exchange rates from a local JSON file of the base currency and rates, such as an export from a rates provider
+ * - defaults to lib/storage/data/fxRates.json
+ *
+ * Usage: node lib/scripts/loadFxRates.js [file]
+ */
+const [file] = process.argv.slice(2);
+
+await storage.connect();
+try {
+  const fxRates = await storage.model('FxRate').loadFile({ file });
+  logger.info('Exchange rates loaded', { rates: Object.fromEntries(fxRates.map(r => [r.currency, r.rate])) });
+} catch (err) {
+  logger.error('Error loading exchange rates', err, { file });
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
@@ -0,0 +1,81 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+// Recorded once the migration has run, or when a fresh database is first connected to, so it can never convert amounts that are
+// already in cents
+const MIGRATION_ID = 'money-to-cents';
+// Documents converted in each unit of work, so a batch stays within the size and time limits of a MongoDB transaction
+const BATCH_SIZE = 500;
+// Updates converting the decimal amounts of each collection, each applied to a batch of documents by their ids
+const CONVERSIONS = {
+  transactions: { model: 'Transaction', updates: [[{}, [{ $set: { amount: toCents('$amount') } }]]] },
+  journalEntries: { model: 'JournalEntry', updates: [[{}, [{
+    $set: { postings: { $map: { input: '$postings', as: 'p', in: { $mergeObjects: ['$$p', { amount: toCents('$$p.amount') }] } } } }
+  }]]] },
+  debitCards: { model: 'DebitCard', updates: [
+    ...['currentBalance', 'pendingBalance', 'controls.maxPurchaseAmount', 'controls.dailyWithdrawalLimit', 'controls.monthlyWithdrawalLimit'].map(path => [
+      { [path]: { $type: 'number' } }, [{ $set: { [path]: toCents(`$${path}`) } }]
+    ]),
+    [{ 'holders.spendingCap': { $type: 'number' } }, [{
+      $set: { holders: { $map: { input: '$holders', as: 'h', in: {
+        $cond: [{ $isNumber: '$$h.spendingCap' }, { $mergeObjects: ['$$h', { spendingCap: toCents('$$h.spendingCap') }] }, '$$h']
+      } } } }
+    }]]
+  ] },
+};
+
+/**
+ * Script to convert the decimal amounts stored before money was kept in whole cents - transaction amounts, journal
+ * postings, running balances, spending controls, and spending caps - in batches of documents in order of their id
+ * - the last id converted is recorded in the unit of work of each batch, so a run that stops part way resumes after its last
+ *   batch and no document is converted twice
+ * - the server must be stopped while it runs, so no decimal amounts are written after it
+ *
+ * Usage: node lib/scripts/migrateMoneyToCents.js
+ */
+await storage.connect();
+try {
+  const migrations = storage.model('Transaction').db.collection('migrations');
+  if ((await migrations.findOne({ _id: MIGRATION_ID }))?.completedAt) { throw new Error('Amounts have already been converted to cents'); }
+
+  const counts = {};
+  for (const [name, { model, updates }] of Object.entries(CONVERSIONS)) {
+    counts[name] = 0;
+    let converted;
+    do {
+      converted = await storage.unitOfWork(async (session) => {
+        // Read with the batch, so a second run converting the same batch at the same time conflicts and continues after it
+        const lastId = (await migrations.findOne({ _id: MIGRATION_ID }, { session }))?.lastIds?.[name];
+        const documents = await storage.model(model).find(lastId ? { _id: { $gt: lastId } } : {}, { _id: 1 }).sort({ _id: 1 }).limit(BATCH_SIZE);
+        if (!documents.length) { return 0; }
+
+        const ids = documents.map(d => d._id);
+        for (const [filter, update] of updates) {
+          await storage.model(model).updateMany({ ...filter, _id: { $in: ids } }, update);
+        }
+        await migrations.updateOne({ _id: MIGRATION_ID }, { $set: { [`lastIds.${name}`]: ids[ids.length - 1] } }, { upsert: true, session });
+        return ids.length;
+      });
+      counts[name] += converted;
+    } while (converted === BATCH_SIZE);
+  }
+
+  await migrations.updateOne({ _id: MIGRATION_ID }, { $set: { completedAt: new Date() } }, { upsert: true });
+  logger.info('Amounts converted to cents', counts);
+} catch (err) {
+  logger.error('Error converting amounts to cents', err);
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
+
+/**
+ * Method to build the aggregation expression converting a decimal amount to whole cents
+ * @param {String} field - Field path of the decimal amount
+ *
+ * @returns {Object} - Aggregation expression for the amount in cents
+ */
+function toCents(field) {
+  return { $round: [{ $multiply: [field, 100] }, 0] };
+}
@@ -0,0 +1,27 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+/**
+ * Script to post every completed transaction that does not have a journal entry to the journal
+ * - such as the transactions completed before the ledger existed, as balances are calculated from the journal
+ *
+ * Usage: node lib/scripts/postJournalEntries.js
+ */
+await storage.connect();
+try {
+  let postedCount = 0;
+  const transactions = storage.model('Transaction').find({ status: 'completed' }).sort({ date: 1 }).cursor();
+  for await (const transaction of transactions) {
+    if (await storage.model('JournalEntry').exists({ _transaction: transaction._id })) { continue; }
+    await storage.model('JournalEntry').postTransaction({ transaction });
+    postedCount++;
+  }
+  const trialBalance = await storage.model('JournalEntry').getTrialBalance();
+  logger.info('Journal entries posted', { postedCount, balanced: trialBalance.balanced });
+} catch (err) {
+  logger.error('Error posting journal entries', err);
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
@@ -0,0 +1,30 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+/**
+ * Script to rebuild the running balances of every debit card account from its history
+ * - such as accounts created before the balances were kept on the debit card, or to repair a balance that has drifted
+ *
+ * Usage: node lib/scripts/rebuildBalances.js [accountNumber]
+ */
+const [accountNumber] = process.argv.slice(2);
+
+await storage.connect();
+try {
+  // Balances are kept on the first card of each account, so only those are rebuilt unless an account number is given
+  const query = accountNumber ? { accountNumber } : { _originalCard: { $exists: false } };
+  let rebuiltCount = 0;
+  for await (const debitCard of storage.model('DebitCard').find(query).cursor()) {
+    const balances = await debitCard.rebuildBalances();
+    logger.info('Debit card balances rebuilt', { debitCardId: debitCard.getAccountId(), ...balances });
+    rebuiltCount++;
+  }
+  if (accountNumber && !rebuiltCount) { throw new Error(`Debit card not found for account number ${accountNumber}`); }
+  logger.info('Balances rebuilt', { rebuiltCount });
+} catch (err) {
+  logger.error('Error rebuilding balances', err, { accountNumber });
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
@@ -0,0 +1,24 @@
+import 'dotenv/config';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+/**
+ * Script to set the role of a user, such as granting operations staff the admin role
+ *
+ * Usage: node lib/scripts/setUserRole.js <email> <role>
+ */
+const [email, role] = process.argv.slice(2);
+
+await storage.connect();
+try {
+  const user = await storage.model('User').findUser({ email });
+  if (!user) { throw new Error(`User not found for email ${email}`); }
+
+  await user.setRole({ role, performedBy: `script:${process.env.USER || 'unknown'}` });
+  logger.info('User role set', { userId: user._id, role });
+} catch (err) {
+  logger.error('Error setting user role', err, { email, role });
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import storage from '../storage/index.js';
+import logger from '../util/logger.js';
+
+/**
+ * Script to sync the database indexes with the schemas, dropping indexes that were removed
+ * - such as the unique index on DebitCard._user from when a user could only hold one debit card
+ *
+ * Usage: node lib/scripts/syncIndexes.js
+ */
+await storage.connect();
+try {
+  for (const modelName of mongoose.modelNames()) {
+    const droppedIndexes = await storage.model(modelName).syncIndexes();
+    logger.info(`Indexes synced for ${modelName}`, { droppedIndexes });
+  }
+} catch (err) {
+  logger.error('Error syncing indexes', err);
+  process.exitCode = 1;
+} finally {
+  await storage.disconnect();
+}
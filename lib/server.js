@@ -3,6 +3,7 @@ import http from 'http';
 import express from 'express';
 import session from 'express-session';
 import storage from './storage/index.js';
+import auth from './auth/index.js';
 import routes from './routes/_index.js';
 import logger from './util/logger.js';
 import { initializeTasks } from './util/scheduledTasks.js';
@@ -13,6 +14,8 @@ const PORT = process.env.PORT || 8000;
 
 // Connect to the database and initialize
 await storage.connect();
+// Insert any default account products that do not exist yet
+await storage.model('Product').seedDefaults();
 
 // Middleware
 app.use(session({ secret: process.env.SESSION_SECRET, resave: false, saveUninitialized: false }));
@@ -21,6 +24,12 @@ app.use(express.urlencoded({ extended: false }));
 // Takes care of JSON data
 app.use(express.json());
 
+// Register the login strategies and restore the authenticated user from the session
+auth.loadStrategies();
+app.use(auth.passport.initialize());
+app.use(auth.passport.session());
+app.use('/auth', auth.router);
+
 // Load all routes and add to server
 await routes.loadRoutes();
 app.use('/api', routes.router);
@@ -33,7 +42,7 @@ app.use((req, res, next) => {
   // Set the CORS policy
   res.header('Access-Control-Allow-Origin', '*');
   // Set the CORS headers
-  res.header('Access-Control-Allow-Headers', 'origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key');
   // Set the CORS method headers
   if (req.method === 'OPTIONS') {
     res.header('Access-Control-Allow-Methods', 'GET PATCH DELETE POST PUT');
@@ -6,6 +6,11 @@ import logger from '../util/logger.js';
 
 const dbUri = process.env.MONGO_URI || 'mongodb://localhost:27017/mini-one';
 let dbInitialized = false;
+// Migrations of data stored before them, which a database created after them never needs (see lib/scripts)
+const BASELINE_MIGRATIONS = ['money-to-cents'];
+
+// Every query and save made within a unit of work uses its session without it being passed to each call
+mongoose.set('transactionAsyncLocalStorage', true);
 
 /**
  * Storage object for MongoDB connection and model management
@@ -36,6 +41,7 @@ Storage.connect = async () => {
     logger.info('MongoDB connected successfully');
     if (!dbInitialized) {
       await Storage.loadModels();
+      await Storage.recordBaselineMigrations();
       dbInitialized = true;
       logger.info('MongoDB initialized successfully');
     }
@@ -44,6 +50,39 @@ Storage.connect = async () => {
   }
 };
 
+/**
+ * Record the baseline migrations as already run when connected to a fresh database, one without debit cards or transactions,
+ * so a migration script run against it later cannot convert the data written since
+ */
+Storage.recordBaselineMigrations = async () => {
+  if (await mongoose.model('DebitCard').exists({}) || await mongoose.model('Transaction').exists({})) { return; }
+  const migrations = mongoose.connection.collection('migrations');
+  for (const migrationId of BASELINE_MIGRATIONS) {
+    await migrations.updateOne({ _id: migrationId }, { $setOnInsert: { completedAt: new Date(), baseline: true } }, { upsert: true });
+  }
+};
+
+/**
+ * Disconnect from the MongoDB database - used by scripts that run outside of the server
+ */
+Storage.disconnect = async () => {
+  await mongoose.disconnect();
+};
+
+/**
+ * Run a unit of work in a MongoDB transaction, so every write made within it commits or rolls back together
+ * The work is retried if it conflicts with a concurrent transaction, and joins the unit of work it is called from if there is one
+ * Note: MongoDB transactions require a replica set or sharded cluster, such as Atlas
+ * @param {Function} work - Async function to run, given the session of the transaction
+ *
+ * @returns {*} - Result of the work
+ */
+Storage.unitOfWork = async (work) => {
+  const session = mongoose.transactionAsyncLocalStorage.getStore()?.session;
+  if (session) { return work(session); }
+  return mongoose.connection.transaction(work);
+};
+
 /**
  * Dynamically load all model files from the models directory
  */
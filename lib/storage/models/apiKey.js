@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import storage from '../index.js';
+import Helpers from '../../util/helpers.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+import { auditSave } from '../plugins.js';
+
+// Defined enum constants to use in schema and validation in methods
+const API_KEY_SCOPES = ['users:read', 'users:write', 'cards:read', 'cards:admin', 'transactions:read', 'transactions:write'];
+// Service api keys have no user for the routes to check access by, so they act on every account and are limited to reading
+const SERVICE_API_KEY_SCOPES = ['users:read', 'cards:read', 'transactions:read'];
+const API_KEY_PREFIX = 'mo_';
+
+// Schema for an api key, only the hash of the key is stored
+const ApiKey = new storage.schema({
+  name: { type: String, required: true },
+  keyPrefix: { type: String, required: true },
+  hashedKey: { type: String, required: true, unique: true },
+  scopes: { type: [{ type: String, enum: API_KEY_SCOPES }], required: true },
+  // Service the api key is issued to instead of a user, only granted SERVICE_API_KEY_SCOPES
+  service: String,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', index: true },
+  auditLog: [{ timestamp: Date, performedBy: String, action: String }],
+},
+{ timestamps: true });
+
+// Plugin auditSave for auditLog field
+ApiKey.plugin(auditSave);
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to create an api key for a user or a service
+ * @param {Object} params - Parameters for the api key
+ * @param {String} params.name - Name to identify the api key by
+ * @param {Array<String>} params.scopes - Scopes the api key is allowed (see API_KEY_SCOPES, or SERVICE_API_KEY_SCOPES for a service)
+ * @param {String} params.userId - The user ID the api key is issued to
+ * @param {String} params.service - The service the api key is issued to, if not issued to a user
+ * @param {String} params.performedBy - Identity of who is creating the api key
+ *
+ * @returns {Object} - Object with the new apiKey object and the plain text key, which is only available here
+ */
+ApiKey.statics.create = async function({ name, scopes, userId, service, performedBy } = {}) {
+  try {
+    // Validate the api key parameters - it must belong to exactly one of a user or service
+    if (typeof name !== 'string' || !name) { throw new HandledError('Api key name required as a string', 400); }
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+      throw new HandledError(`Api key scopes required as an array of: ${API_KEY_SCOPES.join(', ')}`, 400);
+    }
+    if ((!userId && !service) || (userId && service)) { throw new HandledError('Api key requires a userId or service, not both', 400); }
+    if (userId && !Helpers.isValidObjectId(userId)) { throw new HandledError('valid userId is required', 400); }
+    if (service && typeof service !== 'string') { throw new HandledError('Api key service must be a string', 400); }
+    if (service && scopes.some(s => !SERVICE_API_KEY_SCOPES.includes(s))) {
+      throw new HandledError(`Service api key scopes limited to: ${SERVICE_API_KEY_SCOPES.join(', ')}`, 400);
+    }
+
+    const key = generateKey();
+    const apiKey = new storage.model('ApiKey')({ name, scopes: [...new Set(scopes)], service, _user: userId, keyPrefix: key.slice(0, 10), hashedKey: hashKey(key) });
+    await apiKey.auditSave({ performedBy: performedBy || userId?.toString() || service, action: 'create' });
+
+    return { apiKey, key };
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating api key: ${err.message}`, { userId, service });
+      throw err;
+    }
+    logger.error('Error creating api key', err, { userId, service });
+    throw new HandledError('Error creating api key', 500);
+  }
+};
+
+/**
+ * Method to find the active api key for a plain text key, recording when it was last used
+ * @param {Object} params - Parameters to authenticate with
+ * @param {String} params.key - Plain text api key
+ *
+ * @returns {ApiKey} apiKey - Api key found, or null if the key is invalid or revoked
+ */
+ApiKey.statics.authenticate = async function({ key } = {}) {
+  try {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) { return null; }
+
+    const lastUsedAt = new Date();
+    const apiKey = await storage.model('ApiKey').findOneAndUpdate(
+      { hashedKey: hashKey(key), revokedAt: { $exists: false } },
+      { $set: { lastUsedAt } },
+      { new: true }
+    );
+    return apiKey;
+  } catch (err) {
+    logger.error('Error authenticating api key', err);
+    throw new HandledError('Error authenticating api key', 500);
+  }
+};
+
+/**
+ * Method to find the api keys issued to a user
+ * @param {Object} params - Parameters to find the api keys by
+ * @param {String} params.userId - The user ID to find api keys for
+ *
+ * @returns {Array<ApiKey>} - Array of api keys for the user
+ */
+ApiKey.statics.findApiKeys = async function({ userId } = {}) {
+  try {
+    if (!Helpers.isValidObjectId(userId)) { throw new HandledError('valid userId is required', 400); }
+    const apiKeys = await storage.model('ApiKey').find({ _user: userId });
+    return apiKeys;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding api keys: ${err.message}`, { userId });
+      throw err;
+    }
+    logger.error('Error finding api keys', err, { userId });
+    throw new HandledError('Error finding api keys', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to check if the api key was granted a scope, service api keys only have the SERVICE_API_KEY_SCOPES they were granted
+ * @param {String} scope - Scope to check (see API_KEY_SCOPES)
+ *
+ * @returns {Boolean} - True if the api key has the scope, false otherwise
+ */
+ApiKey.methods.hasScope = function(scope) {
+  // Service api keys issued before their scopes were limited keep only the scopes they are still allowed
+  if (!this._user && !SERVICE_API_KEY_SCOPES.includes(scope)) { return false; }
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Method to replace the key with a newly generated one, the previous key stops working immediately
+ * @param {Object} params - Parameters for the rotation
+ * @param {String} params.performedBy - Identity of who is rotating the api key
+ *
+ * @returns {String} key - New plain text key, which is only available here
+ */
+ApiKey.methods.rotate = async function({ performedBy } = {}) {
+  try {
+    if (this.revokedAt) { throw new HandledError('Revoked api key cannot be rotated', 400); }
+    const key = generateKey();
+    this.keyPrefix = key.slice(0, 10);
+    this.hashedKey = hashKey(key);
+
+    await this.auditSave({ performedBy, action: 'rotate' });
+    return key;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error rotating api key: ${err.message}`, { apiKeyId: this._id });
+      throw err;
+    }
+    logger.error('Error rotating api key', err, { apiKeyId: this._id });
+    throw new HandledError('Error rotating api key', 500);
+  }
+};
+
+/**
+ * Method to revoke the api key so it can no longer be used
+ * @param {Object} params - Parameters for the revocation
+ * @param {String} params.performedBy - Identity of who is revoking the api key
+ *
+ * @returns {ApiKey} - Updated api key object
+ */
+ApiKey.methods.revoke = async function({ performedBy } = {}) {
+  try {
+    if (this.revokedAt) { return this; }
+    this.revokedAt = new Date();
+
+    await this.auditSave({ performedBy, action: 'revoke' });
+    return this;
+  } catch (err) {
+    logger.error('Error revoking api key', err, { apiKeyId: this._id });
+    throw new HandledError('Error revoking api key', 500);
+  }
+};
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered apiKey object
+ */
+ApiKey.methods._filter = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    keyPrefix: this.keyPrefix,
+    scopes: this.scopes,
+    service: this.service,
+    user: this._user,
+    revokedAt: this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+  };
+}
+
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Method to generate a random api key
+ *
+ * @returns {String} - Api key with the identifying prefix
+ */
+function generateKey() {
+  return `${API_KEY_PREFIX}${bs58.encode(crypto.randomBytes(32))}`;
+}
+
+/**
+ * Method to hash an api key for storage and lookup
+ * @param {String} key - Plain text api key
+ *
+ * @returns {String} - Hex encoded SHA-256 hash of the key
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export default storage.model('ApiKey', ApiKey);
@@ -1,44 +1,103 @@
-import crypto from 'crypto';
 import storage from '../index.js';
 import Helpers from '../../util/helpers.js';
 import HandledError from '../../util/handledError.js';
 import logger from '../../util/logger.js';
-import { auditSave } from '../plugins.js';
+import Money from '../../util/money.js';
+import { auditSave, cardCredentials } from '../plugins.js';
+
+// Defined enum constants to use in schema and validation in methods
+const ACCOUNT_TYPES = ['checking', 'savings'];
+const HOLDER_ROLES = ['joint', 'authorized'];
+const OWNER_ROLES = ['owner', 'joint'];
+const REISSUE_REASONS = ['lost', 'stolen', 'damaged'];
+const VENDER_LIST_TYPES = ['blocklist', 'allowlist'];
+// Withdrawal subtypes the spending controls apply to, fees are never limited
+const CONTROLLED_SUBTYPES = ['purchase', 'transfer', 'bill_payment'];
+// Reason codes for transactions rejected by the spending controls
+const CONTROL_REJECTIONS = {
+  vender_blocked: 'Vender is blocked by the spending controls of this debit card',
+  vender_not_allowed: 'Vender is not allowed by the spending controls of this debit card',
+  max_purchase_exceeded: 'Purchase exceeds the maximum single purchase of this debit card',
+  daily_limit_exceeded: 'Withdrawal exceeds the daily withdrawal limit of this debit card',
+  monthly_limit_exceeded: 'Withdrawal exceeds the monthly withdrawal limit of this debit card',
+};
+const MAX_NICKNAME_LENGTH = 50;
+const MAX_BALANCE_REBUILD_ATTEMPTS = 3;
 
 // Define the schema for a debit card
 const DebitCard = new storage.schema({
   accountNumber: { type: String, required: true, unique: true },
   lastFourDigits: { type: String, validate: { validator: d => /^\d{4}$/.test(d), message: 'Invalid last four digits' }, required: true },
+  accountType: { type: String, enum: ACCOUNT_TYPES, default: 'checking', required: true },
+  nickname: { type: String, maxlength: MAX_NICKNAME_LENGTH },
+  // Currency the account is held in, every transaction of the account is converted to it
+  currency: { type: String, default: Money.DEFAULT_CURRENCY, required: true },
   active: { type: Boolean, default: true },
   lastOverdraftFee: { type: Date },
-  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true, unique: true },
-  auditLog: [{ timestamp: Date, performedBy: String, action: String }],
+  closedAt: { type: Date },
+  // Reissued debit cards link back to the first card of the account, so the history of every card is shared
+  _originalCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', index: true },
+  _replacedBy: { type: storage.schema.Types.ObjectId, ref: 'DebitCard' },
+  reissueReason: { type: String, enum: REISSUE_REASONS },
+  // Running balances of the account in cents, kept on the first card of the account and only changed with $inc as transactions change status
+  // No defaults, so saving a debit card loaded before its first balance update cannot overwrite the balances
+  currentBalance: Number,
+  pendingBalance: Number,
+  // Incremented by every balance update, so rebuilding the balances cannot overwrite an update made while rebuilding
+  balanceVersion: Number,
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Additional holders of the account - the primary owner is always _user
+  holders: [{
+    _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    role: { type: String, enum: HOLDER_ROLES, required: true },
+    // Spending cap in cents
+    spendingCap: Number,
+    addedAt: { type: Date, default: Date.now },
+  }],
+  // Spending controls set by the owners, limits are positive amounts in cents and unset limits are not enforced
+  controls: {
+    maxPurchaseAmount: Number,
+    dailyWithdrawalLimit: Number,
+    monthlyWithdrawalLimit: Number,
+    venderListType: { type: String, enum: VENDER_LIST_TYPES },
+    venders: [String],
+  },
+  auditLog: [{ timestamp: Date, performedBy: String, action: String, reason: String }],
 },
 { timestamps: true });
 
-// Plugin auditSave for auditLog field
+// Plugin auditSave for auditLog field, and cardCredentials for the expiry and CVV of the card
 DebitCard.plugin(auditSave);
+DebitCard.plugin(cardCredentials);
 
 // ------------------------- STATIC FUNCTIONS -------------------------
 
 /**
- * Method to create a debit card for a user
+ * Method to create a debit card account for a user - a user can hold several accounts
  * @param {Object} params - Parameters for the debit card
  * @param {String} params.userId - The user ID for the debit card
+ * @param {String} params.accountType - Type of account (see ACCOUNT_TYPES), defaults to checking
+ * @param {String} params.nickname - Optional nickname for the account
+ * @param {String} params.currency - Currency the account is held in, defaults to USD - requires an exchange rate for other currencies
  * 
  * @returns {DebitCard} debitCard - New debit card object
  */
-DebitCard.statics.create = async function({ userId } = {}) {
+DebitCard.statics.create = async function({ userId, accountType = 'checking', nickname, currency = Money.DEFAULT_CURRENCY } = {}) {
   try {
     // Validate and set the debit card parameters
     if (!Helpers.isValidObjectId(userId)) { throw new HandledError('valid userId is required', 400); }
-    const existingDebitCard = await storage.model('DebitCard').findOne({ _user: userId });
-    if (existingDebitCard) { throw new HandledError('Debit card already exists for user', 400); }
+    if (!ACCOUNT_TYPES.includes(accountType)) { throw new HandledError(`accountType must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400); }
+    if (typeof nickname !== 'undefined' && (typeof nickname !== 'string' || nickname.length > MAX_NICKNAME_LENGTH)) {
+      throw new HandledError(`nickname must be a string of at most ${MAX_NICKNAME_LENGTH} characters`, 400);
+    }
+    if (!Money.isValidCurrency(currency)) { throw new HandledError('currency must be a 3 letter currency code', 400); }
+    // Ensure transactions in other currencies can be converted to the currency of the account
+    await storage.model('FxRate').getRate({ from: currency, to: Money.DEFAULT_CURRENCY });
     const user = await storage.model('User').findById({ _id: userId });
     if (!user) { throw new HandledError('User not found to create debit card', 400); }
 
-    const accountNumber = generateAccountNumber();
-    const debitCard = new storage.model('DebitCard')({ accountNumber, lastFourDigits: accountNumber.slice(-4), _user: userId });
+    const debitCard = new storage.model('DebitCard')({ accountType, nickname, currency, _user: userId });
+    debitCard.issueCredentials();
     await debitCard.save();
 
     return debitCard;
@@ -52,7 +111,182 @@ DebitCard.statics.create = async function({ userId } = {}) {
   }
 };
 
+/**
+ * Method to find the debit cards a user is allowed to access, as the primary owner or any other holder
+ * @param {Object} params - Parameters to find the debit cards by
+ * @param {String} params.userId - The user ID to find accessible debit cards for
+ * 
+ * @returns {Array<DebitCard>} - Array of debit cards the user can access
+ */
+DebitCard.statics.findAccessible = async function({ userId } = {}) {
+  try {
+    if (!Helpers.isValidObjectId(userId)) { throw new HandledError('valid userId is required', 400); }
+    const debitCards = await storage.model('DebitCard').find({ $or: [{ _user: userId }, { 'holders._user': userId }] });
+    return debitCards;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding accessible debit cards: ${err.message}`, { userId });
+      throw err;
+    }
+    logger.error('Error finding accessible debit cards', err, { userId });
+    throw new HandledError('Error finding accessible debit cards', 500);
+  }
+};
+
+/**
+ * Method to atomically change the running balances of the account a debit card belongs to
+ * @param {Object} params - Parameters for the change
+ * @param {String} params.debitCardId - Debit card of the transaction, the balances are kept on the first card of its account
+ * @param {Number} params.currentBalance - Amount in cents to change the current balance by
+ * @param {Number} params.pendingBalance - Amount in cents to change the pending balance by
+ */
+DebitCard.statics.updateBalances = async function({ debitCardId, currentBalance = 0, pendingBalance = 0 } = {}) {
+  try {
+    if (!currentBalance && !pendingBalance) { return; }
+    const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId }, { _originalCard: 1 });
+    if (!debitCard) { throw new HandledError('Debit card not found to update balances', 404); }
+
+    await storage.model('DebitCard').updateOne(
+      { _id: debitCard.getAccountId() },
+      { $inc: { currentBalance, pendingBalance, balanceVersion: 1 } }
+    );
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error updating debit card balances: ${err.message}`, { debitCardId });
+      throw err;
+    }
+    logger.error('Error updating debit card balances', err, { debitCardId });
+    throw new HandledError('Error updating debit card balances', 500);
+  }
+};
+
 // ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to get the holder entry of a user on the debit card
+ * @param {String} userId - The user ID to get the holder for
+ * 
+ * @returns {Object} - Holder with _user, role, and spendingCap - or null if the user is not a holder
+ */
+DebitCard.methods.getHolder = function(userId) {
+  if (!userId || !Helpers.isValidObjectId(userId)) { return null; }
+  if (this._user.equals(userId)) { return { _user: this._user, role: 'owner' }; }
+  return this.holders?.find(h => h._user.equals(userId)) || null;
+};
+
+/**
+ * Method to get the ID shared by every card of the account, which is the first card issued
+ * 
+ * @returns {ObjectId} - The ID of the original debit card of the account
+ */
+DebitCard.methods.getAccountId = function() {
+  return this._originalCard || this._id;
+};
+
+/**
+ * Method to get the IDs of every card of the account, including the ones it was reissued from or to
+ * 
+ * @returns {Array<ObjectId>} - Array of debit card IDs that share their history
+ */
+DebitCard.methods.getLinkedCardIds = async function() {
+  if (!this._originalCard && !this._replacedBy) { return [this._id]; }
+  const accountId = this.getAccountId();
+  const linkedDebitCards = await storage.model('DebitCard').find({ $or: [{ _id: accountId }, { _originalCard: accountId }] }, { _id: 1 });
+  return linkedDebitCards.map(d => d._id);
+};
+
+/**
+ * Method to get the current card of the account, the card it was last reissued as
+ * 
+ * @returns {DebitCard} - This debit card if it has not been reissued, otherwise its replacement
+ */
+DebitCard.methods.getCurrentCard = async function() {
+  if (!this._replacedBy) { return this; }
+  return storage.model('DebitCard').findOne({ _originalCard: this.getAccountId(), _replacedBy: { $exists: false } });
+};
+
+/**
+ * Method to check if a user is allowed to access the debit card, as any holder
+ * @param {String} userId - The user ID to check
+ * 
+ * @returns {Boolean} - True if the user can access the debit card, false otherwise
+ */
+DebitCard.methods.canAccess = function(userId) {
+  return !!this.getHolder(userId);
+};
+
+/**
+ * Method to check if a user is an owner or joint owner of the debit card
+ * @param {String} userId - The user ID to check
+ * 
+ * @returns {Boolean} - True if the user is an owner, false otherwise
+ */
+DebitCard.methods.isOwner = function(userId) {
+  return OWNER_ROLES.includes(this.getHolder(userId)?.role);
+};
+
+/**
+ * Method to add a joint owner or authorized user to the debit card
+ * @param {Object} params - Parameters for the holder
+ * @param {String} params.email - Email of the existing user to add
+ * @param {String} params.role - Role of the holder (see HOLDER_ROLES)
+ * @param {Number} params.spendingCap - Optional decimal spending cap per statement cycle, for authorized users only
+ * @param {String} params.performedBy - Identity of who is adding the holder
+ * 
+ * @returns {DebitCard} - Updated debit card object
+ */
+DebitCard.methods.addHolder = async function({ email, role, spendingCap, performedBy } = {}) {
+  try {
+    if (!HOLDER_ROLES.includes(role)) { throw new HandledError(`Holder role must be one of: ${HOLDER_ROLES.join(', ')}`, 400); }
+    if (typeof spendingCap !== 'undefined') {
+      if (role !== 'authorized') { throw new HandledError('Spending cap can only be set for authorized users', 400); }
+      if (!Money.isValidAmount(spendingCap) || spendingCap <= 0) {
+        throw new HandledError('Spending cap required as a positive number with no more than 2 decimal places', 400);
+      }
+    }
+    const user = await storage.model('User').findUser({ email });
+    if (!user) { throw new HandledError('User not found to add as holder', 400); }
+    if (this.getHolder(user._id)) { throw new HandledError('User is already a holder of the debit card', 400); }
+
+    this.holders.push({ _user: user._id, role, spendingCap: Money.toCents(spendingCap) });
+    await this.auditSave({ performedBy, action: `addHolder:${role}:${user._id.toString()}` });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error adding debit card holder: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
+    logger.error('Error adding debit card holder', err, { debitCardId: this._id });
+    throw new HandledError('Error adding debit card holder', 500);
+  }
+};
+
+/**
+ * Method to remove a joint owner or authorized user from the debit card
+ * @param {Object} params - Parameters for the holder
+ * @param {String} params.userId - The user ID of the holder to remove
+ * @param {String} params.performedBy - Identity of who is removing the holder
+ * 
+ * @returns {DebitCard} - Updated debit card object
+ */
+DebitCard.methods.removeHolder = async function({ userId, performedBy } = {}) {
+  try {
+    const holder = this.getHolder(userId);
+    if (!holder) { throw new HandledError('User is not a holder of the debit card', 400); }
+    if (holder.role === 'owner') { throw new HandledError('Primary owner cannot be removed from the debit card', 400); }
+
+    this.holders.pull(holder);
+    await this.auditSave({ performedBy, action: `removeHolder:${holder.role}:${holder._user.toString()}` });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error removing debit card holder: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
+    logger.error('Error removing debit card holder', err, { debitCardId: this._id });
+    throw new HandledError('Error removing debit card holder', 500);
+  }
+};
   
 /**
  * Method to get the transactions for a debit card
@@ -76,41 +310,84 @@ DebitCard.methods.findTransactions = async function() {
 /**
  * Method to get the balances for a debit card
  * 
- * @returns {Object} - Object with current, pending, and final balances
+ * @returns {Object} - Object with current, pending, and final balances in cents
  */
 DebitCard.methods.getBalances = async function() {
   try {
-    const totals = await storage.model('Transaction').aggregate([
-      { $match: { _debitCard: this._id } },
-      {
-        $group: {
-          _id: null,
-          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$amount', 0] } },
-          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } }
-        }
-      },
-      { $project: { _id: 0, completed: 1, pending: 1 } }
-    ]).exec();
-    return { currentBalance: totals[0].completed, pendingBalance: totals[0].pending, finalBalance: totals[0].completed + totals[0].pending };
+    // Balances are shared by every card the account has been reissued as, and read fresh as they change with each transaction
+    const account = await storage.model('DebitCard').findOne({ _id: this.getAccountId() }, { currentBalance: 1, pendingBalance: 1 });
+    // A debit card without any transactions has never had its balances set, so they are zero
+    const currentBalance = account?.currentBalance || 0;
+    const pendingBalance = account?.pendingBalance || 0;
+    return { currentBalance, pendingBalance, finalBalance: currentBalance + pendingBalance };
   } catch (err) {
     logger.error('Error getting debit card balances', err, { debitCardId: this._id });
     throw new HandledError('Error getting debit card balances', 500);
   }
 };
 
+/**
+ * Method to recompute the running balances of the account from its history - the current balance from the journal
+ * and the pending balance from its pending transactions
+ * 
+ * @returns {Object} - Object with the rebuilt current, pending, and final balances in cents
+ */
+DebitCard.methods.rebuildBalances = async function() {
+  try {
+    const accountId = this.getAccountId();
+    const linkedCardIds = await this.getLinkedCardIds();
+    for (let attempt = 0; attempt < MAX_BALANCE_REBUILD_ATTEMPTS; attempt++) {
+      const account = await storage.model('DebitCard').findOne({ _id: accountId }, { balanceVersion: 1 });
+      if (!account) { throw new HandledError('Debit card account not found', 404); }
+
+      const currentBalance = await storage.model('JournalEntry').getPostedBalance({ debitCardIds: linkedCardIds });
+      const totals = await storage.model('Transaction').aggregate([
+        // Authorization holds are part of the pending balance until they are captured, voided, or expire
+        { $match: { _debitCard: { $in: linkedCardIds }, status: { $in: ['authorized', 'pending'] } } },
+        { $group: { _id: null, pending: { $sum: '$amount' } } }
+      ]).exec();
+      const pendingBalance = totals[0]?.pending || 0;
+
+      // Only written if the balances were not updated while recomputing, otherwise try again so the update is not lost
+      const result = await storage.model('DebitCard').updateOne(
+        { _id: accountId, balanceVersion: account.balanceVersion ?? null },
+        { $set: { currentBalance, pendingBalance }, $inc: { balanceVersion: 1 } }
+      );
+      if (result.matchedCount === 1) { return { currentBalance, pendingBalance, finalBalance: currentBalance + pendingBalance }; }
+    }
+    throw new HandledError('Debit card balances changed while being rebuilt, try again', 409);
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error rebuilding debit card balances: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
+    logger.error('Error rebuilding debit card balances', err, { debitCardId: this._id });
+    throw new HandledError('Error rebuilding debit card balances', 500);
+  }
+};
+
 /**
  * Method to set a debit card as active
+ * @param {Object} params - Parameters for the change
+ * @param {String} params.performedBy - Identity of who is activating the debit card
+ * @param {String} params.reason - Optional reason for activating the debit card
  * 
  * @returns {DebitCard} - Updated debit card object
  */
-DebitCard.methods.setActive = async function() {
+DebitCard.methods.setActive = async function({ performedBy, reason } = {}) {
   try {
     if (this.active) { return this; }
+    if (this.closedAt) { throw new HandledError('Closed debit card cannot be set as active', 400); }
+    if (this._replacedBy) { throw new HandledError('Reissued debit card cannot be set as active', 400); }
     this.active = true;
 
-    await this.auditSave({ performedBy: 'user', action: 'setActive' });
+    await this.auditSave({ performedBy, action: 'setActive', reason });
     return this;
   } catch (err) {
+    if (err.handled) {
+      logger.info(`Error setting debit card as active: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
     logger.error('Error setting debit card as active', err, { debitCardId: this._id });
     throw new HandledError('Error setting debit card as active', 500);
   }
@@ -118,15 +395,18 @@ DebitCard.methods.setActive = async function() {
 
 /**
  * Method to set a debit card as inactive
+ * @param {Object} params - Parameters for the change
+ * @param {String} params.performedBy - Identity of who is deactivating the debit card
+ * @param {String} params.reason - Optional reason for deactivating the debit card
  * 
  * @returns {DebitCard} - Updated debit card object
  */
-DebitCard.methods.setInactive = async function() {
+DebitCard.methods.setInactive = async function({ performedBy, reason } = {}) {
   try {
     if (!this.active) { return this; }
     this.active = false;
 
-    await this.auditSave({ performedBy: 'user', action: 'setInactive' });
+    await this.auditSave({ performedBy, action: 'setInactive', reason });
     return this;
   } catch (err) {
     logger.error('Error setting debit card as inactive', err, { debitCardId: this._id });
@@ -134,6 +414,232 @@ DebitCard.methods.setInactive = async function() {
   }
 };
 
+/**
+ * Method to replace the spending controls of the debit card
+ * @param {Object} params - Parameters for the controls
+ * @param {Object} params.controls - Controls with decimal maxPurchaseAmount, dailyWithdrawalLimit, and monthlyWithdrawalLimit, venderListType, and venders
+ * @param {String} params.performedBy - Identity of who is setting the controls
+ * 
+ * @returns {DebitCard} - Updated debit card object
+ */
+DebitCard.methods.setControls = async function({ controls, performedBy } = {}) {
+  try {
+    if (!controls || typeof controls !== 'object') { throw new HandledError('Controls required as an object', 400); }
+    const { maxPurchaseAmount, dailyWithdrawalLimit, monthlyWithdrawalLimit, venderListType, venders } = controls;
+    for (const [name, limit] of Object.entries({ maxPurchaseAmount, dailyWithdrawalLimit, monthlyWithdrawalLimit })) {
+      if (limit === undefined || limit === null) { continue; }
+      if (!Money.isValidAmount(limit) || limit <= 0) {
+        throw new HandledError(`${name} must be a positive number with no more than 2 decimal places`, 400);
+      }
+    }
+    if (venderListType !== undefined && venderListType !== null && !VENDER_LIST_TYPES.includes(venderListType)) {
+      throw new HandledError(`venderListType must be one of: ${VENDER_LIST_TYPES.join(', ')}`, 400);
+    }
+    if (venders !== undefined && (!Array.isArray(venders) || venders.some(v => typeof v !== 'string' || !v))) {
+      throw new HandledError('venders must be an array of strings', 400);
+    }
+    if (venders?.length && !venderListType) { throw new HandledError('venderListType required when venders are provided', 400); }
+
+    this.controls = {
+      maxPurchaseAmount: Money.toCents(maxPurchaseAmount ?? undefined),
+      dailyWithdrawalLimit: Money.toCents(dailyWithdrawalLimit ?? undefined),
+      monthlyWithdrawalLimit: Money.toCents(monthlyWithdrawalLimit ?? undefined),
+      venderListType: venderListType ?? undefined,
+      venders: [...new Set((venders || []).map(v => v.toUpperCase()))],
+    };
+    await this.auditSave({ performedBy, action: 'setControls' });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error setting debit card controls: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
+    logger.error('Error setting debit card controls', err, { debitCardId: this._id });
+    throw new HandledError('Error setting debit card controls', 500);
+  }
+};
+
+/**
+ * Method to find the spending control a withdrawal would violate, checked against the withdrawals made before it
+ * @param {Object} params - Parameters of the transaction
+ * @param {String} params.type - Type of the transaction
+ * @param {String} params.subtype - Subtype of the transaction
+ * @param {Number} params.amount - Amount of the transaction in cents
+ * @param {String} params.vender - Vender of the transaction
+ * @param {Date} params.date - Date of the transaction, defaults to now
+ * 
+ * @returns {Object} - Object with the reason code and message, or null if no control is violated
+ */
+DebitCard.methods.getControlViolation = async function({ type, subtype, amount, vender, date = new Date() } = {}) {
+  const violation = (reason) => ({ reason, message: CONTROL_REJECTIONS[reason] });
+  const controls = this.controls || {};
+  if (type !== 'withdrawal' || !CONTROLLED_SUBTYPES.includes(subtype)) { return null; }
+
+  if (subtype === 'purchase') {
+    const listed = controls.venders?.includes(vender?.toUpperCase());
+    if (controls.venderListType === 'blocklist' && listed) { return violation('vender_blocked'); }
+    if (controls.venderListType === 'allowlist' && !listed) { return violation('vender_not_allowed'); }
+    if (typeof controls.maxPurchaseAmount === 'number' && Math.abs(amount) > controls.maxPurchaseAmount) { return violation('max_purchase_exceeded'); }
+  }
+
+  const hasDailyLimit = typeof controls.dailyWithdrawalLimit === 'number';
+  const hasMonthlyLimit = typeof controls.monthlyWithdrawalLimit === 'number';
+  if (!hasDailyLimit && !hasMonthlyLimit) { return null; }
+
+  // Total the withdrawals of the statement cycle and the day that came before this one
+  const dayStart = Helpers.getDayStart(date);
+  const [totals] = await storage.model('Transaction').aggregate([
+    { $match: {
+      _debitCard: { $in: await this.getLinkedCardIds() },
+      type: 'withdrawal',
+      subtype: { $in: CONTROLLED_SUBTYPES },
+      status: { $in: ['scheduled', 'authorized', 'pending', 'completed'] },
+      date: { $gte: Helpers.getStatementCycleStart(date), $lt: new Date(date) }
+    } },
+    { $group: { _id: null, monthly: { $sum: '$amount' }, daily: { $sum: { $cond: [{ $gte: ['$date', dayStart] }, '$amount', 0] } } } }
+  ]);
+  if (hasDailyLimit && Math.abs(totals?.daily || 0) + Math.abs(amount) > controls.dailyWithdrawalLimit) { return violation('daily_limit_exceeded'); }
+  if (hasMonthlyLimit && Math.abs(totals?.monthly || 0) + Math.abs(amount) > controls.monthlyWithdrawalLimit) { return violation('monthly_limit_exceeded'); }
+  return null;
+};
+
+/**
+ * Method to close the debit card account, sweeping any positive balance to another account first
+ * The account cannot be closed while it has pending transactions or a negative balance
+ * @param {Object} params - Parameters for the closure
+ * @param {String} params.sweepAccountNumber - Account number to transfer the remaining balance to, required if the balance is positive
+ * @param {String} params.userId - User closing the account, required to be an owner of the debit card if provided
+ * @param {String} params.performedBy - Identity of who is closing the debit card
+ * @param {String} params.reason - Optional reason for closing the debit card
+ * 
+ * @returns {Object} - Object with the closed debitCard and its final statement, with balances in cents
+ */
+DebitCard.methods.close = async function({ sweepAccountNumber, userId, performedBy, reason } = {}) {
+  try {
+    if (this.closedAt) { throw new HandledError('Debit card is already closed', 400); }
+    if (this._replacedBy) { throw new HandledError('Debit card has been reissued, the current card of the account must be closed', 400); }
+    if (userId && !this.isOwner(userId)) { throw new HandledError('Not authorized to close this debit card', 403); }
+
+    const linkedCardIds = await this.getLinkedCardIds();
+    const closedAt = new Date();
+    const log = { timestamp: closedAt, performedBy, action: 'close', ...(reason && { reason }) };
+    // The card is claimed closed before its pending transactions and balance are read, in one unit of work with the sweep - so a
+    // transaction made at the same time is either counted or conflicts, and the balance cannot be swept without the account being closed
+    const { currentBalance, sweepDebitCard } = await storage.unitOfWork(async () => {
+      const claimed = await storage.model('DebitCard').updateOne(
+        { _id: this._id, active: this.active, closedAt: { $exists: false }, _replacedBy: { $exists: false } },
+        { $set: { active: false, closedAt }, $push: { auditLog: log } }
+      );
+      if (claimed.matchedCount !== 1) { throw new HandledError('Debit card was closed, reissued, or changed at the same time', 409); }
+
+      const pendingTransactions = await storage.model('Transaction').countDocuments({ _debitCard: { $in: linkedCardIds }, status: { $in: ['scheduled', 'authorized', 'pending'] } });
+      if (pendingTransactions > 0) { throw new HandledError('Debit card cannot be closed while transactions are pending', 400); }
+
+      const { currentBalance } = await this.getBalances();
+      if (currentBalance < 0) { throw new HandledError('Debit card cannot be closed with a negative balance', 400); }
+      if (currentBalance === 0) { return { currentBalance }; }
+
+      // Sweep the remaining balance to the named account, completed immediately as this account is no longer validated
+      if (typeof sweepAccountNumber !== 'string') { throw new HandledError('sweepAccountNumber required as a string to transfer the remaining balance', 400); }
+      if (sweepAccountNumber === this.accountNumber) { throw new HandledError('Remaining balance must be swept to another account', 400); }
+      const sweepDebitCard = await storage.model('DebitCard').findOne({ accountNumber: sweepAccountNumber });
+      if (!sweepDebitCard || !sweepDebitCard.active) { throw new HandledError('Sweep debit card not found or is inactive', 400); }
+      const sweepTransactions = [
+        { type: 'withdrawal', subtype: 'transfer', amount: -Money.fromCents(currentBalance), description: `Closing balance transfer to ${sweepDebitCard._user.toString()}`, debitCard: this },
+        { type: 'debit', subtype: 'credit', amount: Money.fromCents(currentBalance), currency: this.currency, description: `Closing balance transfer from ${this._user.toString()}`, debitCard: sweepDebitCard }
+      ];
+      for (const params of sweepTransactions) {
+        const transaction = await storage.model('Transaction').create({ ...params, vender: 'SELF', skipSave: true, skipControls: true });
+        transaction.status = 'completed';
+        await transaction.save();
+        await storage.model('DebitCard').updateBalances({ debitCardId: transaction._debitCard, currentBalance: transaction.amount });
+        await storage.model('JournalEntry').postTransaction({ transaction });
+      }
+      return { currentBalance, sweepDebitCard };
+    });
+    this.set({ active: false, closedAt });
+    this.auditLog.push(log);
+
+    // Final statement covers the last statement cycle up to the closure
+    const startDate = Helpers.getStatementCycleStart(this.closedAt);
+    const transactions = await storage.model('Transaction').find({ _debitCard: { $in: linkedCardIds }, date: { $gte: startDate } }).sort({ date: 1 });
+    const statement = {
+      startDate,
+      endDate: this.closedAt,
+      currency: this.currency,
+      closingBalance: currentBalance,
+      sweptAmount: currentBalance,
+      sweepAccountNumber: sweepDebitCard?.accountNumber,
+      transactions
+    };
+
+    return { debitCard: this, statement };
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error closing debit card: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
+    logger.error('Error closing debit card', err, { debitCardId: this._id });
+    throw new HandledError('Error closing debit card', 500);
+  }
+};
+
+/**
+ * Method to replace a lost, stolen, or damaged debit card with a new account number
+ * The debit card is deactivated and the new card keeps the account, holders, and history
+ * @param {Object} params - Parameters for the reissue
+ * @param {String} params.reason - Reason code for the reissue (see REISSUE_REASONS)
+ * @param {String} params.userId - User reissuing the card, required to be an owner of the debit card if provided
+ * @param {String} params.performedBy - Identity of who is reissuing the debit card
+ * 
+ * @returns {DebitCard} debitCard - New debit card object
+ */
+DebitCard.methods.reissue = async function({ reason, userId, performedBy } = {}) {
+  try {
+    if (!REISSUE_REASONS.includes(reason)) { throw new HandledError(`Reissue reason must be one of: ${REISSUE_REASONS.join(', ')}`, 400); }
+    if (userId && !this.isOwner(userId)) { throw new HandledError('Not authorized to reissue this debit card', 403); }
+    if (this.closedAt) { throw new HandledError('Closed debit card cannot be reissued', 400); }
+    if (this._replacedBy) { throw new HandledError('Debit card has already been reissued', 400); }
+
+    const debitCard = new storage.model('DebitCard')({
+      accountType: this.accountType,
+      nickname: this.nickname,
+      currency: this.currency,
+      controls: this.toObject().controls,
+      lastOverdraftFee: this.lastOverdraftFee,
+      _user: this._user,
+      holders: this.holders.map(h => h.toObject()),
+      _originalCard: this.getAccountId()
+    });
+    debitCard.issueCredentials();
+
+    // The new card and the deactivation of this card are saved together, so the account always has one current card
+    await storage.unitOfWork(async () => {
+      // Only claimed while not reissued or closed, so a reissue made at the same time cannot create a second current card
+      const result = await storage.model('DebitCard').updateOne(
+        { _id: this._id, _replacedBy: { $exists: false }, closedAt: { $exists: false } },
+        { $set: { active: false, _replacedBy: debitCard._id, reissueReason: reason } }
+      );
+      if (result.matchedCount !== 1) { throw new HandledError('Debit card was reissued or closed at the same time', 409); }
+      await debitCard.save();
+
+      this.active = false;
+      this._replacedBy = debitCard._id;
+      this.reissueReason = reason;
+      await this.auditSave({ performedBy, action: `reissue:${reason}`, reason: `Reissued as ${debitCard._id.toString()}` });
+    });
+
+    return debitCard;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error reissuing debit card: ${err.message}`, { debitCardId: this._id });
+      throw err;
+    }
+    logger.error('Error reissuing debit card', err, { debitCardId: this._id });
+    throw new HandledError('Error reissuing debit card', 500);
+  }
+};
+
 /**
  * Filter method to be used before returning to the client
  * 
@@ -144,28 +650,31 @@ DebitCard.methods._filter = function() {
     id: this._id,
     accountNumber: this.accountNumber,
     lastFourDigits: this.lastFourDigits,
+    expiryMonth: this.expiryMonth,
+    expiryYear: this.expiryYear,
+    accountType: this.accountType,
+    nickname: this.nickname,
+    currency: this.currency,
     active: this.active,
+    closedAt: this.closedAt,
+    originalCard: this._originalCard,
+    replacedBy: this._replacedBy,
+    reissueReason: this.reissueReason,
+    controls: {
+      maxPurchaseAmount: Money.fromCents(this.controls?.maxPurchaseAmount),
+      dailyWithdrawalLimit: Money.fromCents(this.controls?.dailyWithdrawalLimit),
+      monthlyWithdrawalLimit: Money.fromCents(this.controls?.monthlyWithdrawalLimit),
+      venderListType: this.controls?.venderListType,
+      venders: this.controls?.venders,
+    },
     user: this._user,
+    holders: this.holders?.map(holder => {
+      return { user: holder._user, role: holder.role, spendingCap: Money.fromCents(holder.spendingCap), addedAt: holder.addedAt };
+    }),
     auditLog: this.auditLog?.map(log => {
-      return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action };
+      return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action, reason: log.reason };
     }),
   };
 }
 
-// ------------------------- HELPER FUNCTIONS -------------------------
-
-/**
- * Method to generate a random 16 digit account number
- * 
- * @returns {String} - 16 digit account number
- */
-function generateAccountNumber() {
-  // Generate 6 random bytes (64 bits) and convert to a big-endian integer
-  const randomBytes = crypto.randomBytes(6);
-  const randomNumber = randomBytes.readUIntBE(0, 6);
-
-  // Ensure the number is 16 digits long by padding
-  return randomNumber.toString().padStart(16, '0').slice(0, 16);
-}
-
 export default storage.model('DebitCard', DebitCard);
\ No newline at end of file
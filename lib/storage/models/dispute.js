@@ -0,0 +1,205 @@
+import storage from '../index.js';
+import Helpers from '../../util/helpers.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+import Money from '../../util/money.js';
+import { auditSave } from '../plugins.js';
+
+// Defined enum constants to use in schema and validation in methods
+const DISPUTE_REASONS = ['unrecognized', 'fraudulent', 'duplicate', 'not_received', 'incorrect_amount', 'canceled', 'other'];
+const DISPUTE_STATUSES = ['opened', 'provisional_credit', 'under_review', 'won', 'lost'];
+// Statuses a dispute can move to from each status, won and lost are final
+const DISPUTE_TRANSITIONS = {
+  opened: ['provisional_credit'],
+  provisional_credit: ['under_review'],
+  under_review: ['won', 'lost']
+};
+const MAX_EVIDENCE_LENGTH = 2000;
+
+// Schema for a dispute of a completed purchase by a customer that does not recognize or agree with the charge
+const Dispute = new storage.schema({
+  // Purchase disputed, each purchase can only be disputed once
+  _transaction: { type: storage.schema.Types.ObjectId, ref: 'Transaction', required: true, unique: true },
+  _debitCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', required: true },
+  // Holder of the debit card that opened the dispute
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', index: true },
+  // Amount disputed in cents, the part of the purchase that has not been refunded
+  amount: { type: Number, required: true, validate: { validator: Number.isInteger, message: 'Dispute amount must be in whole cents' } },
+  currency: { type: String, default: Money.DEFAULT_CURRENCY, required: true },
+  reason: { type: String, enum: DISPUTE_REASONS, required: true },
+  evidence: { type: String, maxLength: MAX_EVIDENCE_LENGTH },
+  status: { type: String, enum: DISPUTE_STATUSES, default: 'opened', required: true, index: true },
+  // Transactions posted for the provisional credit, and for reversing it when the dispute is lost
+  _provisionalCredit: { type: storage.schema.Types.ObjectId, ref: 'Transaction' },
+  _reversal: { type: storage.schema.Types.ObjectId, ref: 'Transaction' },
+  resolvedAt: Date,
+  auditLog: [{ timestamp: Date, performedBy: String, action: String, reason: String }],
+},
+{ timestamps: true });
+
+// Plugin auditSave for auditLog field
+Dispute.plugin(auditSave);
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to open a dispute of a completed purchase
+ * @param {Object} params - Parameters for the dispute
+ * @param {String} params.transactionId - Purchase to dispute
+ * @param {String} params.reason - Reason code for the dispute (see DISPUTE_REASONS)
+ * @param {String} params.evidence - Optional note with evidence for the dispute
+ * @param {String} params.userId - User opening the dispute, required to have access to the purchase if provided
+ * @param {String} params.performedBy - Identity of who is opening the dispute
+ *
+ * @returns {Dispute} dispute - New dispute object
+ */
+Dispute.statics.open = async function({ transactionId, reason, evidence, userId, performedBy } = {}) {
+  try {
+    if (!Helpers.isValidObjectId(transactionId)) { throw new HandledError('valid transactionId is required', 400); }
+    if (!DISPUTE_REASONS.includes(reason)) { throw new HandledError(`Dispute reason must be one of: ${DISPUTE_REASONS.join(', ')}`, 400); }
+    if (typeof evidence !== 'undefined' && (typeof evidence !== 'string' || evidence.length > MAX_EVIDENCE_LENGTH)) {
+      throw new HandledError(`Dispute evidence must be a string of no more than ${MAX_EVIDENCE_LENGTH} characters`, 400);
+    }
+
+    // Users can only dispute the purchases they can see
+    const [transaction] = await storage.model('Transaction').findTransactions({ transactionId, userId });
+    if (!transaction) { throw new HandledError('Transaction not found', 404); }
+    if (transaction.status !== 'completed' || transaction.type !== 'withdrawal' || transaction.subtype !== 'purchase') {
+      throw new HandledError('Transaction invalid for dispute - must be completed purchase', 400);
+    }
+    const amount = Math.abs(transaction.amount) - (transaction.refundedAmount || 0);
+    if (amount <= 0) { throw new HandledError('Transaction has already been fully refunded', 400); }
+    if (await storage.model('Dispute').exists({ _transaction: transaction._id })) {
+      throw new HandledError('Transaction has already been disputed', 400);
+    }
+
+    const dispute = new storage.model('Dispute')({
+      _transaction: transaction._id,
+      _debitCard: transaction._debitCard,
+      _user: userId,
+      amount,
+      currency: transaction.currency,
+      reason,
+      evidence
+    });
+    await dispute.auditSave({ performedBy, action: 'open', reason });
+
+    return dispute;
+  } catch (err) {
+    // A dispute opened for the same purchase at the same time is rejected by the unique index
+    if (err.code === 11000) { throw new HandledError('Transaction has already been disputed', 400); }
+    if (err.handled) {
+      logger.info(`Error opening dispute: ${err.message}`, { transactionId });
+      throw err;
+    }
+    logger.error('Error opening dispute', err, { transactionId });
+    throw new HandledError('Error opening dispute', 500);
+  }
+};
+
+/**
+ * Method to find disputes based on parameters
+ * @param {Object} params - Parameters to find disputes by
+ * @param {String} params.disputeId - ID of the dispute to find
+ * @param {String} params.status - Status of the disputes to find
+ * @param {String} params.userId - User requesting the disputes, scopes the results to the disputes they opened if provided
+ *
+ * @returns {Array<Dispute>} - Array of disputes found
+ */
+Dispute.statics.findDisputes = async function({ disputeId, status, userId } = {}) {
+  try {
+    const query = {};
+    if (disputeId) {
+      if (!Helpers.isValidObjectId(disputeId)) { throw new HandledError('disputeId parameter invalid', 400); }
+      query._id = disputeId;
+    }
+    if (status) {
+      if (!DISPUTE_STATUSES.includes(status)) { throw new HandledError(`Dispute status must be one of: ${DISPUTE_STATUSES.join(', ')}`, 400); }
+      query.status = status;
+    }
+    if (userId) { query._user = userId; }
+
+    const disputes = await storage.model('Dispute').find(query).sort({ _id: -1 });
+    return disputes;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding disputes: ${err.message}`);
+      throw err;
+    }
+    logger.error('Error finding disputes', err);
+    throw new HandledError('Error finding disputes', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to move the dispute to its next status, posting the provisional credit when issued and reversing it when lost
+ * @param {Object} params - Parameters for the status change
+ * @param {String} params.status - Status to move the dispute to (see DISPUTE_TRANSITIONS)
+ * @param {String} params.reason - Optional reason for the status change
+ * @param {String} params.performedBy - Identity of who is changing the status
+ *
+ * @returns {Dispute} dispute - Updated dispute object
+ */
+Dispute.methods.setStatus = async function({ status, reason, performedBy } = {}) {
+  try {
+    const nextStatuses = DISPUTE_TRANSITIONS[this.status] || [];
+    if (!nextStatuses.includes(status)) {
+      throw new HandledError(nextStatuses.length ? `Dispute status can only be changed to: ${nextStatuses.join(', ')}` : 'Dispute has already been resolved', 400);
+    }
+    const previousStatus = this.status;
+
+    // The status change, its transaction, and the audit log are saved together
+    await storage.unitOfWork(async () => {
+      // Only changed from the status it was read with, so the same change made at the same time cannot post its transaction twice
+      const result = await storage.model('Dispute').updateOne({ _id: this._id, status: previousStatus }, { $set: { status } });
+      if (result.matchedCount !== 1) { throw new HandledError('Dispute status was changed at the same time, try again', 409); }
+
+      this.status = status;
+      if (status === 'provisional_credit' || status === 'lost') {
+        const transaction = await storage.model('Transaction').createDisputeTransaction({ dispute: this });
+        this[status === 'lost' ? '_reversal' : '_provisionalCredit'] = transaction._id;
+      }
+      if (status === 'won' || status === 'lost') { this.resolvedAt = new Date(); }
+      await this.auditSave({ performedBy, action: `status:${status}`, reason });
+    });
+
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error changing dispute status: ${err.message}`, { disputeId: this._id });
+      throw err;
+    }
+    logger.error('Error changing dispute status', err, { disputeId: this._id });
+    throw new HandledError('Error changing dispute status', 500);
+  }
+};
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered dispute object
+ */
+Dispute.methods._filter = function() {
+  return {
+    id: this._id,
+    transaction: this._transaction,
+    debitCard: this._debitCard,
+    user: this._user,
+    amount: Money.fromCents(this.amount),
+    currency: this.currency,
+    reason: this.reason,
+    evidence: this.evidence,
+    status: this.status,
+    provisionalCredit: this._provisionalCredit,
+    reversal: this._reversal,
+    resolvedAt: this.resolvedAt,
+    createdAt: this.createdAt,
+    auditLog: this.auditLog?.map(log => {
+      return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action, reason: log.reason };
+    }),
+  };
+}
+
+export default storage.model('Dispute', Dispute);
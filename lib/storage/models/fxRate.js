@@ -0,0 +1,130 @@
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import storage from '../index.js';
+import HandledError from '../../util/handledError.js';
+import Money from '../../util/money.js';
+import logger from '../../util/logger.js';
+
+// Rates are quoted against the default currency, so converting between any two currencies goes through it
+const FX_BASE_CURRENCY = Money.DEFAULT_CURRENCY;
+// Significant digits kept of a rate calculated between two currencies
+const FX_RATE_PRECISION = 10;
+
+// Schema for the exchange rate of a currency - the amount of the base currency one unit of the currency is worth
+const FxRate = new storage.schema({
+  currency: { type: String, required: true, unique: true, validate: { validator: Money.isValidCurrency, message: 'Invalid currency' } },
+  rate: { type: Number, required: true, min: 0 },
+  // Where the rate was loaded from - a file, or the identity of the admin who set it
+  source: String,
+},
+{ timestamps: true });
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to set the exchange rates of currencies, replacing the existing rate of each currency provided
+ * @param {Object} params - Parameters for the rates
+ * @param {String} params.base - Currency the rates are quoted against, defaults to and must be the base currency
+ * @param {Object} params.rates - Object of rates keyed by currency, each the amount of the base currency one unit is worth
+ * @param {String} params.source - Where the rates were loaded from
+ *
+ * @returns {Array<FxRate>} - Array of every exchange rate
+ */
+FxRate.statics.setRates = async function({ base = FX_BASE_CURRENCY, rates, source } = {}) {
+  try {
+    if (base !== FX_BASE_CURRENCY) { throw new HandledError(`Exchange rates must be quoted against ${FX_BASE_CURRENCY}`, 400); }
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates) || !Object.keys(rates).length) {
+      throw new HandledError('Rates required as an object of rates keyed by currency', 400);
+    }
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (!Money.isValidCurrency(currency) || currency === FX_BASE_CURRENCY) {
+        throw new HandledError(`Rate currency must be a 3 letter currency code other than ${FX_BASE_CURRENCY}`, 400);
+      }
+      if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) { throw new HandledError(`Rate for ${currency} must be a positive number`, 400); }
+    }
+
+    await storage.model('FxRate').bulkWrite(Object.entries(rates).map(([currency, rate]) => ({
+      updateOne: { filter: { currency }, update: { $set: { rate, source } }, upsert: true }
+    })));
+    return storage.model('FxRate').find({}).sort({ currency: 1 });
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error setting exchange rates: ${err.message}`, { source });
+      throw err;
+    }
+    logger.error('Error setting exchange rates', err, { source });
+    throw new HandledError('Error setting exchange rates', 500);
+  }
+};
+
+/**
+ * Method to load the exchange rates from a JSON file with the base currency and rates, defaults to data/fxRates.json
+ * @param {Object} params - Parameters for the file
+ * @param {String} params.file - Path of the file to load
+ *
+ * @returns {Array<FxRate>} - Array of every exchange rate
+ */
+FxRate.statics.loadFile = async function({ file } = {}) {
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const path = file || __dirname + '/../data/fxRates.json';
+  let contents;
+  try {
+    contents = JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    logger.error('Error reading exchange rates file', err, { path });
+    throw new HandledError('Error reading exchange rates file', 400);
+  }
+  return storage.model('FxRate').setRates({ base: contents.base, rates: contents.rates, source: `file:${path}` });
+};
+
+/**
+ * Method to get the rate to convert an amount from one currency to another
+ * @param {Object} params - Parameters for the rate
+ * @param {String} params.from - Currency of the amount
+ * @param {String} params.to - Currency to convert the amount to
+ *
+ * @returns {Number} - Rate to multiply the amount by
+ */
+FxRate.statics.getRate = async function({ from, to } = {}) {
+  try {
+    if (!Money.isValidCurrency(from) || !Money.isValidCurrency(to)) { throw new HandledError('Valid currencies required to convert between', 400); }
+    if (from === to) { return 1; }
+
+    const currencies = [from, to].filter(c => c !== FX_BASE_CURRENCY);
+    const fxRates = await storage.model('FxRate').find({ currency: { $in: currencies } });
+    const getBaseRate = (currency) => {
+      if (currency === FX_BASE_CURRENCY) { return 1; }
+      const fxRate = fxRates.find(r => r.currency === currency);
+      if (!fxRate) { throw new HandledError(`Exchange rate not available for ${currency}`, 400); }
+      return fxRate.rate;
+    };
+    return Number((getBaseRate(from) / getBaseRate(to)).toPrecision(FX_RATE_PRECISION));
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error getting exchange rate: ${err.message}`, { from, to });
+      throw err;
+    }
+    logger.error('Error getting exchange rate', err, { from, to });
+    throw new HandledError('Error getting exchange rate', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered fxRate object
+ */
+FxRate.methods._filter = function() {
+  return {
+    currency: this.currency,
+    base: FX_BASE_CURRENCY,
+    rate: this.rate,
+    source: this.source,
+    updatedAt: this.updatedAt,
+  };
+}
+
+export default storage.model('FxRate', FxRate);
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import storage from '../index.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+
+// Defined enum constants to use in schema and validation in methods
+const IDEMPOTENCY_KEY_STATUSES = ['processing', 'completed'];
+const MAX_KEY_LENGTH = 255;
+// How long a key can be replayed for, expired keys are removed by the TTL index and can be used again
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// How long a request holds its key while processing, after which a retry takes the key over - such as when the process
+// handling the request crashed - so it must be longer than any request takes
+const IDEMPOTENCY_KEY_LOCK_SECONDS = Number(process.env.IDEMPOTENCY_KEY_LOCK_SECONDS) || 60;
+
+// Schema for an idempotency key sent by a client, with the response to replay for retries of the same request
+const IdempotencyKey = new storage.schema({
+  key: { type: String, required: true },
+  // Identity of the authenticated caller, keys are only unique per caller
+  caller: { type: String, required: true },
+  // Hash of the method, path, and body of the request the key was first used with
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: IDEMPOTENCY_KEY_STATUSES, default: 'processing', required: true },
+  // When the request processing the key took it, the response is only stored by the request still holding it
+  lockedAt: { type: Date, default: Date.now, required: true },
+  responseCode: Number,
+  responseBody: storage.schema.Types.Mixed,
+  expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+},
+{ timestamps: true });
+
+IdempotencyKey.index({ caller: 1, key: 1 }, { unique: true });
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to start a request with an idempotency key, or find the response of the request it was already used for
+ * @param {Object} params - Parameters of the request
+ * @param {String} params.key - Idempotency key sent by the client
+ * @param {String} params.caller - Identity of the authenticated caller
+ * @param {String} params.method - HTTP method of the request
+ * @param {String} params.path - Path of the request
+ * @param {Object} params.body - Body of the request
+ *
+ * @returns {Object} - Object with the idempotencyKey object, and replay set if it has a completed response to return
+ */
+IdempotencyKey.statics.begin = async function({ key, caller, method, path, body } = {}) {
+  try {
+    if (typeof key !== 'string' || !key || key.length > MAX_KEY_LENGTH) {
+      throw new HandledError(`Idempotency-Key must be a string of at most ${MAX_KEY_LENGTH} characters`, 400);
+    }
+    if (typeof caller !== 'string' || !caller) { throw new HandledError('Idempotency-Key requires an authenticated caller', 401); }
+    const fingerprint = getFingerprint({ method, path, body });
+
+    const existingKey = await storage.model('IdempotencyKey').findOne({ caller, key });
+    // The TTL index removes expired keys periodically, so a key past its expiry is treated as removed
+    if (existingKey && existingKey.expiresAt <= new Date()) {
+      await storage.model('IdempotencyKey').deleteOne({ _id: existingKey._id, expiresAt: existingKey.expiresAt });
+    } else if (existingKey) {
+      if (existingKey.fingerprint !== fingerprint) { throw new HandledError('Idempotency-Key has already been used for a different request', 422); }
+      if (existingKey.status === 'completed') { return { idempotencyKey: existingKey, replay: true }; }
+      // A key held past its lock was left by a request that never finished, so the retry takes it over
+      if (Date.now() - existingKey.lockedAt < IDEMPOTENCY_KEY_LOCK_SECONDS * 1000) {
+        throw new HandledError('A request with this Idempotency-Key is still being processed', 409);
+      }
+      const takenKey = await storage.model('IdempotencyKey').findOneAndUpdate(
+        { _id: existingKey._id, status: 'processing', lockedAt: existingKey.lockedAt },
+        { $set: { lockedAt: new Date() } },
+        { new: true }
+      );
+      if (!takenKey) { throw new HandledError('A request with this Idempotency-Key is still being processed', 409); }
+      return { idempotencyKey: takenKey, replay: false };
+    }
+
+    const idempotencyKey = new storage.model('IdempotencyKey')({
+      key,
+      caller,
+      fingerprint,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+    try {
+      await idempotencyKey.save();
+    } catch (err) {
+      // Another request with the same key was started since it was looked up
+      if (err.code === 11000) { throw new HandledError('A request with this Idempotency-Key is still being processed', 409); }
+      throw err;
+    }
+    return { idempotencyKey, replay: false };
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error beginning idempotent request: ${err.message}`, { caller });
+      throw err;
+    }
+    logger.error('Error beginning idempotent request', err, { caller });
+    throw new HandledError('Error beginning idempotent request', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to store the response of the request, to be replayed for retries with the same key
+ * @param {Object} params - Parameters of the response
+ * @param {Number} params.responseCode - HTTP status code of the response
+ * @param {Object} params.responseBody - JSON body of the response
+ *
+ * @returns {IdempotencyKey} - Updated idempotency key object
+ */
+IdempotencyKey.methods.complete = async function({ responseCode, responseBody } = {}) {
+  try {
+    // Only stored while this request still holds the key, a retry that took it over stores its own response
+    const update = { status: 'completed', responseCode, responseBody };
+    const result = await storage.model('IdempotencyKey').updateOne({ _id: this._id, lockedAt: this.lockedAt }, { $set: update });
+    if (result.matchedCount !== 1) { logger.info('Idempotency key was taken over before its response was stored', { idempotencyKeyId: this._id }); }
+    this.set(update);
+    return this;
+  } catch (err) {
+    logger.error('Error completing idempotent request', err, { idempotencyKeyId: this._id });
+    throw new HandledError('Error completing idempotent request', 500);
+  }
+};
+
+/**
+ * Method to release the key when the request could not be completed, so the client can retry it
+ */
+IdempotencyKey.methods.release = async function() {
+  try {
+    await storage.model('IdempotencyKey').deleteOne({ _id: this._id, lockedAt: this.lockedAt });
+  } catch (err) {
+    logger.error('Error releasing idempotency key', err, { idempotencyKeyId: this._id });
+    throw new HandledError('Error releasing idempotency key', 500);
+  }
+};
+
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Method to hash a request, so retries can be matched to the request a key was first used with
+ * @param {Object} request - Method, path, and body of the request
+ *
+ * @returns {String} - Hex encoded SHA-256 hash of the request
+ */
+function getFingerprint({ method, path, body }) {
+  return crypto.createHash('sha256').update(JSON.stringify([method, path, sortKeys(body)])).digest('hex');
+}
+
+/**
+ * Method to sort the keys of an object recursively, so the same body always hashes the same regardless of key order
+ * @param {*} value - Value to sort the keys of
+ *
+ * @returns {*} - Value with the keys of every object sorted
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) { return value.map(sortKeys); }
+  if (!value || typeof value !== 'object') { return value; }
+  return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])]));
+}
+
+export default storage.model('IdempotencyKey', IdempotencyKey);
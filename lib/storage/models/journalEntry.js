@@ -0,0 +1,236 @@
+import storage from '../index.js';
+import Helpers from '../../util/helpers.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+import Money from '../../util/money.js';
+
+// Defined enum constants to use in schema and validation in methods
+// The customer account is the debit card of the posting, every other account is internal to the bank
+const LEDGER_ACCOUNTS = ['customer', 'cashback_expense', 'fee_income', 'interest_expense', 'transfers_clearing', 'external_settlement', 'disputes_clearing'];
+// Internal accounts that make up the profit and loss of the bank
+const INCOME_STATEMENT_ACCOUNTS = ['fee_income', 'cashback_expense', 'interest_expense'];
+// Counterpart internal account of the customer account for each transaction subtype
+const COUNTERPART_ACCOUNTS = {
+  purchase: 'external_settlement',
+  credit: 'external_settlement',
+  refund: 'external_settlement',
+  bill_payment: 'external_settlement',
+  transfer: 'transfers_clearing',
+  fee: 'fee_income',
+  cashback: 'cashback_expense',
+  clawback: 'cashback_expense',
+  interest: 'interest_expense',
+  // Provisional credits are held against the chargeback of the merchant until the dispute is won, or reversed when it is lost
+  dispute_credit: 'disputes_clearing',
+  dispute_reversal: 'disputes_clearing'
+};
+// Vender of the transactions made for both sides of a transfer between debit cards
+const TRANSFER_VENDER = 'SELF';
+
+// Schema for a journal entry - the postings of an entry always net to zero across the accounts
+// Each posting is the signed change to its account in cents, so a customer posting matches the amount of the transaction
+const JournalEntry = new storage.schema({
+  date: { type: Date, required: true },
+  description: String,
+  // Currency of every posting of the entry, entries only net to zero and are totaled within their currency
+  currency: { type: String, default: Money.DEFAULT_CURRENCY, required: true },
+  // Completed transaction the entry was posted for, each transaction is posted once
+  _transaction: { type: storage.schema.Types.ObjectId, ref: 'Transaction', unique: true, sparse: true },
+  postings: [{
+    account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    _debitCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', index: true },
+    amount: { type: Number, required: true, validate: { validator: Number.isInteger, message: 'Posting amount must be in whole cents' } }
+  }],
+},
+{ timestamps: true });
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to create a journal entry, ensuring its postings net to zero
+ * @param {Object} params - Parameters for the journal entry
+ * @param {Date} params.date - Date of the journal entry
+ * @param {String} params.description - Description of the journal entry
+ * @param {String} params.currency - Currency of the postings, defaults to USD
+ * @param {String} params.transactionId - Transaction the journal entry is posted for
+ * @param {Array<Object>} params.postings - Postings of the journal entry, each with an account, amount in cents, and debitCardId for customer postings
+ *
+ * @returns {JournalEntry} journalEntry - New journal entry object
+ */
+JournalEntry.statics.create = async function({ date, description, currency = Money.DEFAULT_CURRENCY, transactionId, postings } = {}) {
+  try {
+    if (!Money.isValidCurrency(currency)) { throw new HandledError('Journal entry currency must be a 3 letter currency code', 400); }
+    // Validate the postings - customer postings belong to a debit card and the entry must balance
+    if (!Array.isArray(postings) || postings.length < 2) { throw new HandledError('Journal entry requires at least two postings', 400); }
+    for (const posting of postings) {
+      if (!LEDGER_ACCOUNTS.includes(posting?.account)) { throw new HandledError(`Posting account must be one of: ${LEDGER_ACCOUNTS.join(', ')}`, 400); }
+      if (!Number.isInteger(posting.amount)) { throw new HandledError('Posting amount required as a whole number of cents', 400); }
+      if (posting.account === 'customer' && !Helpers.isValidObjectId(posting.debitCardId)) {
+        throw new HandledError('valid debitCardId is required for customer postings', 400);
+      }
+    }
+    if (postings.reduce((total, p) => total + p.amount, 0) !== 0) { throw new HandledError('Journal entry postings must net to zero', 400); }
+
+    const journalEntry = new storage.model('JournalEntry')({
+      date: date || new Date(),
+      description,
+      currency,
+      _transaction: transactionId,
+      postings: postings.map(p => ({ account: p.account, _debitCard: p.debitCardId, amount: p.amount }))
+    });
+    await journalEntry.save();
+
+    return journalEntry;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating journal entry: ${err.message}`, { transactionId });
+      throw err;
+    }
+    logger.error('Error creating journal entry', err, { transactionId });
+    throw new HandledError('Error creating journal entry', 500);
+  }
+};
+
+/**
+ * Method to post a completed transaction to the journal, against the internal account for its subtype
+ * Posting is idempotent, a transaction that has already been posted returns its existing journal entry
+ * @param {Object} params - Parameters for the posting
+ * @param {Transaction} params.transaction - Completed transaction to post
+ *
+ * @returns {JournalEntry} journalEntry - Journal entry of the transaction
+ */
+JournalEntry.statics.postTransaction = async function({ transaction } = {}) {
+  try {
+    if (!transaction?._id || !transaction._debitCard) { throw new HandledError('Invalid transaction parameters for journal entry', 400); }
+    if (transaction.status !== 'completed') { throw new HandledError('Only completed transactions can be posted to the journal', 400); }
+
+    const existingEntry = await storage.model('JournalEntry').findOne({ _transaction: transaction._id });
+    if (existingEntry) { return existingEntry; }
+
+    const journalEntry = await storage.model('JournalEntry').create({
+      date: transaction.date,
+      description: transaction.description,
+      currency: transaction.currency || Money.DEFAULT_CURRENCY,
+      transactionId: transaction._id,
+      postings: [
+        { account: 'customer', debitCardId: transaction._debitCard, amount: transaction.amount },
+        { account: getCounterpartAccount(transaction), amount: -transaction.amount }
+      ]
+    });
+    return journalEntry;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error posting transaction to journal: ${err.message}`, { transactionId: transaction?._id });
+      throw err;
+    }
+    logger.error('Error posting transaction to journal', err, { transactionId: transaction?._id });
+    throw new HandledError('Error posting transaction to journal', 500);
+  }
+};
+
+/**
+ * Method to get the posted balance of the customer account across debit cards
+ * @param {Object} params - Parameters for the balance
+ * @param {Array<String>} params.debitCardIds - Debit cards of the customer account, including the cards it was reissued from
+ *
+ * @returns {Number} - Sum of the customer postings of the debit cards, in cents
+ */
+JournalEntry.statics.getPostedBalance = async function({ debitCardIds } = {}) {
+  try {
+    const totals = await storage.model('JournalEntry').aggregate([
+      { $match: { 'postings._debitCard': { $in: debitCardIds } } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': 'customer', 'postings._debitCard': { $in: debitCardIds } } },
+      { $group: { _id: null, balance: { $sum: '$postings.amount' } } }
+    ]).exec();
+    return totals[0]?.balance || 0;
+  } catch (err) {
+    logger.error('Error getting posted balance', err);
+    throw new HandledError('Error getting posted balance', 500);
+  }
+};
+
+/**
+ * Method to get the trial balance of the journal in a currency, proving the books balance and giving the net income of the bank
+ * @param {Object} params - Parameters for the trial balance
+ * @param {String} params.currency - Currency of the journal entries to include, defaults to USD
+ * @param {Date} params.startDate - Optional start date of the journal entries to include
+ * @param {Date} params.endDate - Optional end date of the journal entries to include
+ *
+ * @returns {Object} - Balance of each account, whether the accounts net to zero, and the net income of the income statement accounts - in cents
+ */
+JournalEntry.statics.getTrialBalance = async function({ startDate, endDate, currency = Money.DEFAULT_CURRENCY } = {}) {
+  try {
+    if (!Money.isValidCurrency(currency)) { throw new HandledError('currency must be a 3 letter currency code', 400); }
+    // Entries posted before currencies were recorded are in the default currency
+    const query = { $expr: { $eq: [{ $ifNull: ['$currency', Money.DEFAULT_CURRENCY] }, currency] } };
+    if (startDate) {
+      if (!Helpers.isValidDate(startDate)) { throw new HandledError('startDate paramter invalid', 400); }
+      query.date = { $gte: new Date(startDate) };
+    }
+    if (endDate) {
+      if (!Helpers.isValidDate(endDate)) { throw new HandledError('endDate paramter invalid', 400); }
+      query.date = { ...query.date, $lte: new Date(endDate) };
+    }
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) { throw new HandledError('startDate must be before endDate', 400); }
+
+    const totals = await storage.model('JournalEntry').aggregate([
+      { $match: query },
+      { $unwind: '$postings' },
+      { $group: { _id: '$postings.account', balance: { $sum: '$postings.amount' } } }
+    ]).exec();
+
+    // Every account is listed, even without postings
+    const accounts = Object.fromEntries(LEDGER_ACCOUNTS.map(account => [account, 0]));
+    for (const { _id, balance } of totals) {
+      accounts[_id] = balance;
+    }
+    const total = totals.reduce((sum, t) => sum + t.balance, 0);
+    const netIncome = INCOME_STATEMENT_ACCOUNTS.reduce((sum, account) => sum + accounts[account], 0);
+
+    return { currency, accounts, balanced: total === 0, netIncome };
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error getting trial balance: ${err.message}`);
+      throw err;
+    }
+    logger.error('Error getting trial balance', err);
+    throw new HandledError('Error getting trial balance', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered journalEntry object
+ */
+JournalEntry.methods._filter = function() {
+  return {
+    id: this._id,
+    date: this.date.toISOString(),
+    description: this.description,
+    currency: this.currency,
+    transaction: this._transaction,
+    postings: this.postings.map(p => {
+      return { account: p.account, debitCard: p._debitCard, amount: Money.fromCents(p.amount) };
+    }),
+  };
+}
+
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Method to get the internal account a transaction is posted against
+ * Both sides of a transfer between debit cards pass through the transfers clearing account
+ * @param {Transaction} transaction - Transaction to get the counterpart account of
+ *
+ * @returns {String} - Internal ledger account (see LEDGER_ACCOUNTS)
+ */
+function getCounterpartAccount(transaction) {
+  if (transaction.subtype === 'credit' && transaction.vender?.toUpperCase() === TRANSFER_VENDER) { return 'transfers_clearing'; }
+  return COUNTERPART_ACCOUNTS[transaction.subtype];
+}
+
+export default storage.model('JournalEntry', JournalEntry);
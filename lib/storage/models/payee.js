@@ -0,0 +1,196 @@
+import storage from '../index.js';
+import Helpers from '../../util/helpers.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+import { auditSave } from '../plugins.js';
+
+// Defined enum constants to use in schema and validation in methods
+const PAYEE_CATEGORIES = ['utilities', 'telecom', 'insurance', 'credit_card', 'loan', 'rent', 'tax', 'subscription', 'other'];
+const MAX_NAME_LENGTH = 100;
+const MAX_ACCOUNT_REFERENCE_LENGTH = 50;
+// Fields of a payee set by the user, each edit is recorded in the audit log with the fields it changed
+const PAYEE_FIELDS = ['name', 'accountReference', 'category', 'nickname'];
+
+// Schema for a biller in the address book of a user, that bill payments are made to
+const Payee = new storage.schema({
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, maxLength: MAX_NAME_LENGTH },
+  // Account number or reference of the user at the biller, sent along with each payment
+  accountReference: { type: String, required: true, maxLength: MAX_ACCOUNT_REFERENCE_LENGTH },
+  category: { type: String, enum: PAYEE_CATEGORIES, default: 'other', required: true },
+  nickname: { type: String, maxLength: MAX_NAME_LENGTH },
+  // Archived payees are kept for the bill payments made to them, but cannot be paid again
+  active: { type: Boolean, default: true },
+  auditLog: [{ timestamp: Date, performedBy: String, action: String, reason: String }],
+},
+{ timestamps: true });
+
+// Plugin auditSave for auditLog field
+Payee.plugin(auditSave);
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to add a payee to the address book of a user
+ * @param {Object} params - Parameters for the payee
+ * @param {String} params.userId - User adding the payee
+ * @param {String} params.name - Name of the biller
+ * @param {String} params.accountReference - Account number or reference of the user at the biller
+ * @param {String} params.category - Category of the biller (see PAYEE_CATEGORIES), defaults to other
+ * @param {String} params.nickname - Optional nickname of the payee, shown on its bill payments
+ * @param {String} params.performedBy - Identity of who is adding the payee
+ *
+ * @returns {Payee} payee - New payee object
+ */
+Payee.statics.create = async function({ userId, name, accountReference, category = 'other', nickname, performedBy } = {}) {
+  try {
+    if (!Helpers.isValidObjectId(userId)) { throw new HandledError('valid userId is required', 400); }
+    validatePayeeFields({ name, accountReference, category, nickname });
+
+    const payee = new storage.model('Payee')({ _user: userId, name, accountReference, category, nickname });
+    await payee.auditSave({ performedBy, action: 'create' });
+
+    return payee;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating payee: ${err.message}`, { userId });
+      throw err;
+    }
+    logger.error('Error creating payee', err, { userId });
+    throw new HandledError('Error creating payee', 500);
+  }
+};
+
+/**
+ * Method to find payees based on parameters, archived payees are only found by id
+ * @param {Object} params - Parameters to find payees by
+ * @param {String} params.payeeId - ID of the payee to find
+ * @param {String} params.category - Category of the payees to find
+ * @param {String} params.userId - User requesting the payees, scopes the results to their address book if provided
+ *
+ * @returns {Array<Payee>} - Array of payees found
+ */
+Payee.statics.findPayees = async function({ payeeId, category, userId } = {}) {
+  try {
+    const query = {};
+    if (payeeId) {
+      if (!Helpers.isValidObjectId(payeeId)) { throw new HandledError('payeeId parameter invalid', 400); }
+      query._id = payeeId;
+    } else {
+      query.active = true;
+    }
+    if (category) {
+      if (!PAYEE_CATEGORIES.includes(category)) { throw new HandledError(`Payee category must be one of: ${PAYEE_CATEGORIES.join(', ')}`, 400); }
+      query.category = category;
+    }
+    if (userId) { query._user = userId; }
+
+    const payees = await storage.model('Payee').find(query).sort({ name: 1 });
+    return payees;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding payees: ${err.message}`);
+      throw err;
+    }
+    logger.error('Error finding payees', err);
+    throw new HandledError('Error finding payees', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to edit the details of a payee, only the fields provided are changed
+ * @param {Object} params - Parameters for the edit
+ * @param {String} params.name - Name of the biller
+ * @param {String} params.accountReference - Account number or reference of the user at the biller
+ * @param {String} params.category - Category of the biller (see PAYEE_CATEGORIES)
+ * @param {String} params.nickname - Nickname of the payee, removed if set to null
+ * @param {String} params.performedBy - Identity of who is editing the payee
+ *
+ * @returns {Payee} - Updated payee object
+ */
+Payee.methods.edit = async function({ performedBy, ...fields } = {}) {
+  try {
+    if (!this.active) { throw new HandledError('Archived payees cannot be edited', 400); }
+    const updated = {};
+    for (const field of PAYEE_FIELDS) { updated[field] = typeof fields[field] === 'undefined' ? this[field] : fields[field]; }
+    if (updated.nickname === null) { updated.nickname = undefined; }
+    validatePayeeFields(updated);
+
+    const changedFields = PAYEE_FIELDS.filter(field => updated[field] !== this[field]);
+    if (!changedFields.length) { return this; }
+    for (const field of changedFields) { this[field] = updated[field]; }
+
+    await this.auditSave({ performedBy, action: 'edit', reason: `Changed ${changedFields.join(', ')}` });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error editing payee: ${err.message}`, { payeeId: this._id });
+      throw err;
+    }
+    logger.error('Error editing payee', err, { payeeId: this._id });
+    throw new HandledError('Error editing payee', 500);
+  }
+};
+
+/**
+ * Method to archive a payee so it can no longer be paid, its bill payments are kept
+ * @param {Object} params - Parameters for the archive
+ * @param {String} params.performedBy - Identity of who is archiving the payee
+ *
+ * @returns {Payee} - Updated payee object
+ */
+Payee.methods.archive = async function({ performedBy } = {}) {
+  try {
+    if (!this.active) { return this; }
+    this.active = false;
+
+    await this.auditSave({ performedBy, action: 'archive' });
+    return this;
+  } catch (err) {
+    logger.error('Error archiving payee', err, { payeeId: this._id });
+    throw new HandledError('Error archiving payee', 500);
+  }
+};
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered payee object
+ */
+Payee.methods._filter = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    accountReference: this.accountReference,
+    category: this.category,
+    nickname: this.nickname,
+    active: this.active,
+    createdAt: this.createdAt,
+    auditLog: this.auditLog?.map(log => {
+      return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action, reason: log.reason };
+    }),
+  };
+}
+
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Validates the fields of a payee set by the user
+ * @param {Object} fields - Name, accountReference, category, and optional nickname of the payee
+ */
+function validatePayeeFields({ name, accountReference, category, nickname }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    throw new HandledError(`Payee name required as a string of no more than ${MAX_NAME_LENGTH} characters`, 400);
+  }
+  if (typeof accountReference !== 'string' || !accountReference.trim() || accountReference.length > MAX_ACCOUNT_REFERENCE_LENGTH) {
+    throw new HandledError(`Payee accountReference required as a string of no more than ${MAX_ACCOUNT_REFERENCE_LENGTH} characters`, 400);
+  }
+  if (!PAYEE_CATEGORIES.includes(category)) { throw new HandledError(`Payee category must be one of: ${PAYEE_CATEGORIES.join(', ')}`, 400); }
+  if (typeof nickname !== 'undefined' && (typeof nickname !== 'string' || nickname.length > MAX_NAME_LENGTH)) {
+    throw new HandledError(`Payee nickname must be a string of no more than ${MAX_NAME_LENGTH} characters`, 400);
+  }
+}
+
+export default storage.model('Payee', Payee);
@@ -0,0 +1,92 @@
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import storage from '../index.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+
+// Schema for an account product, holding the rules for each debit card account type
+const Product = new storage.schema({
+  accountType: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  interestRate: { type: Number, min: 0, required: true },
+  maxTransfersPerCycle: { type: Number, min: 0, default: null },
+  allowPurchases: { type: Boolean, default: true },
+},
+{ timestamps: true });
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to insert the default products from data/products.json that do not exist yet
+ * - existing products are left as is so any changes made to them are kept
+ */
+Product.statics.seedDefaults = async function() {
+  try {
+    const __dirname = dirname(fileURLToPath(import.meta.url));
+    const products = JSON.parse(await readFile(__dirname + '/../data/products.json', 'utf8'));
+
+    await storage.model('Product').bulkWrite(products.map(product => ({
+      updateOne: { filter: { accountType: product.accountType }, update: { $setOnInsert: product }, upsert: true }
+    })));
+  } catch (err) {
+    logger.error('Error seeding default products', err);
+    throw new HandledError('Error seeding default products', 500);
+  }
+};
+
+/**
+ * Method to find the product for an account type
+ * @param {Object} params - Parameters to find the product by
+ * @param {String} params.accountType - Account type of the debit card, defaults to checking
+ * 
+ * @returns {Product} product - Product found
+ */
+Product.statics.findProduct = async function({ accountType = 'checking' } = {}) {
+  try {
+    const product = await storage.model('Product').findOne({ accountType });
+    if (!product) { throw new HandledError(`Product not configured for account type ${accountType}`, 500); }
+    return product;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding product: ${err.message}`, { accountType });
+      throw err;
+    }
+    logger.error('Error finding product', err, { accountType });
+    throw new HandledError('Error finding product', 500);
+  }
+};
+
+/**
+ * Method to get the interest rate of each product
+ * 
+ * @returns {Object} - Object of interest rates keyed by account type
+ */
+Product.statics.getInterestRates = async function() {
+  try {
+    const products = await storage.model('Product').find({});
+    return Object.fromEntries(products.map(p => [p.accountType, p.interestRate]));
+  } catch (err) {
+    logger.error('Error getting product interest rates', err);
+    throw new HandledError('Error getting product interest rates', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Filter method to be used before returning to the client
+ * 
+ * @returns {Object} - Filtered product object
+ */
+Product.methods._filter = function() {
+  return {
+    accountType: this.accountType,
+    name: this.name,
+    interestRate: this.interestRate,
+    maxTransfersPerCycle: this.maxTransfersPerCycle,
+    allowPurchases: this.allowPurchases,
+  };
+}
+
+export default storage.model('Product', Product);
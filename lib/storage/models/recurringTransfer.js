@@ -0,0 +1,486 @@
+import cron from 'node-cron';
+import storage from '../index.js';
+import Helpers from '../../util/helpers.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+import Money from '../../util/money.js';
+import { auditSave } from '../plugins.js';
+
+// Defined enum constants to use in schema and validation in methods
+const SCHEDULE_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'cron'];
+const RECURRING_TRANSFER_STATUSES = ['active', 'paused', 'completed', 'canceled'];
+const RUN_STATUSES = ['completed', 'skipped', 'failed'];
+// Other recurring transfer related constants
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const FREQUENCY_DAYS = { weekly: 7, biweekly: 14 };
+// How far ahead a cron expression is searched for its next run before it is treated as never running again
+const MAX_CRON_SEARCH_YEARS = 5;
+// Range and names of each field of a 5 field cron expression - minute, hour, day of month, month, and day of week (7 is also Sunday)
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], wrap: 7 },
+];
+
+// Schema for a transfer from one debit card to another that repeats on a schedule, running at the time of day of its start date
+const RecurringTransfer = new storage.schema({
+  _senderDebitCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', required: true, index: true },
+  _receiverDebitCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', required: true },
+  // Owner of the sender debit card that set up the recurring transfer, each transfer is sent as them
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Amount in cents and currency of the sender, converted to the currency of the receiver the same as a transfer
+  amount: { type: Number, required: true, min: 1, validate: { validator: Number.isInteger, message: 'Recurring transfer amount must be in whole cents' } },
+  currency: { type: String, default: Money.DEFAULT_CURRENCY, required: true },
+  description: String,
+  // Monthly schedules run on the day of month, or the last day of shorter months - cron expressions are matched in UTC
+  schedule: {
+    frequency: { type: String, enum: SCHEDULE_FREQUENCIES, required: true },
+    dayOfMonth: { type: Number, min: 1, max: 31 },
+    cron: String,
+  },
+  startDate: { type: Date, required: true },
+  // Runs stop after the end date, or once the number of occurrences has completed - only one of them can be set
+  endDate: Date,
+  maxOccurrences: { type: Number, min: 1 },
+  // Number of completed runs, skipped and failed runs are not counted
+  occurrences: { type: Number, default: 0 },
+  status: { type: String, enum: RECURRING_TRANSFER_STATUSES, default: 'active', required: true },
+  nextRunAt: Date,
+  // Outcome of each run, with the reason a run was skipped or failed
+  runs: [{
+    scheduledFor: Date,
+    ranAt: Date,
+    status: { type: String, enum: RUN_STATUSES },
+    reason: String,
+    _transactions: [{ type: storage.schema.Types.ObjectId, ref: 'Transaction' }],
+  }],
+  auditLog: [{ timestamp: Date, performedBy: String, action: String, reason: String }],
+},
+{ timestamps: true });
+
+// Index used by the scheduled task to find the recurring transfers that are due
+RecurringTransfer.index({ status: 1, nextRunAt: 1 });
+
+// Plugin auditSave for auditLog field
+RecurringTransfer.plugin(auditSave);
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to set up a recurring transfer between two accounts
+ * @param {Object} params - Parameters for the recurring transfer
+ * @param {String} params.senderAccountNumber - Account number of the sender
+ * @param {String} params.receiverAccountNumber - Account number of the receiver
+ * @param {Number} params.amount - Decimal amount to transfer each run, in the currency of the sender
+ * @param {String} params.frequency - Frequency of the schedule (see SCHEDULE_FREQUENCIES)
+ * @param {Number} params.dayOfMonth - Day of the month to run on, required for monthly schedules
+ * @param {String} params.cron - 5 field cron expression to run on, required for cron schedules
+ * @param {Date} params.startDate - Date of the first run, defaults to now - weekly and biweekly schedules repeat from it
+ * @param {Date} params.endDate - Optional date to stop running after
+ * @param {Number} params.maxOccurrences - Optional number of completed runs to stop after
+ * @param {String} params.description - Optional description of the recurring transfer
+ * @param {String} params.userId - User setting up the recurring transfer, required to be an owner of the sender debit card
+ * @param {String} params.performedBy - Identity of who is setting up the recurring transfer
+ *
+ * @returns {RecurringTransfer} recurringTransfer - New recurring transfer object
+ */
+RecurringTransfer.statics.create = async function({ senderAccountNumber, receiverAccountNumber, amount, frequency, dayOfMonth, cron: cronExpression, startDate, endDate, maxOccurrences, description, userId, performedBy } = {}) {
+  try {
+    // Validate the transfer parameters
+    if (typeof senderAccountNumber !== 'string') { throw new HandledError('Valid senderAccountNumber required as a string', 400); }
+    if (typeof receiverAccountNumber !== 'string') { throw new HandledError('Valid receiverAccountNumber required as a string', 400); }
+    if (senderAccountNumber === receiverAccountNumber) { throw new HandledError('Sender and receiver must be different accounts', 400); }
+    if (!Money.isValidAmount(amount) || amount <= 0) {
+      throw new HandledError('Recurring transfer amount required as a positive number with no more than 2 decimal places', 400);
+    }
+    if (typeof description !== 'undefined' && typeof description !== 'string') { throw new HandledError('Recurring transfer description must be a string', 400); }
+    if (!userId) { throw new HandledError('Recurring transfers can only be set up by a user', 400); }
+
+    // Validate the schedule - monthly schedules need a day of month and cron schedules need an expression
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) { throw new HandledError(`Schedule frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`, 400); }
+    if (frequency === 'monthly' && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      throw new HandledError('dayOfMonth required as a number from 1 to 31 for monthly schedules', 400);
+    }
+    if (frequency === 'cron' && !isValidCronExpression(cronExpression)) {
+      throw new HandledError('cron required as a 5 field cron expression for cron schedules', 400);
+    }
+    if (typeof startDate !== 'undefined' && !Helpers.isValidDate(startDate)) { throw new HandledError('startDate parameter invalid', 400); }
+    if (typeof endDate !== 'undefined' && !Helpers.isValidDate(endDate)) { throw new HandledError('endDate parameter invalid', 400); }
+    if (typeof endDate !== 'undefined' && typeof maxOccurrences !== 'undefined') { throw new HandledError('Only one of endDate or maxOccurrences can be set', 400); }
+    if (typeof maxOccurrences !== 'undefined' && (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+      throw new HandledError('maxOccurrences must be a positive whole number', 400);
+    }
+    const start = startDate ? new Date(startDate) : new Date();
+    if (endDate && new Date(endDate) < start) { throw new HandledError('startDate must be before endDate', 400); }
+
+    // Validate the sender and receiver the same as a transfer
+    const senderDebitCard = await storage.model('DebitCard').findOne({ accountNumber: senderAccountNumber });
+    if (!senderDebitCard || !senderDebitCard.active) { throw new HandledError('Sender debit card not found or is inactive', 400); }
+    if (!senderDebitCard.isOwner(userId)) { throw new HandledError('Not authorized to transfer from the sender debit card', 403); }
+    const receiverDebitCard = await storage.model('DebitCard').findOne({ accountNumber: receiverAccountNumber });
+    if (!receiverDebitCard || !receiverDebitCard.active) { throw new HandledError('Receiver debit card not found or is inactive', 400); }
+
+    const recurringTransfer = new storage.model('RecurringTransfer')({
+      _senderDebitCard: senderDebitCard._id,
+      _receiverDebitCard: receiverDebitCard._id,
+      _user: userId,
+      amount: Money.toCents(amount),
+      currency: senderDebitCard.currency,
+      description,
+      schedule: { frequency, dayOfMonth: frequency === 'monthly' ? dayOfMonth : undefined, cron: frequency === 'cron' ? cronExpression : undefined },
+      startDate: start,
+      endDate: endDate ? new Date(endDate) : undefined,
+      maxOccurrences
+    });
+    recurringTransfer.nextRunAt = recurringTransfer.getNextRunDate(new Date(start.getTime() - 1));
+    if (!recurringTransfer.nextRunAt) { throw new HandledError('Schedule has no runs before its end date', 400); }
+    await recurringTransfer.auditSave({ performedBy, action: 'create' });
+
+    return recurringTransfer;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating recurring transfer: ${err.message}`);
+      throw err;
+    }
+    logger.error('Error creating recurring transfer', err);
+    throw new HandledError('Error creating recurring transfer', 500);
+  }
+};
+
+/**
+ * Method to find recurring transfers based on parameters
+ * @param {Object} params - Parameters to find recurring transfers by
+ * @param {String} params.recurringTransferId - ID of the recurring transfer to find
+ * @param {String} params.status - Status of the recurring transfers to find
+ * @param {String} params.userId - User requesting the recurring transfers, scopes the results to the ones they set up if provided
+ *
+ * @returns {Array<RecurringTransfer>} - Array of recurring transfers found
+ */
+RecurringTransfer.statics.findRecurringTransfers = async function({ recurringTransferId, status, userId } = {}) {
+  try {
+    const query = {};
+    if (recurringTransferId) {
+      if (!Helpers.isValidObjectId(recurringTransferId)) { throw new HandledError('recurringTransferId parameter invalid', 400); }
+      query._id = recurringTransferId;
+    }
+    if (status) {
+      if (!RECURRING_TRANSFER_STATUSES.includes(status)) { throw new HandledError(`Recurring transfer status must be one of: ${RECURRING_TRANSFER_STATUSES.join(', ')}`, 400); }
+      query.status = status;
+    }
+    if (userId) { query._user = userId; }
+
+    const recurringTransfers = await storage.model('RecurringTransfer').find(query).sort({ _id: -1 });
+    return recurringTransfers;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding recurring transfers: ${err.message}`);
+      throw err;
+    }
+    logger.error('Error finding recurring transfers', err);
+    throw new HandledError('Error finding recurring transfers', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to get the date of the next run of the schedule after a date, within the start and end date
+ * @param {Date} after - Date the next run must be after
+ *
+ * @returns {Date} - Date of the next run, or null if the schedule has no more runs
+ */
+RecurringTransfer.methods.getNextRunDate = function(after) {
+  const { frequency, dayOfMonth, cron: cronExpression } = this.schedule;
+  const start = this.startDate;
+  const from = new Date(Math.max(new Date(after).getTime() + 1, start.getTime()));
+
+  let next;
+  if (FREQUENCY_DAYS[frequency]) {
+    // Weekly and biweekly runs repeat from the start date
+    const period = FREQUENCY_DAYS[frequency] * ONE_DAY;
+    next = new Date(start.getTime() + Math.ceil((from - start) / period) * period);
+  } else if (frequency === 'monthly') {
+    // Monthly runs are on the day of month at the time of day of the start date, moved to the last day of shorter months
+    const timeOfDay = start - Helpers.getDayStart(start);
+    for (let month = 0; !next || next < from; month++) {
+      const daysInMonth = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + month + 1, 0)).getUTCDate();
+      next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + month, Math.min(dayOfMonth, daysInMonth)) + timeOfDay);
+    }
+  } else {
+    next = getNextCronDate(cronExpression, from);
+  }
+
+  if (!next || (this.endDate && next > this.endDate)) { return null; }
+  return next;
+};
+
+/**
+ * Method to pause the recurring transfer, no runs happen until it is resumed
+ * @param {Object} params - Parameters for the change
+ * @param {String} params.userId - User pausing the recurring transfer, required to have set it up if provided
+ * @param {String} params.performedBy - Identity of who is pausing the recurring transfer
+ *
+ * @returns {RecurringTransfer} - Updated recurring transfer object
+ */
+RecurringTransfer.methods.pause = async function({ userId, performedBy } = {}) {
+  try {
+    if (userId && !this._user.equals(userId)) { throw new HandledError('Not authorized to update this recurring transfer', 403); }
+    if (this.status !== 'active') { throw new HandledError('Only active recurring transfers can be paused', 400); }
+
+    this.status = 'paused';
+    await this.auditSave({ performedBy, action: 'pause' });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error pausing recurring transfer: ${err.message}`, { recurringTransferId: this._id });
+      throw err;
+    }
+    logger.error('Error pausing recurring transfer', err, { recurringTransferId: this._id });
+    throw new HandledError('Error pausing recurring transfer', 500);
+  }
+};
+
+/**
+ * Method to resume a paused recurring transfer from its next run after now - the runs missed while paused are not made up
+ * @param {Object} params - Parameters for the change
+ * @param {String} params.userId - User resuming the recurring transfer, required to have set it up if provided
+ * @param {String} params.performedBy - Identity of who is resuming the recurring transfer
+ *
+ * @returns {RecurringTransfer} - Updated recurring transfer object
+ */
+RecurringTransfer.methods.resume = async function({ userId, performedBy } = {}) {
+  try {
+    if (userId && !this._user.equals(userId)) { throw new HandledError('Not authorized to update this recurring transfer', 403); }
+    if (this.status !== 'paused') { throw new HandledError('Only paused recurring transfers can be resumed', 400); }
+
+    this.nextRunAt = this.getNextRunDate(new Date());
+    this.status = this.nextRunAt ? 'active' : 'completed';
+    await this.auditSave({ performedBy, action: 'resume', ...(!this.nextRunAt && { reason: 'No runs left before the end date' }) });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error resuming recurring transfer: ${err.message}`, { recurringTransferId: this._id });
+      throw err;
+    }
+    logger.error('Error resuming recurring transfer', err, { recurringTransferId: this._id });
+    throw new HandledError('Error resuming recurring transfer', 500);
+  }
+};
+
+/**
+ * Method to cancel the recurring transfer, it cannot be resumed once canceled
+ * @param {Object} params - Parameters for the change
+ * @param {String} params.userId - User canceling the recurring transfer, required to have set it up if provided
+ * @param {String} params.performedBy - Identity of who is canceling the recurring transfer
+ *
+ * @returns {RecurringTransfer} - Updated recurring transfer object
+ */
+RecurringTransfer.methods.cancel = async function({ userId, performedBy } = {}) {
+  try {
+    if (userId && !this._user.equals(userId)) { throw new HandledError('Not authorized to update this recurring transfer', 403); }
+    if (!['active', 'paused'].includes(this.status)) { throw new HandledError('Recurring transfer has already ended', 400); }
+
+    this.status = 'canceled';
+    this.nextRunAt = undefined;
+    await this.auditSave({ performedBy, action: 'cancel' });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error canceling recurring transfer: ${err.message}`, { recurringTransferId: this._id });
+      throw err;
+    }
+    logger.error('Error canceling recurring transfer', err, { recurringTransferId: this._id });
+    throw new HandledError('Error canceling recurring transfer', 500);
+  }
+};
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered recurring transfer object
+ */
+RecurringTransfer.methods._filter = function() {
+  return {
+    id: this._id,
+    senderDebitCard: this._senderDebitCard,
+    receiverDebitCard: this._receiverDebitCard,
+    user: this._user,
+    amount: Money.fromCents(this.amount),
+    currency: this.currency,
+    description: this.description,
+    schedule: { frequency: this.schedule?.frequency, dayOfMonth: this.schedule?.dayOfMonth, cron: this.schedule?.cron },
+    startDate: this.startDate,
+    endDate: this.endDate,
+    maxOccurrences: this.maxOccurrences,
+    occurrences: this.occurrences,
+    status: this.status,
+    nextRunAt: this.nextRunAt,
+    runs: this.runs?.map(run => {
+      return { scheduledFor: run.scheduledFor, ranAt: run.ranAt, status: run.status, reason: run.reason, transactions: run._transactions };
+    }),
+    auditLog: this.auditLog?.map(log => {
+      return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action, reason: log.reason };
+    }),
+  };
+}
+
+// ------------------------- OPERATION METHODS USED BY SCHEDULED TASKS -------------------------
+
+/**
+ * Run the recurring transfers that are due through a transfer between the current cards of their accounts
+ * Runs without the funds to cover them are skipped, and each run is recorded with its outcome
+ *
+ * Note: ran via scheduled task
+ */
+RecurringTransfer.statics.runDue = async function() {
+  try {
+    const recurringTransfers = await storage.model('RecurringTransfer').find({ status: 'active', nextRunAt: { $lte: new Date() } });
+    for (const recurringTransfer of recurringTransfers) {
+      try {
+        await recurringTransfer.run();
+      } catch (err) {
+        logger.error('Error running recurring transfer', err, { recurringTransferId: recurringTransfer._id });
+        // Swallow the error and continue to the next recurring transfer
+      }
+    }
+  } catch (err) {
+    logger.error('Error running due recurring transfers', err);
+    throw new HandledError('Error running due recurring transfers', 500);
+  }
+};
+
+/**
+ * Method to make the run of the recurring transfer that is due, and schedule its next run
+ * Runs are made at most once - the run is claimed before the transfer is made, so a run that errors is recorded as failed, not retried
+ * Only completed runs count toward maxOccurrences, so the recurring transfer completes once that many transfers have been made
+ *
+ * @returns {Object} - The run recorded, or null if the run was already claimed
+ */
+RecurringTransfer.methods.run = async function() {
+  const scheduledFor = this.nextRunAt;
+  const nextRunAt = this.getNextRunDate(scheduledFor);
+  const claimed = await storage.model('RecurringTransfer').updateOne(
+    { _id: this._id, status: 'active', nextRunAt: scheduledFor },
+    { $set: { nextRunAt, status: nextRunAt ? 'active' : 'completed' } }
+  );
+  if (claimed.matchedCount !== 1) { return null; }
+
+  const run = { scheduledFor, ranAt: new Date() };
+  try {
+    // Cards reissued since the recurring transfer was set up are sent from and to through their replacements
+    const senderDebitCard = await findCurrentCard(this._senderDebitCard);
+    const receiverDebitCard = await findCurrentCard(this._receiverDebitCard);
+    if (!senderDebitCard || !receiverDebitCard) { throw new HandledError('Sender or receiver debit card not found', 400); }
+
+    const transactions = await storage.model('Transaction').createTransferTransaction({
+      senderAccountNumber: senderDebitCard.accountNumber,
+      receiverAccountNumber: receiverDebitCard.accountNumber,
+      amount: Money.fromCents(this.amount),
+      userId: this._user
+    });
+    Object.assign(run, { status: 'completed', _transactions: transactions.map(t => t._id) });
+  } catch (err) {
+    if (err.reason === 'insufficient_funds') {
+      Object.assign(run, { status: 'skipped', reason: err.reason });
+    } else {
+      logger.info(`Recurring transfer run failed: ${err.message}`, { recurringTransferId: this._id });
+      Object.assign(run, { status: 'failed', reason: err.handled ? err.message : 'Error creating transfer transactions' });
+    }
+  }
+  const recorded = await storage.model('RecurringTransfer').findOneAndUpdate(
+    { _id: this._id },
+    { $push: { runs: run }, ...(run.status === 'completed' && { $inc: { occurrences: 1 } }) },
+    { new: true, projection: { occurrences: 1 } }
+  );
+  if (run.status === 'completed' && this.maxOccurrences && recorded?.occurrences >= this.maxOccurrences) {
+    await storage.model('RecurringTransfer').updateOne(
+      { _id: this._id, status: { $in: ['active', 'paused'] } },
+      { $set: { nextRunAt: null, status: 'completed' } }
+    );
+  }
+  return run;
+};
+
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Method to find the current card of the account a debit card belongs to
+ * @param {String} debitCardId - ID of the debit card
+ *
+ * @returns {DebitCard} - Current card of the account, or null if the debit card is not found
+ */
+async function findCurrentCard(debitCardId) {
+  const debitCard = await storage.model('DebitCard').findOne({ _id: debitCardId });
+  return debitCard ? debitCard.getCurrentCard() : null;
+}
+
+/**
+ * Method to check if a cron expression is valid, only 5 field expressions without seconds are allowed
+ * @param {String} expression - Cron expression to check
+ *
+ * @returns {Boolean} - True if the expression is valid, false otherwise
+ */
+function isValidCronExpression(expression) {
+  return typeof expression === 'string' && expression.trim().split(/\s+/).length === 5 && cron.validate(expression);
+}
+
+/**
+ * Method to get the first date a cron expression matches from a date, in UTC
+ * Months, days, and hours that do not match are skipped whole, so only the matching day and hour are searched by the minute
+ * @param {String} expression - 5 field cron expression
+ * @param {Date} from - Date to search from, included if it matches
+ *
+ * @returns {Date} - Date the expression next matches, or null if it does not within MAX_CRON_SEARCH_YEARS
+ */
+function getNextCronDate(expression, from) {
+  const fields = expression.trim().split(/\s+/);
+  const [minutes, hours, days, months, weekDays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  // As in standard cron, when both the day of month and day of week are restricted (not starting with *) a day matching either runs
+  const eitherDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+  const isDayMatch = (date) => (eitherDay
+    ? days.has(date.getUTCDate()) || weekDays.has(date.getUTCDay())
+    : days.has(date.getUTCDate()) && weekDays.has(date.getUTCDay()));
+  const date = new Date(Math.ceil(new Date(from).getTime() / 60000) * 60000);
+  const limit = new Date(date).setUTCFullYear(date.getUTCFullYear() + MAX_CRON_SEARCH_YEARS);
+  while (date < limit) {
+    if (!months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!isDayMatch(date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Method to expand a field of a cron expression already validated to the values it matches
+ * Each comma separated part is a value, a name, a range, or *, with an optional /step
+ * @param {String} field - Field of the cron expression
+ * @param {Object} range - Min, max, optional names, and optional wrap of the values of the field (see CRON_FIELDS)
+ *
+ * @returns {Set<Number>} - Values the field matches, with 7 as 0 for the day of week
+ */
+function parseCronField(field, { min, max, names = [], wrap }) {
+  const toValue = (value) => names.includes(value.slice(0, 3)) ? min + names.indexOf(value.slice(0, 3)) : Number(value);
+  const values = new Set();
+  for (const part of field.toLowerCase().split(',')) {
+    const [range, step] = part.split('/');
+    const [start, end] = range === '*' ? [min, max] : range.split('-').map(toValue);
+    // A single value with a step repeats from the value to the end of the range
+    const last = typeof end === 'undefined' ? (step ? max : start) : end;
+    for (let value = start; value <= last; value += Number(step || 1)) { values.add(wrap ? value % wrap : value); }
+  }
+  return values;
+}
+
+export default storage.model('RecurringTransfer', RecurringTransfer);
@@ -2,33 +2,70 @@ import storage from '../index.js';
 import HandledError from '../../util/handledError.js';
 import Helpers from '../../util/helpers.js';
 import logger from '../../util/logger.js';
+import Money from '../../util/money.js';
+import { auditSave } from '../plugins.js';
 
 // Defined enum constants to use in schema and validation in methods
 const TRANSACTION_TYPES = ['debit', 'withdrawal'];
-const TRANSACTION_DEBIT_SUBTYPES = ['credit', 'refund', 'interest', 'cashback'];
-const TRANSACTION_WITHDRAWAL_SUBTYPES = ['purchase', 'fee', 'transfer'];
-const TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'canceled'];
+const TRANSACTION_DEBIT_SUBTYPES = ['credit', 'refund', 'interest', 'cashback', 'dispute_credit'];
+const TRANSACTION_WITHDRAWAL_SUBTYPES = ['purchase', 'fee', 'transfer', 'clawback', 'dispute_reversal', 'bill_payment'];
+const TRANSACTION_STATUSES = ['scheduled', 'authorized', 'pending', 'completed', 'failed', 'canceled', 'voided', 'expired'];
 // Other transaction related constants
 const CASHBACK_VENDERS = ['WLMRT', 'AMZN', 'APPL'];
 const CASHBACK_RATE = process.env.CASHBACK_RATE || 0.01;
-const INTEREST_RATE = process.env.INTEREST_RATE || 0.01;
-const MAX_NEGATIVE_BALANCE = process.env.MAX_NEGATIVE_BALANCE || -100;
+// Lowest balance a withdrawal can take the account to, in cents
+const MAX_NEGATIVE_BALANCE = Money.toCents(Number(process.env.MAX_NEGATIVE_BALANCE || -100));
 const FIVE_DAYS = 5 * 24 * 60 * 60 * 1000;
+// How long an authorization hold is held before it expires if not captured
+const AUTHORIZATION_HOLD_PERIOD = Number(process.env.AUTHORIZATION_HOLD_DAYS || 7) * 24 * 60 * 60 * 1000;
+// Share of the authorized amount a capture can go over it by, such as for a tip
+const CAPTURE_TOLERANCE = Number(process.env.CAPTURE_TOLERANCE || 0.2);
+const MAX_MEMO_LENGTH = 140;
 
 // Schema for a transaction
 const Transaction = new storage.schema({
   date: { type: Date, required: true },
   type: { type: String, enum: TRANSACTION_TYPES, required: true },
   subtype: { type: String, enum: TRANSACTION_DEBIT_SUBTYPES.concat(TRANSACTION_WITHDRAWAL_SUBTYPES), required: true },
-  amount: { type: Number, required: true },
+  // Amount in whole cents, converted to and from a decimal amount for the client
+  amount: { type: Number, required: true, validate: { validator: Number.isInteger, message: 'Transaction amount must be in whole cents' } },
+  // Currency of the amount, always the currency of the debit card
+  currency: { type: String, default: Money.DEFAULT_CURRENCY, required: true },
+  // Amount in cents and currency the transaction was made in, with the exchange rate applied, when it was converted
+  originalAmount: Number,
+  originalCurrency: String,
+  fxRate: Number,
+  // Total refunded of a purchase in cents, refunds are only accepted up to the amount of the purchase
+  refundedAmount: Number,
+  // Purchase a refund, cashback, cashback clawback, or dispute transaction was made for, or the sending side of a scheduled transfer
+  _originalTransaction: { type: storage.schema.Types.ObjectId, ref: 'Transaction', index: true },
   status: { type: String, enum: TRANSACTION_STATUSES, default: 'pending', required: true },
+  // Amount in cents held by an authorization, when it expires, and when it was captured - the amount is set to what is captured
+  authorizedAmount: Number,
+  authorizationExpiresAt: Date,
+  capturedAt: Date,
+  // Date a future-dated transaction was scheduled for - it is not part of the balances until it is made pending on that date
+  scheduledFor: Date,
+  // Reason code a transaction was failed for when validated
+  failureReason: String,
   vender: { type: String, required: true },
   description: String,
   _debitCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', required: true },
-  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true }
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true },
+  // Holder of the debit card that initiated the transaction, not set for system transactions
+  _initiatedBy: { type: storage.schema.Types.ObjectId, ref: 'User' },
+  // Virtual card used for the purchase, the transaction still belongs to its funding debit card
+  _virtualCard: { type: storage.schema.Types.ObjectId, ref: 'VirtualCard', index: true },
+  // Payee a bill payment was made to, with the memo sent along with it
+  _payee: { type: storage.schema.Types.ObjectId, ref: 'Payee', index: true },
+  memo: { type: String, maxLength: MAX_MEMO_LENGTH },
+  auditLog: [{ timestamp: Date, performedBy: String, action: String, reason: String }],
 },
 { timestamps: true });
 
+// Plugin auditSave for auditLog field
+Transaction.plugin(auditSave);
+
 // ------------------------- STATIC FUNCTIONS -------------------------
 
 /**
@@ -36,43 +73,139 @@ const Transaction = new storage.schema({
  * @param {Object} params - Parameters for the transaction
  * @param {String} params.type - Type of transaction (see TRANSACTION_TYPES)
  * @param {String} params.subtype - Subtype of transaction (see TRANSACTION_SUBTYPES)
- * @param {Number} params.amount - Amount of the transaction
+ * @param {Number} params.amount - Decimal amount of the transaction, stored in cents
+ * @param {String} params.currency - Currency of the amount, converted to the currency of the debit card if different - defaults to it
  * @param {String} params.vender - Vender of the transaction (determines cashback eligibility)
  * @param {String} params.description - Description of the transaction
- * @param {String} params.accountNumber - Account number of the debit card to associate with the transaction
+ * @param {String} params.accountNumber - Account number of the debit card, or a virtual card funded by it, to associate with the transaction
+ * @param {String} params.userId - User creating the transaction, required to have access to the debit card if provided
+ *  and recorded as the holder that initiated it
+ * @param {Number} params.expiryMonth - Expiry month supplied with the card, verified if provided
+ * @param {Number} params.expiryYear - Expiry year supplied with the card, verified if provided
+ * @param {String} params.cvv - CVV supplied with the card, verified if provided
+ * @param {Boolean} params.skipControls - Skip the spending controls of the debit card, for transactions made by the system
+ * @param {Boolean} params.authorize - Place an authorization hold for the amount of a purchase, to be captured or voided later
+ * @param {Date} params.scheduledFor - Optional future date to schedule the transaction for, it is made pending on that date
  * 
  * @returns {Transaction} transaction - New transaction object
  */
-Transaction.statics.create = async function({ type, subtype, amount, vender, description, accountNumber, debitCard, skipSave = false } = {}) {
+Transaction.statics.create = async function({ type, subtype, amount, currency, vender, description, accountNumber, debitCard, userId, expiryMonth, expiryYear, cvv, skipSave = false, skipControls = false, authorize = false, scheduledFor } = {}) {
   try {
     // Validate the transaction parameters - ensuring valid subtype and amount based on type
     if (!TRANSACTION_TYPES.includes(type)) { throw new HandledError('Valid transaction type required', 400); }
     if (type === 'debit') {
       if (!TRANSACTION_DEBIT_SUBTYPES.includes(subtype)) { throw new HandledError('Valid debit transaction subtype required', 400); }
-      if (typeof amount !== 'number' || amount <= 0 || Math.round(amount * 100) / 100 !== amount) {
+      if (!Money.isValidAmount(amount) || amount <= 0) {
         throw new HandledError('Debit transaction amount required as a positive number with no more than 2 decimal places', 400);
       }
     } else {
       if (!TRANSACTION_WITHDRAWAL_SUBTYPES.includes(subtype)) { throw new HandledError('Valid withdrawal transaction subtype required', 400); }
-      if (typeof amount !== 'number' || amount >= 0 || Math.round(amount * 100) / 100 !== amount) {
+      if (!Money.isValidAmount(amount) || amount >= 0) {
         throw new HandledError('Withdrawal transaction amount required as a negative number with no more than 2 decimal places', 400);
       }
     }
     if (typeof vender !== 'string') { throw new HandledError('Vender required as a string', 400); }
     if (typeof description !== 'undefined' && typeof description !== 'string') { throw new HandledError('Transaction description must be a string', 400); }
+    if (typeof currency !== 'undefined' && !Money.isValidCurrency(currency)) { throw new HandledError('Currency must be a 3 letter currency code', 400); }
+    if (authorize && subtype !== 'purchase') { throw new HandledError('Only purchases can be authorized', 400); }
+    if (typeof scheduledFor !== 'undefined') {
+      if (!Helpers.isValidDate(scheduledFor) || new Date(scheduledFor) <= new Date()) { throw new HandledError('scheduledFor must be a future date', 400); }
+      if (authorize) { throw new HandledError('Authorizations cannot be scheduled', 400); }
+    }
+    // Scheduled transactions take effect on their scheduled date, which spending limits are counted for
+    const date = scheduledFor ? new Date(scheduledFor) : new Date();
+    let virtualCard;
+    let presentedCard;
     if (!(debitCard instanceof storage.model('DebitCard'))) {
       if (Helpers.isValidObjectId(debitCard)) {
         debitCard = await storage.model('DebitCard').findOne({ _id: debitCard });
       } else {
         if (typeof accountNumber !== 'string') { throw new HandledError('Account number required as a string if valid debitCard or id is not provided', 400); }
         debitCard = await storage.model('DebitCard').findOne({ accountNumber });
+        presentedCard = debitCard;
+        // If the account number is not a debit card, it can be a virtual card that is charged to its funding debit card
+        if (!debitCard) {
+          virtualCard = await storage.model('VirtualCard').findOne({ accountNumber });
+          if (virtualCard) {
+            presentedCard = virtualCard;
+            await virtualCard.validatePurchase({ subtype, vender });
+            debitCard = await storage.model('DebitCard').findOne({ _id: virtualCard._debitCard });
+          }
+        }
       }
     }
+    // A reissued card presented by account number is rejected, while the system settles transactions made before a reissue, such as
+    // their cashback and refunds, on the current card of the account
+    if (debitCard?._replacedBy) {
+      if (presentedCard === debitCard) { throw new HandledError('Debit card has been reissued, the replacement card must be used', 400); }
+      debitCard = await debitCard.getCurrentCard();
+    }
     // Ensure the debit card exists based on passed in, or was found with id or accountNumber, and its also active
     if (!debitCard || !debitCard.active) { throw new HandledError('Debit card not found or inactive for the account number provided', 400); }
+    // Ensure a card presented by account number is not expired, and matches the expiry and CVV of the authorization if supplied
+    const hasCredentials = [expiryMonth, expiryYear, cvv].some(c => typeof c !== 'undefined');
+    if (presentedCard || hasCredentials) { (presentedCard || debitCard).verifyCredentials({ expiryMonth, expiryYear, cvv }); }
+    // The holder a virtual card was issued to initiates its purchases when no user is provided
+    const initiatorId = userId || virtualCard?._user;
+    const holder = initiatorId ? debitCard.getHolder(initiatorId) : null;
+    if (userId && !holder) { throw new HandledError('Not authorized to create transactions for this debit card', 403); }
+    if (virtualCard && !holder) { throw new HandledError('Virtual card holder no longer has access to the funding debit card', 400); }
+    // Amounts in another currency are converted to the currency of the debit card, keeping the original amount and the rate applied
+    let cents = Money.toCents(amount);
+    let conversion = {};
+    if (currency && currency !== debitCard.currency) {
+      const fxRate = await storage.model('FxRate').getRate({ from: currency, to: debitCard.currency });
+      conversion = { originalAmount: cents, originalCurrency: currency, fxRate };
+      cents = Money.multiply(cents, fxRate);
+      if (!cents) { throw new HandledError(`Transaction amount is too small to convert to ${debitCard.currency}`, 400); }
+    }
+    // Authorized users with a spending cap can only withdraw up to the cap each statement cycle
+    if (type === 'withdrawal' && typeof holder?.spendingCap === 'number') {
+      const [spent] = await storage.model('Transaction').aggregate([
+        { $match: {
+          _debitCard: debitCard._id,
+          _initiatedBy: holder._user,
+          type: 'withdrawal',
+          status: { $in: ['scheduled', 'authorized', 'pending', 'completed'] },
+          date: { $gte: Helpers.getStatementCycleStart(date) }
+        } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+      if (Math.abs(spent?.total || 0) + Math.abs(cents) > holder.spendingCap) {
+        throw new HandledError(`Spending cap of ${Money.fromCents(holder.spendingCap)} per statement cycle exceeded for this authorized user`, 400);
+      }
+    }
+    // Ensure the product of the debit card account allows purchases
+    if (subtype === 'purchase') {
+      const product = await storage.model('Product').findProduct({ accountType: debitCard.accountType });
+      if (!product.allowPurchases) { throw new HandledError(`Purchases are not allowed from ${product.name.toLowerCase()} accounts`, 400); }
+    }
+    // Ensure the withdrawal is within the spending controls of the debit card
+    if (!skipControls) {
+      const violation = await debitCard.getControlViolation({ type, subtype, amount: cents, vender, date });
+      if (violation) { throw new HandledError(violation.message, 400, violation.reason); }
+    }
 
-    const transaction = new storage.model('Transaction')({ date: new Date(), type, subtype, amount, vender, description, _debitCard: debitCard._id, _user: debitCard._user });
-    if (!skipSave) { await transaction.save(); }
+    const transaction = new storage.model('Transaction')({ date, type, subtype, amount: cents, currency: debitCard.currency, ...conversion, vender, description, _debitCard: debitCard._id, _user: debitCard._user, _initiatedBy: holder?._user, _virtualCard: virtualCard?._id });
+    // An authorization hold reduces the available balance like a pending purchase, but is not validated until it is captured
+    if (authorize) {
+      transaction.status = 'authorized';
+      transaction.authorizedAmount = cents;
+      transaction.authorizationExpiresAt = new Date(Date.now() + AUTHORIZATION_HOLD_PERIOD);
+    }
+    // A scheduled transaction is not part of the balances or validated until it is made pending on its date
+    if (scheduledFor) {
+      transaction.status = 'scheduled';
+      transaction.scheduledFor = date;
+    }
+    if (!skipSave) {
+      await storage.unitOfWork(async () => {
+        // A single-use virtual card is claimed by the purchase it is saved with
+        if (virtualCard) { await virtualCard.claimPurchase({ transaction }); }
+        await transaction.save();
+        await updateDebitCardBalances(transaction);
+      });
+    }
 
     return transaction;
   } catch (err) {
@@ -90,11 +223,13 @@ Transaction.statics.create = async function({ type, subtype, amount, vender, des
  * @param {Object} params - Parameters for the transaction
  * @param {String} params.senderAccountNumber - Account number of the sender
  * @param {String} params.receiverAccountNumber - Account number of the receiver
- * @param {Number} params.amount - Amount to transfer
+ * @param {Number} params.amount - Decimal amount to transfer, in the currency of the sender - converted to the currency of the receiver
+ * @param {String} params.userId - User sending the transfer, required to be an owner of the sender debit card if provided
+ * @param {Date} params.scheduledFor - Optional future date to schedule the transfer for, its funds are checked on that date instead
  * 
  * @returns {Array<Transaction>} - Array containing the sender and receiver transactions
  */
-Transaction.statics.createTransferTransaction = async function({ senderAccountNumber, receiverAccountNumber, amount } = {}) {
+Transaction.statics.createTransferTransaction = async function({ senderAccountNumber, receiverAccountNumber, amount, userId, scheduledFor } = {}) {
   try {
     // Validate parameters for the transfer
     if (typeof senderAccountNumber !== 'string') { throw new HandledError('Valid senderAccountNumber required as a string', 400); }
@@ -104,36 +239,70 @@ Transaction.statics.createTransferTransaction = async function({ senderAccountNu
     // Validate the sender
     const senderDebitCard = await storage.model('DebitCard').findOne({ accountNumber: senderAccountNumber });
     if (!senderDebitCard || !senderDebitCard.active) { throw new HandledError('Sender debit card not found or is inactive', 400); }
+    if (userId && !senderDebitCard.isOwner(userId)) { throw new HandledError('Not authorized to transfer from the sender debit card', 403); }
     // Validate the receiver
     const receiverDebitCard = await storage.model('DebitCard').findOne({ accountNumber: receiverAccountNumber });
     if (!receiverDebitCard || !receiverDebitCard.active) { throw new HandledError('Receiver debit card not found or is inactive', 400); }
 
-    // Verify the user sending the transfer has enough funds
-    const senderBalance = await senderDebitCard.getBalances();
-    if (senderBalance.finalBalance < amount) { throw new HandledError('Insufficient funds for transfer', 400); }
+    if (typeof scheduledFor !== 'undefined' && !Helpers.isValidDate(scheduledFor)) { throw new HandledError('scheduledFor must be a future date', 400); }
+    const senderProduct = await storage.model('Product').findProduct({ accountType: senderDebitCard.accountType });
 
-    // Create the withdrawal transaction for the sender
-    const senderTransaction = await storage.model('Transaction').create({
-      date: new Date(),
-      type: 'withdrawal',
-      subtype: 'transfer',
-      amount: -amount,
-      vender: 'SELF',
-      description: `Transfer to ${receiverDebitCard._user.toString()}`,
-      debitCard: senderDebitCard
-    });
-    // Create a deposit transaction for the receiver
-    const receiverTransaction = await storage.model('Transaction').create({
-      date: new Date(),
-      type: 'debit',
-      subtype: 'credit',
-      amount,
-      vender: 'SELF',
-      description: `Transfer from ${senderDebitCard._user.toString()}`,
-      debitCard: receiverDebitCard
+    // Both sides of the transfer are created together, or neither is
+    const transactions = await storage.unitOfWork(async () => {
+      // Verify the sender has not reached the transfer limit of their product for the statement cycle the transfer takes effect in,
+      // across every card of the account - counted within the unit of work, so concurrent transfers conflict instead of both passing
+      if (typeof senderProduct.maxTransfersPerCycle === 'number') {
+        const effectiveDate = scheduledFor ? new Date(scheduledFor) : new Date();
+        const transfersInCycle = await storage.model('Transaction').countDocuments({
+          _debitCard: { $in: await senderDebitCard.getLinkedCardIds() },
+          subtype: 'transfer',
+          status: { $in: ['scheduled', 'pending', 'completed'] },
+          date: { $gte: Helpers.getStatementCycleStart(effectiveDate), $lt: Helpers.getStatementCycleEnd(effectiveDate) }
+        });
+        if (transfersInCycle >= senderProduct.maxTransfersPerCycle) {
+          throw new HandledError(`Transfer limit of ${senderProduct.maxTransfersPerCycle} per statement cycle reached for the sender account`, 400);
+        }
+      }
+      // Verify the user sending the transfer has enough funds - the withdrawal then updates the sender balance within the same
+      // unit of work, so a concurrent transfer that passed this check against the same balance conflicts and is retried
+      if (!scheduledFor) {
+        const senderBalance = await senderDebitCard.getBalances();
+        if (senderBalance.finalBalance < Money.toCents(amount)) { throw new HandledError('Insufficient funds for transfer', 400, 'insufficient_funds'); }
+      }
+
+      // Create the withdrawal transaction for the sender
+      const senderTransaction = await storage.model('Transaction').create({
+        date: new Date(),
+        type: 'withdrawal',
+        subtype: 'transfer',
+        amount: -amount,
+        vender: 'SELF',
+        description: `Transfer to ${receiverDebitCard._user.toString()}`,
+        debitCard: senderDebitCard,
+        userId,
+        scheduledFor
+      });
+      // Create a deposit transaction for the receiver
+      const receiverTransaction = await storage.model('Transaction').create({
+        date: new Date(),
+        type: 'debit',
+        subtype: 'credit',
+        amount,
+        currency: senderDebitCard.currency,
+        vender: 'SELF',
+        description: `Transfer from ${senderDebitCard._user.toString()}`,
+        debitCard: receiverDebitCard,
+        scheduledFor,
+        skipSave: true
+      });
+      // The receiving side of a transfer moves with its sending side - it is made pending, completed, failed, or canceled along with it
+      receiverTransaction._originalTransaction = senderTransaction._id;
+      await receiverTransaction.save();
+      await updateDebitCardBalances(receiverTransaction);
+      return [senderTransaction, receiverTransaction];
     });
 
-    return [senderTransaction, receiverTransaction];
+    return transactions;
   } catch (err) {
     if (err.handled) {
       logger.info(`Error creating transfer transaction: ${err.message}`);
@@ -168,10 +337,16 @@ Transaction.statics.createOverdraftFeeTransaction = async function({ debitCard }
     });
     // Set status to completed for instant fee
     feeTransaction.status = 'completed';
-    await feeTransaction.save();
 
-    debitCard.lastOverdraftFee = new Date();
-    await debitCard.save();
+    // The fee and when it was charged are saved together, so a fee cannot be charged twice or recorded without being charged
+    await storage.unitOfWork(async () => {
+      await feeTransaction.save();
+      await updateDebitCardBalances(feeTransaction);
+      await storage.model('JournalEntry').postTransaction({ transaction: feeTransaction });
+
+      debitCard.lastOverdraftFee = new Date();
+      await debitCard.save();
+    });
 
     return feeTransaction;
   } catch (err) {
@@ -201,7 +376,9 @@ Transaction.statics.createCashbackTransaction = async function({ transaction } =
       date: new Date(),
       type: 'debit',
       subtype: 'cashback',
-      amount: Math.round((Math.abs(transaction.amount) * CASHBACK_RATE) * 100) / 100,
+      // Cashback is earned on the converted amount of a purchase made in another currency
+      amount: Money.fromCents(Money.multiply(Math.abs(transaction.amount), CASHBACK_RATE)),
+      currency: transaction.currency,
       vender: 'ONE',
       description: `Cashback for eligible purchase - ${transaction._id.toString()}`,
       debitCard: transaction._debitCard,
@@ -209,7 +386,12 @@ Transaction.statics.createCashbackTransaction = async function({ transaction } =
     });
     // Set status to completed for instant cashback
     cashbackTransaction.status = 'completed';
-    await cashbackTransaction.save();
+    cashbackTransaction._originalTransaction = transaction._id;
+    await storage.unitOfWork(async () => {
+      await cashbackTransaction.save();
+      await updateDebitCardBalances(cashbackTransaction);
+      await storage.model('JournalEntry').postTransaction({ transaction: cashbackTransaction });
+    });
 
     return cashbackTransaction;
   } catch (err) {
@@ -222,6 +404,176 @@ Transaction.statics.createCashbackTransaction = async function({ transaction } =
   }
 };
 
+/**
+ * Wrapper method to claw back the share of the cashback paid on a purchase that has since been refunded
+ * @param {Object} params - Parameters for the transaction
+ * @param {Transaction} params.transaction - Purchase that was refunded
+ * @param {Number} params.refundedAmount - Total refunded of the purchase in cents, including the latest refund
+ *
+ * @returns {Transaction} transaction - New transaction object, or null if there is no cashback to claw back
+ */
+Transaction.statics.createClawbackTransaction = async function({ transaction, refundedAmount } = {}) {
+  try {
+    if (!transaction?._id || !transaction.amount || !transaction._debitCard || !Number.isInteger(refundedAmount)) {
+      throw new HandledError('Invalid transaction parameters for clawback', 400);
+    }
+    const purchaseCard = await storage.model('DebitCard').findOne({ _id: transaction._debitCard });
+    if (!purchaseCard) { throw new HandledError('Debit card not found', 404); }
+    // Total the cashback paid on the purchase, and clawed back for its earlier refunds - across the cards of the account, as the
+    // card may have been reissued since the purchase
+    const totals = await storage.model('Transaction').aggregate([
+      { $match: {
+        _debitCard: { $in: await purchaseCard.getLinkedCardIds() },
+        _originalTransaction: transaction._id,
+        subtype: { $in: ['cashback', 'clawback'] },
+        status: 'completed'
+      } },
+      { $group: { _id: '$subtype', total: { $sum: '$amount' } } }
+    ]);
+    const cashback = totals.find(t => t._id === 'cashback')?.total || 0;
+    const clawedBack = Math.abs(totals.find(t => t._id === 'clawback')?.total || 0);
+    // The share is taken of the refunded total rather than each refund, so refunding the whole purchase claws back all of its cashback
+    const owed = Money.multiply(cashback, refundedAmount / Math.abs(transaction.amount)) - clawedBack;
+    if (owed <= 0) { return null; }
+
+    const clawbackTransaction = await storage.model('Transaction').create({
+      date: new Date(),
+      type: 'withdrawal',
+      subtype: 'clawback',
+      amount: -Money.fromCents(owed),
+      currency: transaction.currency,
+      vender: 'ONE',
+      description: `Cashback clawback for refund of ${transaction._id.toString()}`,
+      debitCard: transaction._debitCard,
+      skipSave: true,
+      skipControls: true
+    });
+    // Set status to completed for an instant clawback, the same as the cashback it reverses
+    clawbackTransaction.status = 'completed';
+    clawbackTransaction._originalTransaction = transaction._id;
+    await storage.unitOfWork(async () => {
+      await clawbackTransaction.save();
+      await updateDebitCardBalances(clawbackTransaction);
+      await storage.model('JournalEntry').postTransaction({ transaction: clawbackTransaction });
+    });
+
+    return clawbackTransaction;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating clawback transaction: ${err.message}`, { transactionId: transaction?._id });
+      throw err;
+    }
+    logger.error('Error creating clawback transaction', err, { transactionId: transaction?._id });
+    throw new HandledError('Error creating clawback transaction', 500);
+  }
+};
+
+/**
+ * Wrapper method to create the transaction for a dispute of a purchase - the provisional credit when it is issued, or its reversal
+ * when the dispute is lost - posted to the current card of the account the purchase was made from
+ * @param {Object} params - Parameters for the transaction
+ * @param {Dispute} params.dispute - Dispute with the status the transaction is for
+ *
+ * @returns {Transaction} transaction - New transaction object
+ */
+Transaction.statics.createDisputeTransaction = async function({ dispute } = {}) {
+  try {
+    if (!dispute?._transaction || !dispute._debitCard || !dispute.amount || !['provisional_credit', 'lost'].includes(dispute.status)) {
+      throw new HandledError('Invalid dispute parameters for transaction', 400);
+    }
+    // A card reissued since the purchase, such as for fraud, is credited through its replacement
+    const purchaseCard = await storage.model('DebitCard').findOne({ _id: dispute._debitCard });
+    const debitCard = await purchaseCard?.getCurrentCard();
+    const isCredit = dispute.status === 'provisional_credit';
+    const disputeTransaction = await storage.model('Transaction').create({
+      date: new Date(),
+      type: isCredit ? 'debit' : 'withdrawal',
+      subtype: isCredit ? 'dispute_credit' : 'dispute_reversal',
+      amount: (isCredit ? 1 : -1) * Money.fromCents(dispute.amount),
+      currency: dispute.currency,
+      vender: 'ONE',
+      description: `${isCredit ? 'Provisional credit' : 'Provisional credit reversed'} for dispute of ${dispute._transaction.toString()}`,
+      debitCard,
+      skipSave: true,
+      skipControls: true
+    });
+    // Set status to completed for an instant credit or reversal
+    disputeTransaction.status = 'completed';
+    disputeTransaction._originalTransaction = dispute._transaction;
+    await storage.unitOfWork(async () => {
+      await disputeTransaction.save();
+      await updateDebitCardBalances(disputeTransaction);
+      await storage.model('JournalEntry').postTransaction({ transaction: disputeTransaction });
+    });
+
+    return disputeTransaction;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating dispute transaction: ${err.message}`, { disputeId: dispute?._id });
+      throw err;
+    }
+    logger.error('Error creating dispute transaction', err, { disputeId: dispute?._id });
+    throw new HandledError('Error creating dispute transaction', 500);
+  }
+};
+
+/**
+ * Method to create a bill payment from a debit card to a payee in the address book of the user
+ * @param {Object} params - Parameters for the bill payment
+ * @param {String} params.payeeId - Payee to pay, required to be in the address book of a holder of the debit card, and of the user if provided
+ * @param {String} params.accountNumber - Account number of the debit card to pay from
+ * @param {Number} params.amount - Positive decimal amount to pay
+ * @param {String} params.memo - Optional memo sent to the payee along with the payment
+ * @param {Date} params.scheduledFor - Optional future date to schedule the payment for
+ * @param {String} params.userId - User making the payment, required to have access to the debit card if provided
+ * 
+ * @returns {Transaction} transaction - New bill payment transaction object
+ */
+Transaction.statics.createBillPayment = async function({ payeeId, accountNumber, amount, memo, scheduledFor, userId } = {}) {
+  try {
+    if (!Helpers.isValidObjectId(payeeId)) { throw new HandledError('valid payeeId is required', 400); }
+    if (!Money.isValidAmount(amount) || amount <= 0) { throw new HandledError('Bill payment amount required as a positive number with no more than 2 decimal places', 400); }
+    if (typeof memo !== 'undefined' && (typeof memo !== 'string' || memo.length > MAX_MEMO_LENGTH)) {
+      throw new HandledError(`Bill payment memo must be a string of no more than ${MAX_MEMO_LENGTH} characters`, 400);
+    }
+    const [payee] = await storage.model('Payee').findPayees({ payeeId, userId });
+    if (!payee || !payee.active) { throw new HandledError('Payee not found', 404); }
+
+    // Bill payments go through the same validation and spending controls as any other withdrawal
+    const transaction = await storage.model('Transaction').create({
+      type: 'withdrawal',
+      subtype: 'bill_payment',
+      amount: -amount,
+      vender: payee.name,
+      description: `Bill payment to ${payee.nickname || payee.name}`,
+      accountNumber,
+      userId,
+      scheduledFor,
+      skipSave: true
+    });
+    // Payees found without a user are still required to be in the address book of a holder of the debit card paid from
+    const debitCard = await storage.model('DebitCard').findOne({ _id: transaction._debitCard });
+    if (!debitCard?.canAccess(payee._user)) { throw new HandledError('Payee not found', 404); }
+    transaction._payee = payee._id;
+    transaction.memo = memo;
+    await storage.unitOfWork(async () => {
+      // The payee is checked again with the payment, so a payee archived since it was found is not paid
+      if (!await storage.model('Payee').exists({ _id: payee._id, active: true })) { throw new HandledError('Payee not found', 404); }
+      await transaction.save();
+      await updateDebitCardBalances(transaction);
+    });
+
+    return transaction;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating bill payment: ${err.message}`, { payeeId });
+      throw err;
+    }
+    logger.error('Error creating bill payment', err, { payeeId });
+    throw new HandledError('Error creating bill payment', 500);
+  }
+};
+
 /**
  * Method to find transactions based on parameters
  * @param {Object} params - Parameters to find transactions by
@@ -232,18 +584,35 @@ Transaction.statics.createCashbackTransaction = async function({ transaction } =
  * @param {String} params.subtype - Subtype of transaction to find
  * @param {String} params.status - Status of the transaction to find
  * @param {String} params.vender - Vender of the transaction to find
+ * @param {String} params.payeeId - Payee of the bill payments to find
  * @param {String} params.accountNumber - Account number of the debit card to find transactions for
- * @param {String} params.email - Email of the user to find transactions for 
+ * @param {String} params.email - Email of the user to find transactions for, across every debit card they hold
+ * @param {String} params.userId - User requesting the transactions, scopes the results to transactions they can see if provided
  * 
  * @returns {Array<Transaction>} - Array of transactions found
  */
-Transaction.statics.findTransactions = async function({ transactionId, startDate, endDate, type, subtype, status, vender, debitCardId, accountNumber, email } = {}) {
+Transaction.statics.findTransactions = async function({ transactionId, startDate, endDate, type, subtype, status, vender, payeeId, debitCardId, accountNumber, email, userId } = {}) {
   const query = {};
   try {
+    // If a user is provided, only the debit cards they hold are searchable - access to a reissued account follows its current card
+    let accessibleDebitCards;
+    if (userId) {
+      accessibleDebitCards = getCurrentDebitCards(await storage.model('DebitCard').findAccessible({ userId }));
+    }
+    const getHolder = (debitCard) => accessibleDebitCards.find(d => d.getAccountId().equals(debitCard.getAccountId()))?.getHolder(userId);
+
     // If an ID is provided, return the transaction with that ID
     if (transactionId) {
       if (!Helpers.isValidObjectId(transactionId)) { throw new HandledError('id parameter invalid', 400); }
       const transaction = await storage.model('Transaction').findOne({ _id: transactionId });
+      if (transaction && accessibleDebitCards) {
+        const debitCard = await storage.model('DebitCard').findOne({ _id: transaction._debitCard });
+        const holder = debitCard && getHolder(debitCard);
+        // Authorized users can only see the transactions they initiated
+        if (!holder || (holder.role === 'authorized' && !transaction._initiatedBy?.equals(userId))) {
+          throw new HandledError('Not authorized to access this transaction', 403);
+        }
+      }
       return transaction ? [transaction] : [];
     }
     // Otherwise, build the query based on the provided parameters
@@ -257,22 +626,39 @@ Transaction.statics.findTransactions = async function({ transactionId, startDate
     }
     if (startDate && endDate && new Date(startDate) > new Date(endDate)) { throw new HandledError('startDate must be before endDate', 400); }
     if (debitCardId && accountNumber) { throw new HandledError('cannot provide both debitCardId and accountNumber', 400); }
-    if (debitCardId) {
-      if (!Helpers.isValidObjectId(debitCardId)) { throw new HandledError('debitCardId parameter invalid', 400); }
-      query._debitCard = debitCardId;
-    }
-    if (accountNumber) {
-      const debitCard = await storage.model('DebitCard').findOne({ accountNumber });
-      query._debitCard = debitCard?._id;
+    if (debitCardId && !Helpers.isValidObjectId(debitCardId)) { throw new HandledError('debitCardId parameter invalid', 400); }
+    if (debitCardId || accountNumber) {
+      const debitCard = await storage.model('DebitCard').findOne(debitCardId ? { _id: debitCardId } : { accountNumber });
+      if (accessibleDebitCards) {
+        const holder = debitCard && getHolder(debitCard);
+        if (!holder) { throw new HandledError('Not authorized to access transactions for this debit card', 403); }
+        if (holder.role === 'authorized') { query._initiatedBy = holder._user; }
+      }
+      if (!debitCard) { return []; }
+      // A reissued card shares its history with every card of the account
+      query._debitCard = { $in: await debitCard.getLinkedCardIds() };
     }
+    // Email searches cover every debit card the user holds, not just the ones they are the primary owner of
+    let holderDebitCards = accessibleDebitCards;
+    let holderUserId = userId;
     if (email) {
       const user = await storage.model('User').findOne({ email });
-      query._user = user?._id;
+      if (userId && !user?._id.equals(userId)) { throw new HandledError('Not authorized to access transactions for this user', 403); }
+      if (!user) { return []; }
+      if (!userId) {
+        holderDebitCards = getCurrentDebitCards(await storage.model('DebitCard').findAccessible({ userId: user._id }));
+        holderUserId = user._id;
+      }
     }
+    if (holderDebitCards && (email || !(debitCardId || accountNumber))) { query.$or = await getHolderConditions(holderDebitCards, holderUserId); }
     if (type) { query.type = type; }
     if (subtype) { query.subtype = subtype; }
     if (status) { query.status = status; }
     if (vender) { query.vender = vender; }
+    if (payeeId) {
+      if (!Helpers.isValidObjectId(payeeId)) { throw new HandledError('payeeId parameter invalid', 400); }
+      query._payee = payeeId;
+    }
 
     const transactions = storage.model('Transaction').find(query).cursor();
 
@@ -294,11 +680,13 @@ Transaction.statics.findTransactions = async function({ transactionId, startDate
 // ------------------------- INSTANCE METHODS -------------------------
 
 /**
- * Wrapper method to create a refund transaction for a given transaction
+ * Wrapper method to create a refund transaction for a given transaction, clawing back a proportional share of its cashback
+ * @param {Object} params - Parameters for the refund
+ * @param {Number} params.amount - Decimal amount to refund, up to the remaining refundable amount - defaults to all of it
  * 
  * @returns {Transaction} transaction - New transaction object
  */
-Transaction.methods.createRefundTransaction = async function() {
+Transaction.methods.createRefundTransaction = async function({ amount } = {}) {
   try {
     if (!this.amount || !this.vender || !this._debitCard || !this._user) {
       throw new HandledError('Invalid transaction parameters for refund', 400);
@@ -306,14 +694,48 @@ Transaction.methods.createRefundTransaction = async function() {
     if (this.status !== 'completed' || this.type !== 'withdrawal' || this.subtype !== 'purchase') {
       throw new HandledError('Transaction invalid for refund - must be completed purchase', 400);
     }
+    // The converted amount is refundable, so a purchase made in another currency is refunded exactly what it cost
+    const purchaseAmount = Math.abs(this.amount);
+    const remainingAmount = purchaseAmount - (this.refundedAmount || 0);
+    if (remainingAmount <= 0) { throw new HandledError('Transaction has already been fully refunded', 400); }
+    // A disputed purchase is credited through its dispute, unless the dispute was lost
+    if (await storage.model('Dispute').exists({ _transaction: this._id, status: { $ne: 'lost' } })) {
+      throw new HandledError('Transaction cannot be refunded while it is disputed', 400);
+    }
+    if (typeof amount !== 'undefined' && (!Money.isValidAmount(amount) || amount <= 0)) {
+      throw new HandledError('Refund amount required as a positive number with no more than 2 decimal places', 400);
+    }
+    const refundAmount = typeof amount === 'undefined' ? remainingAmount : Money.toCents(amount);
+    if (refundAmount > remainingAmount) {
+      throw new HandledError(`Refund amount exceeds the remaining refundable amount of ${Money.fromCents(remainingAmount)}`, 400);
+    }
+
     const refundTransaction = await storage.model('Transaction').create({
       date: new Date(),
       type: 'debit',
       subtype: 'refund',
-      amount: Math.abs(this.amount),
+      amount: Money.fromCents(refundAmount),
+      currency: this.currency,
       vender: this.vender,
       description: `Refund for ${this._id.toString()}`,
-      debitCard: this._debitCard
+      debitCard: this._debitCard,
+      skipSave: true
+    });
+    refundTransaction._originalTransaction = this._id;
+
+    // The refund, the refunded total of the purchase, and the cashback clawback are saved together
+    await storage.unitOfWork(async () => {
+      // The refunded total is only increased if it stays within the purchase, so refunds made at the same time cannot exceed it
+      const purchase = await storage.model('Transaction').findOneAndUpdate(
+        { _id: this._id, $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, purchaseAmount] } },
+        { $inc: { refundedAmount: refundAmount } },
+        { new: true, projection: { refundedAmount: 1 } }
+      );
+      if (!purchase) { throw new HandledError('Refund amount exceeds the remaining refundable amount', 409); }
+
+      await refundTransaction.save();
+      await updateDebitCardBalances(refundTransaction);
+      await storage.model('Transaction').createClawbackTransaction({ transaction: this, refundedAmount: purchase.refundedAmount });
     });
 
     return refundTransaction;
@@ -328,15 +750,25 @@ Transaction.methods.createRefundTransaction = async function() {
 };
 
 /**
- * Method to cancel a pending transaction
+ * Method to cancel a pending or scheduled transaction, a transfer is canceled along with its receiving side
  * 
  * @returns {Transaction} transaction - Updated transaction object
  */
 Transaction.methods.cancel = async function() {
   try {
-    if (this.status !== 'pending') { throw new HandledError('Transaction cannot be canceled once executed', 400); }
+    if (!['pending', 'scheduled'].includes(this.status)) { throw new HandledError('Transaction cannot be canceled once executed', 400); }
+    if (isReceivingSide(this) || (this.status === 'scheduled' && this._originalTransaction)) {
+      throw new HandledError('The receiving side of a transfer can only be canceled with its sending side', 400);
+    }
+    const previousStatus = this.status;
+    await storage.unitOfWork(async () => {
+      // Only canceled while still in the status it was read with, so a transaction validated or promoted at the same time is not also canceled
+      const result = await storage.model('Transaction').updateOne({ _id: this._id, status: previousStatus }, { $set: { status: 'canceled' } });
+      if (result.matchedCount !== 1) { throw new HandledError('Transaction cannot be canceled once executed', 409); }
+      await updateDebitCardBalances({ _debitCard: this._debitCard, amount: this.amount, status: 'canceled' }, previousStatus);
+      if (this.subtype === 'transfer') { await updateReceivingSide(this, previousStatus, { status: 'canceled' }); }
+    });
     this.status = 'canceled';
-    await this.save();
     return this;
   } catch (err) {
     if (err.handled) {
@@ -348,6 +780,118 @@ Transaction.methods.cancel = async function() {
   }
 };
 
+/**
+ * Method to capture an authorization hold, for less than the amount authorized or over it within the capture tolerance
+ * The difference from the hold is released, and the captured purchase is validated as pending the same as any other purchase
+ * @param {Object} params - Parameters for the capture
+ * @param {Number} params.amount - Decimal amount to capture, in the currency the purchase was authorized in - defaults to the amount authorized
+ * 
+ * @returns {Transaction} transaction - Updated transaction object
+ */
+Transaction.methods.capture = async function({ amount } = {}) {
+  try {
+    if (this.status !== 'authorized') { throw new HandledError('Only authorized transactions can be captured', 400); }
+    if (this.authorizationExpiresAt <= new Date()) { throw new HandledError('Authorization has expired', 400); }
+    if (typeof amount !== 'undefined' && (!Money.isValidAmount(amount) || amount <= 0)) {
+      throw new HandledError('Capture amount required as a positive number with no more than 2 decimal places', 400);
+    }
+    const update = { status: 'pending', amount: this.authorizedAmount, capturedAt: new Date() };
+    if (typeof amount !== 'undefined') {
+      // A purchase authorized in another currency is captured in it, and converted at the rate of the authorization
+      update.amount = this.fxRate ? Money.multiply(-Money.toCents(amount), this.fxRate) : -Money.toCents(amount);
+      if (this.fxRate) { update.originalAmount = -Money.toCents(amount); }
+      if (!update.amount) { throw new HandledError(`Capture amount is too small to convert to ${this.currency}`, 400); }
+    }
+    if (Math.abs(update.amount) > Money.multiply(Math.abs(this.authorizedAmount), 1 + CAPTURE_TOLERANCE)) {
+      throw new HandledError(`Capture amount exceeds the authorized amount by more than ${Math.round(CAPTURE_TOLERANCE * 100)}%`, 400);
+    }
+
+    await storage.unitOfWork(async () => {
+      // Only captured while still held, so a hold voided or expired at the same time is not also captured
+      const result = await storage.model('Transaction').updateOne({ _id: this._id, status: 'authorized' }, { $set: update });
+      if (result.matchedCount !== 1) { throw new HandledError('Authorization is no longer held', 409); }
+      await updateDebitCardBalances({ _debitCard: this._debitCard, ...update }, 'authorized', this.authorizedAmount);
+    });
+    this.set(update);
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error capturing transaction: ${err.message}`, { transactionId: this._id });
+      throw err;
+    }
+    logger.error('Error capturing transaction', err, { transactionId: this._id });
+    throw new HandledError('Error capturing transaction', 500);
+  }
+};
+
+/**
+ * Method to void an authorization hold that will not be captured, releasing it from the available balance
+ * 
+ * @returns {Transaction} transaction - Updated transaction object
+ */
+Transaction.methods.voidAuthorization = async function() {
+  try {
+    if (this.status !== 'authorized') { throw new HandledError('Only authorized transactions can be voided', 400); }
+    const released = await storage.unitOfWork(() => releaseAuthorization(this, 'voided'));
+    if (!released) { throw new HandledError('Authorization is no longer held', 409); }
+    this.status = 'voided';
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error voiding transaction: ${err.message}`, { transactionId: this._id });
+      throw err;
+    }
+    logger.error('Error voiding transaction', err, { transactionId: this._id });
+    throw new HandledError('Error voiding transaction', 500);
+  }
+};
+
+/**
+ * Method to manually complete or fail a pending transaction that is stuck
+ * @param {Object} params - Parameters for the status change
+ * @param {String} params.status - Status to set, either completed or failed
+ * @param {String} params.reason - Reason the status is being forced
+ * @param {String} params.performedBy - Identity of who is forcing the status
+ * 
+ * @returns {Transaction} transaction - Updated transaction object
+ */
+Transaction.methods.forceStatus = async function({ status, reason, performedBy } = {}) {
+  try {
+    if (!['completed', 'failed'].includes(status)) { throw new HandledError('Status must be completed or failed', 400); }
+    if (typeof reason !== 'string' || !reason) { throw new HandledError('Reason required as a string', 400); }
+    if (this.status !== 'pending') { throw new HandledError('Only pending transactions can have their status forced', 400); }
+    const log = { timestamp: new Date(), performedBy, action: `forceStatus:${status}`, reason };
+
+    await storage.unitOfWork(async () => {
+      // Only forced while still pending, so a transaction validated or canceled at the same time keeps its status
+      const result = await storage.model('Transaction').updateOne({ _id: this._id, status: 'pending' }, { $set: { status }, $push: { auditLog: log } });
+      if (result.matchedCount !== 1) { throw new HandledError('Transaction is no longer pending', 409); }
+      this.status = status;
+      await updateDebitCardBalances(this, 'pending');
+      if (status === 'completed') {
+        await storage.model('JournalEntry').postTransaction({ transaction: this });
+      }
+      if (this.subtype === 'transfer') { await updateReceivingSide(this, 'pending', { status }); }
+
+      // Completed purchases from cashback venders earn cashback the same as when validated
+      if (status === 'completed' && this.subtype === 'purchase' && CASHBACK_VENDERS.includes(this.vender.toUpperCase())) {
+        await storage.model('Transaction').createCashbackTransaction({ transaction: this });
+      }
+      // A single-use virtual card is spent once its purchase completes
+      await storage.model('VirtualCard').recordCompletedPurchase({ transaction: this });
+    });
+    this.auditLog.push(log);
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error forcing transaction status: ${err.message}`, { transactionId: this._id });
+      throw err;
+    }
+    logger.error('Error forcing transaction status', err, { transactionId: this._id });
+    throw new HandledError('Error forcing transaction status', 500);
+  }
+};
+
 /**
  * Filter method to be used before returning to the client
  * 
@@ -359,11 +903,29 @@ Transaction.methods._filter = function() {
     date: this.date.toISOString(),
     type: this.type,
     subtype: this.subtype,
-    amount: this.amount,
+    amount: Money.fromCents(this.amount),
+    currency: this.currency,
+    originalAmount: Money.fromCents(this.originalAmount),
+    originalCurrency: this.originalCurrency,
+    fxRate: this.fxRate,
+    authorizedAmount: Money.fromCents(this.authorizedAmount),
+    authorizationExpiresAt: this.authorizationExpiresAt?.toISOString(),
+    capturedAt: this.capturedAt?.toISOString(),
+    scheduledFor: this.scheduledFor?.toISOString(),
+    refundedAmount: Money.fromCents(this.refundedAmount),
+    originalTransaction: this._originalTransaction,
     status: this.status,
+    failureReason: this.failureReason,
     description: this.description,
+    payee: this._payee,
+    memo: this.memo,
     debitCard: this._debitCard,
     user: this._user,
+    initiatedBy: this._initiatedBy,
+    virtualCard: this._virtualCard,
+    auditLog: this.auditLog?.map(log => {
+      return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action, reason: log.reason };
+    }),
   };
 }
 
@@ -391,6 +953,8 @@ Transaction.statics.validatePending = async function() {
     // Validate each user's transactions
     for (const transactionGroup of transactionsByCard) {
       const debitCard = await storage.model('DebitCard').findOne({ _id: transactionGroup._id });
+      // Closed debit cards are no longer validated
+      if (debitCard?.closedAt) { continue; }
 
       let debitBalance = {};
       try {
@@ -402,27 +966,48 @@ Transaction.statics.validatePending = async function() {
       }
       // Iterate through each transaction and update status based on debitBalance
       for (const transaction of transactionGroup.transactions) {
+        // The receiving side of a transfer is completed or failed with its sending side, so it never credits a transfer that fails
+        if (isReceivingSide(transaction)) { continue; }
         try {
-          // If its a withdrawal, handle based on balance
+          // If its a withdrawal, handle based on the spending controls and balance
           if (transaction.type === 'withdrawal') {
-            // If the balance will be below the max negative balance, fail the transaction - otherwise complete
-            if (debitBalance.currentbalance + transaction.amount < MAX_NEGATIVE_BALANCE) {
+            const violation = await debitCard.getControlViolation(transaction);
+            // If a spending control is violated, or the balance will be below the max negative balance, fail the transaction - otherwise complete
+            if (violation) {
+              transaction.status = 'failed';
+              transaction.failureReason = violation.reason;
+            } else if (debitBalance.currentBalance + transaction.amount < MAX_NEGATIVE_BALANCE) {
               transaction.status = 'failed';
+              transaction.failureReason = 'insufficient_funds';
             } else {
               transaction.status = 'completed';
-              debitBalance.currentBalance += transaction.amount;
+            }
+          } else {
+            transaction.status = 'completed';
+          }
+          // Save the updated transaction with its balances, journal entry, and cashback together
+          const validated = await storage.unitOfWork(async () => {
+            // Only updated while still pending, so a transaction canceled or forced at the same time is left as it is
+            const update = transaction.failureReason ? { status: transaction.status, failureReason: transaction.failureReason } : { status: transaction.status };
+            const result = await storage.model('Transaction').updateOne({ _id: transaction._id, status: 'pending' }, { $set: update });
+            if (result.matchedCount !== 1) { return false; }
+            await updateDebitCardBalances(transaction, 'pending');
+            if (transaction.subtype === 'transfer') { await updateReceivingSide(transaction, 'pending', update); }
+            if (transaction.status !== 'completed') { return true; }
+            // Completed transactions are posted to the journal
+            await storage.model('JournalEntry').postTransaction({ transaction });
 
+            if (transaction.type === 'withdrawal') {
               // If cashback vender, create a cashback transaction
               if (CASHBACK_VENDERS.includes(transaction.vender.toUpperCase())) {
                 await storage.model('Transaction').createCashbackTransaction({ transaction });
               }
+              // If a single-use virtual card was used, deactivate it
+              await storage.model('VirtualCard').recordCompletedPurchase({ transaction });
             }
-          } else {
-            transaction.status = 'completed';
-            debitBalance.currentBalance += transaction.amount;
-          }
-          // Save the updated transaction
-          await storage.model('Transaction').updateOne({ _id: transaction._id }, { $set: { status: transaction.status } });
+            return true;
+          });
+          if (validated && transaction.status === 'completed') { debitBalance.currentBalance += transaction.amount; }
         } catch (err) {
           logger.error('Error validating transaction', err, { transactionId: transaction._id });
           // Swallow the error and continue to the next transaction
@@ -445,47 +1030,213 @@ Transaction.statics.validatePending = async function() {
 };
 
 /**
- * Add interest transaction to each users account
+ * Make the scheduled transactions that have reached their date pending, to be validated the same as any other transaction
+ * Withdrawals are failed if the funds no longer cover them, and the receiving side of a scheduled transfer moves with its sending side
+ * 
+ * Note: ran via scheduled task
+ */
+Transaction.statics.promoteScheduled = async function() {
+  try {
+    const transactions = await storage.model('Transaction').find({ status: 'scheduled', date: { $lte: new Date() }, _originalTransaction: { $exists: false } }).sort({ date: 1 });
+    for (const transaction of transactions) {
+      try {
+        await storage.unitOfWork(async () => {
+          // Funds are checked again now the transaction takes effect, against the current card of the account if it was reissued
+          const debitCard = await (await storage.model('DebitCard').findOne({ _id: transaction._debitCard }))?.getCurrentCard();
+          let update = { status: 'pending' };
+          if (!debitCard?.active) {
+            update = { status: 'failed', failureReason: 'card_inactive' };
+          } else if (transaction.type === 'withdrawal') {
+            // Transfers need the funds to cover them, the same as when they are made immediately
+            const { finalBalance } = await debitCard.getBalances();
+            const lowestBalance = transaction.subtype === 'transfer' ? 0 : MAX_NEGATIVE_BALANCE;
+            if (finalBalance + transaction.amount < lowestBalance) { update = { status: 'failed', failureReason: 'insufficient_funds' }; }
+          }
+
+          // Only made pending while still scheduled, so a transaction canceled at the same time is left canceled
+          const result = await storage.model('Transaction').updateOne({ _id: transaction._id, status: 'scheduled' }, { $set: update });
+          if (result.matchedCount !== 1) { return; }
+          await updateDebitCardBalances({ _debitCard: transaction._debitCard, amount: transaction.amount, status: update.status }, 'scheduled');
+          if (transaction.subtype === 'transfer') { await updateReceivingSide(transaction, 'scheduled', update); }
+        });
+      } catch (err) {
+        logger.error('Error promoting scheduled transaction', err, { transactionId: transaction._id });
+        // Swallow the error and continue to the next transaction
+      }
+    }
+  } catch (err) {
+    logger.error('Error promoting scheduled transactions', err);
+    throw new HandledError('Error promoting scheduled transactions', 500);
+  }
+};
+
+/**
+ * Expire the authorization holds that were not captured in time, releasing them from the available balance
+ * 
+ * Note: ran via scheduled task
+ */
+Transaction.statics.expireAuthorizations = async function() {
+  try {
+    const transactions = await storage.model('Transaction').find({ status: 'authorized', authorizationExpiresAt: { $lte: new Date() } });
+    for (const transaction of transactions) {
+      try {
+        await storage.unitOfWork(() => releaseAuthorization(transaction, 'expired'));
+      } catch (err) {
+        logger.error('Error expiring authorization', err, { transactionId: transaction._id });
+        // Swallow the error and continue to the next authorization
+      }
+    }
+  } catch (err) {
+    logger.error('Error expiring authorizations', err);
+    throw new HandledError('Error expiring authorizations', 500);
+  }
+};
+
+/**
+ * Add interest transaction to each debit card account
  * 
  * Note: ran via scheduled task
  */
 Transaction.statics.addBalanceInterest = async () => {
   try {
-    // Aggregate transactions and calculate balances for completed transactions by user, filtering for only those over 0
-    const transactionStream = storage.model('Transaction').aggregate([
-      { $match: { status: 'completed' } },
-      { $group: { _id: '$_user', totalBalance: { $sum: '$amount' }, _debitCard: { $first: '$_debitCard' } } },
-      { $match: { totalBalance: { $gt: 0 } } }
-    ]).cursor();
-
-    // Create an interest transaction for each user with a balance
-    const transactions = [];
-    transactionStream
-      .on('data', async (transactionInfo) => {
-        transactions.push({
+    // Interest rates are set per product, by the account type of the debit card
+    const interestRates = await storage.model('Product').getInterestRates();
+
+    // Balances are kept on the original card of each account, so interest is paid on the accounts with a positive balance that are not closed
+    const accounts = storage.model('DebitCard').find({ _originalCard: { $exists: false }, closedAt: { $exists: false }, currentBalance: { $gt: 0 } }).cursor();
+
+    // Interest is paid to each account in its own unit of work, so an account that fails does not hold back the interest of the others
+    let failedCount = 0;
+    for await (const account of accounts) {
+      try {
+        const interestRate = interestRates[account.accountType];
+        const amount = interestRate ? Money.multiply(account.currentBalance, interestRate) : 0;
+        // Balances too small to earn a whole cent are not paid interest
+        if (!amount) { continue; }
+        // Interest is paid to the current card of the account, unless the account was closed from it after a reissue
+        const debitCard = await account.getCurrentCard();
+        if (!debitCard || debitCard.closedAt) { continue; }
+
+        const transaction = new storage.model('Transaction')({
           date: new Date(),
           type: 'debit',
           subtype: 'interest',
-          amount: Math.round(transactionInfo.totalBalance * INTEREST_RATE * 100) / 100,
+          amount,
+          currency: account.currency,
           status: 'completed',
           vender: 'ONE',
           description: 'Interest added to account',
-          _user: transactionInfo._id,
-          _debitCard: transactionInfo._debitCard
+          _user: account._user,
+          _debitCard: debitCard._id
         });
-      })
-      .on('end', async () => {
-        if (transactions.length) {
-          await storage.model('Transaction').insertMany(transactions, { ordered: false });
-        }
-      })
-      .on('error', (err) => {
-        throw err;
-      });
+        await storage.unitOfWork(async () => {
+          await transaction.save();
+          await updateDebitCardBalances(transaction);
+          await storage.model('JournalEntry').postTransaction({ transaction });
+        });
+      } catch (err) {
+        logger.error('Error adding interest to account', err, { debitCardId: account._id });
+        failedCount++;
+        // Swallow the error and continue to the next account, the failures are reported once every account has been paid
+      }
+    }
+    if (failedCount) { throw new Error(`Interest could not be added to ${failedCount} accounts`); }
   } catch (err) {
     logger.error('Error adding balance interest', err);
     throw new HandledError('Error adding balance interest', 500);
   }
 };
 
+// ------------------------- HELPER FUNCTIONS -------------------------
+
+/**
+ * Method to update the running balances of the debit card of a transaction for its change of status
+ * Authorization holds are part of the pending balance until they are captured, voided, or expire
+ * @param {Transaction} transaction - Transaction with its new status
+ * @param {String} previousStatus - Status of the transaction before the change, not set for a new transaction
+ * @param {Number} previousAmount - Amount in cents before the change, if it changed with the status
+ */
+async function updateDebitCardBalances(transaction, previousStatus, previousAmount = transaction.amount) {
+  const getBalanceStatus = (status) => (status === 'authorized' ? 'pending' : status);
+  const getAmount = (status, balanceStatus, amount) => (getBalanceStatus(status) === balanceStatus ? amount : 0);
+  await storage.model('DebitCard').updateBalances({
+    debitCardId: transaction._debitCard,
+    currentBalance: getAmount(transaction.status, 'completed', transaction.amount) - getAmount(previousStatus, 'completed', previousAmount),
+    pendingBalance: getAmount(transaction.status, 'pending', transaction.amount) - getAmount(previousStatus, 'pending', previousAmount)
+  });
+}
+
+/**
+ * Method to release an authorization hold that is still held, to be called within a unit of work
+ * @param {Transaction} transaction - Authorized transaction to release
+ * @param {String} status - Status to release the hold with, either voided or expired
+ * 
+ * @returns {Boolean} - Whether the hold was released, false if it was captured, voided, or expired first
+ */
+async function releaseAuthorization(transaction, status) {
+  const result = await storage.model('Transaction').updateOne({ _id: transaction._id, status: 'authorized' }, { $set: { status } });
+  if (result.matchedCount !== 1) { return false; }
+  await updateDebitCardBalances({ _debitCard: transaction._debitCard, amount: transaction.amount, status }, 'authorized');
+  return true;
+}
+
+/**
+ * Method to check if a transaction is the receiving side of a transfer, which moves with its sending side
+ * @param {Transaction} transaction - Transaction to check
+ * 
+ * @returns {Boolean} - True if the transaction is the receiving side of a transfer, false otherwise
+ */
+function isReceivingSide(transaction) {
+  return transaction.subtype === 'credit' && !!transaction._originalTransaction;
+}
+
+/**
+ * Method to move the receiving side of a transfer along with its sending side, to be called within a unit of work
+ * The receiving side is posted to the journal when it completes
+ * @param {Transaction} transaction - Sending side of the transfer
+ * @param {String} previousStatus - Status the receiving side is moved from, the same as the sending side was
+ * @param {Object} update - Status, and failure reason if failed, to set on the receiving side
+ */
+async function updateReceivingSide(transaction, previousStatus, update) {
+  const receiverTransactions = await storage.model('Transaction').find({ _originalTransaction: transaction._id, status: previousStatus });
+  for (const receiverTransaction of receiverTransactions) {
+    const result = await storage.model('Transaction').updateOne({ _id: receiverTransaction._id, status: previousStatus }, { $set: update });
+    if (result.matchedCount !== 1) { continue; }
+    receiverTransaction.set(update);
+    await updateDebitCardBalances(receiverTransaction, previousStatus);
+    if (update.status === 'completed') { await storage.model('JournalEntry').postTransaction({ transaction: receiverTransaction }); }
+  }
+}
+
+/**
+ * Method to filter out the debit cards that have been reissued, leaving the current card of each account
+ * @param {Array<DebitCard>} debitCards - Debit cards to filter
+ * 
+ * @returns {Array<DebitCard>} - Debit cards that have not been reissued
+ */
+function getCurrentDebitCards(debitCards) {
+  return debitCards.filter(d => !d._replacedBy);
+}
+
+/**
+ * Method to build the query conditions for the transactions a holder can see on their debit cards
+ * Owners and joint owners see every transaction, authorized users only see the ones they initiated
+ * @param {Array<DebitCard>} debitCards - Current debit cards the user holds, including the history of cards they were reissued from
+ * @param {String} userId - The user ID of the holder
+ * 
+ * @returns {Array<Object>} - Query conditions to use with $or
+ */
+async function getHolderConditions(debitCards, userId) {
+  const ownedIds = [];
+  const authorizedIds = [];
+  for (const debitCard of debitCards) {
+    const linkedCardIds = await debitCard.getLinkedCardIds();
+    (debitCard.isOwner(userId) ? ownedIds : authorizedIds).push(...linkedCardIds);
+  }
+  return [
+    { _debitCard: { $in: ownedIds } },
+    { _debitCard: { $in: authorizedIds }, _initiatedBy: userId }
+  ];
+}
+
 export default storage.model('Transaction', Transaction);
@@ -4,6 +4,9 @@ import Helpers from '../../util/helpers.js';
 import logger from '../../util/logger.js';
 import { auditSave } from '../plugins.js';
 
+// Defined enum constants to use in schema and validation in methods
+const USER_ROLES = ['user', 'admin'];
+
 // Schema for a user
 const User = new storage.schema({
   firstName: String,
@@ -18,6 +21,7 @@ const User = new storage.schema({
     zipCode: String,
     country: String
   },
+  role: { type: String, enum: USER_ROLES, default: 'user' },
   auditLog: [{ timestamp: Date, performedBy: String, action: String }],
 },
 { timestamps: true });
@@ -90,8 +94,71 @@ User.statics.findUser = async ({ userId, email } = {}) => {
   }
 };
 
+/**
+ * Method to search users by a partial email, first name, or last name
+ * @param {Object} params - Parameters to search users by
+ * @param {String} params.search - Text to search for, case insensitive
+ * @param {Number} params.limit - Maximum number of users to return
+ * 
+ * @returns {Array<User>} users - Users matching the search
+ */
+User.statics.searchUsers = async ({ search, limit = 25 } = {}) => {
+  try {
+    if (typeof search !== 'string' || !search.trim()) { throw new HandledError('Search text is required as a string', 400); }
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) { throw new HandledError('Limit must be an integer between 1 and 100', 400); }
+
+    // Escape the search so it is matched literally
+    const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const users = await storage.model('User').find({ $or: [{ email: pattern }, { firstName: pattern }, { lastName: pattern }] }).limit(limit);
+    return users;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error searching users: ${err.message}`, { search });
+      throw err;
+    }
+    logger.error('Error searching users', err, { search });
+    throw new HandledError('Error searching users', 500);
+  }
+};
+
 // ------------------------- INSTANCE METHODS -------------------------
 
+/**
+ * Method to check if the user has the admin role
+ * 
+ * @returns {Boolean} - True if the user is an admin, false otherwise
+ */
+User.methods.isAdmin = function() {
+  return this.role === 'admin';
+};
+
+/**
+ * Method to set the role of the user
+ * @param {Object} params - Parameters for the role change
+ * @param {String} params.role - Role to set (see USER_ROLES)
+ * @param {String} params.performedBy - Identity of who is changing the role
+ * 
+ * @returns {User} user - Updated user object
+ */
+User.methods.setRole = async function({ role, performedBy } = {}) {
+  try {
+    if (!USER_ROLES.includes(role)) { throw new HandledError(`Role must be one of: ${USER_ROLES.join(', ')}`, 400); }
+    if (this.role === role) { return this; }
+    this.role = role;
+
+    await this.auditSave({ performedBy, action: `setRole:${role}` });
+    return this;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error setting user role: ${err.message}`, { userId: this._id });
+      throw err;
+    }
+    logger.error('Error setting user role', err, { userId: this._id });
+    throw new HandledError('Error setting user role', 500);
+  }
+};
+
 /**
  * Method to update a users fields
  * @param {Object} params - Parameters to update on the user
@@ -166,6 +233,7 @@ User.methods._filter = function() {
     phoneNumber: this.phoneNumber,
     dateOfBirth: this.dateOfBirth?.toISOString(),
     address: this.address,
+    role: this.role,
     auditLog: this.auditLog?.map(log => {
       return { timestamp: log.timestamp, performedBy: log.performedBy, action: log.action };
     })
@@ -0,0 +1,218 @@
+import storage from '../index.js';
+import Helpers from '../../util/helpers.js';
+import HandledError from '../../util/handledError.js';
+import logger from '../../util/logger.js';
+import { auditSave, cardCredentials } from '../plugins.js';
+
+// Defined enum constants to use in schema and validation in methods
+const VIRTUAL_CARD_TYPES = ['single-use', 'merchant-locked'];
+// Statuses of a purchase that keep a single-use virtual card spent
+const SPENDING_STATUSES = ['scheduled', 'authorized', 'pending', 'completed'];
+
+// Schema for a virtual card, which has its own account number but is funded by a debit card
+const VirtualCard = new storage.schema({
+  accountNumber: { type: String, required: true, unique: true },
+  lastFourDigits: { type: String, validate: { validator: d => /^\d{4}$/.test(d), message: 'Invalid last four digits' }, required: true },
+  type: { type: String, enum: VIRTUAL_CARD_TYPES, required: true },
+  lockedVender: String,
+  active: { type: Boolean, default: true },
+  usedAt: Date,
+  // Purchase a single-use card is claimed by, claimed when the purchase is saved so only one can be made with the card
+  _pendingTransaction: { type: storage.schema.Types.ObjectId, ref: 'Transaction' },
+  revokedAt: Date,
+  _debitCard: { type: storage.schema.Types.ObjectId, ref: 'DebitCard', required: true, index: true },
+  // Holder of the funding debit card the virtual card was issued to
+  _user: { type: storage.schema.Types.ObjectId, ref: 'User', required: true },
+  auditLog: [{ timestamp: Date, performedBy: String, action: String, reason: String }],
+},
+{ timestamps: true });
+
+// Plugin auditSave for auditLog field, and cardCredentials for the expiry and CVV of the card
+VirtualCard.plugin(auditSave);
+VirtualCard.plugin(cardCredentials);
+
+// ------------------------- STATIC FUNCTIONS -------------------------
+
+/**
+ * Method to create a virtual card funded by a debit card
+ * @param {Object} params - Parameters for the virtual card
+ * @param {DebitCard} params.debitCard - Funding debit card for the virtual card
+ * @param {String} params.type - Type of virtual card (see VIRTUAL_CARD_TYPES)
+ * @param {String} params.lockedVender - Vender the card is locked to, required for merchant-locked cards
+ * @param {String} params.userId - Holder of the debit card the virtual card is issued to, defaults to the owner
+ * @param {String} params.performedBy - Identity of who is creating the virtual card
+ *
+ * @returns {VirtualCard} virtualCard - New virtual card object
+ */
+VirtualCard.statics.create = async function({ debitCard, type, lockedVender, userId, performedBy } = {}) {
+  try {
+    // Validate the virtual card parameters - only merchant-locked cards have a vender
+    if (!VIRTUAL_CARD_TYPES.includes(type)) { throw new HandledError(`Virtual card type must be one of: ${VIRTUAL_CARD_TYPES.join(', ')}`, 400); }
+    if (type === 'merchant-locked' && (typeof lockedVender !== 'string' || !lockedVender)) {
+      throw new HandledError('lockedVender required as a string for merchant-locked virtual cards', 400);
+    }
+    if (type !== 'merchant-locked' && typeof lockedVender !== 'undefined') {
+      throw new HandledError('lockedVender can only be set for merchant-locked virtual cards', 400);
+    }
+    if (!(debitCard instanceof storage.model('DebitCard')) || !debitCard.active) {
+      throw new HandledError('Funding debit card not found or is inactive', 400);
+    }
+    if (userId && !debitCard.canAccess(userId)) { throw new HandledError('Not authorized to create virtual cards for this debit card', 403); }
+
+    const virtualCard = new storage.model('VirtualCard')({
+      type,
+      lockedVender,
+      _debitCard: debitCard._id,
+      _user: userId || debitCard._user
+    });
+    virtualCard.issueCredentials();
+    await virtualCard.auditSave({ performedBy, action: 'create' });
+
+    return virtualCard;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error creating virtual card: ${err.message}`, { debitCardId: debitCard?._id });
+      throw err;
+    }
+    logger.error('Error creating virtual card', err, { debitCardId: debitCard?._id });
+    throw new HandledError('Error creating virtual card', 500);
+  }
+};
+
+/**
+ * Method to find the virtual cards funded by a debit card
+ * @param {Object} params - Parameters to find the virtual cards by
+ * @param {String} params.debitCardId - The funding debit card ID to find virtual cards for
+ * @param {String} params.userId - Optional holder to only find the virtual cards issued to them
+ *
+ * @returns {Array<VirtualCard>} - Array of virtual cards found
+ */
+VirtualCard.statics.findVirtualCards = async function({ debitCardId, userId } = {}) {
+  try {
+    if (!Helpers.isValidObjectId(debitCardId)) { throw new HandledError('valid debitCardId is required', 400); }
+    const query = { _debitCard: debitCardId };
+    if (userId) { query._user = userId; }
+
+    const virtualCards = await storage.model('VirtualCard').find(query);
+    return virtualCards;
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error finding virtual cards: ${err.message}`, { debitCardId });
+      throw err;
+    }
+    logger.error('Error finding virtual cards', err, { debitCardId });
+    throw new HandledError('Error finding virtual cards', 500);
+  }
+};
+
+/**
+ * Method to deactivate a single-use virtual card once its purchase has completed
+ * @param {Object} params - Parameters for the purchase
+ * @param {Transaction} params.transaction - Completed purchase transaction
+ */
+VirtualCard.statics.recordCompletedPurchase = async function({ transaction } = {}) {
+  try {
+    if (!transaction?._virtualCard || transaction.status !== 'completed' || transaction.subtype !== 'purchase') { return; }
+    await storage.model('VirtualCard').updateOne(
+      { _id: transaction._virtualCard, type: 'single-use', active: true },
+      { $set: { active: false, usedAt: new Date() } }
+    );
+  } catch (err) {
+    logger.error('Error recording completed virtual card purchase', err, { transactionId: transaction?._id });
+    throw new HandledError('Error recording completed virtual card purchase', 500);
+  }
+};
+
+// ------------------------- INSTANCE METHODS -------------------------
+
+/**
+ * Method to ensure the virtual card can be used for a purchase, throwing the reason it cannot
+ * @param {Object} params - Parameters of the transaction being created
+ * @param {String} params.subtype - Subtype of the transaction
+ * @param {String} params.vender - Vender of the transaction
+ */
+VirtualCard.methods.validatePurchase = async function({ subtype, vender } = {}) {
+  if (!this.active) { throw new HandledError('Virtual card is inactive', 400); }
+  if (subtype !== 'purchase') { throw new HandledError('Virtual cards can only be used for purchases', 400); }
+  if (this.type === 'merchant-locked' && vender?.toUpperCase() !== this.lockedVender.toUpperCase()) {
+    throw new HandledError('Virtual card is locked to another vender', 400);
+  }
+  // A single-use card is spent by its first purchase, so only one can be scheduled, pending, or authorized at a time
+  if (this.type === 'single-use') {
+    const pendingPurchases = await storage.model('Transaction').countDocuments({ _virtualCard: this._id, status: { $in: ['scheduled', 'authorized', 'pending'] } });
+    if (pendingPurchases > 0) { throw new HandledError('Single-use virtual card already has a purchase pending', 400); }
+  }
+};
+
+/**
+ * Method to claim a single-use virtual card for a purchase, within the unit of work the purchase is saved in
+ * The claim is a conditional update, so of two purchases made with the card at the same time only one is saved
+ * @param {Object} params - Parameters for the claim
+ * @param {Transaction} params.transaction - Purchase being made with the virtual card
+ */
+VirtualCard.methods.claimPurchase = async function({ transaction } = {}) {
+  if (this.type !== 'single-use') { return; }
+  const claim = (pendingTransaction) => storage.model('VirtualCard').updateOne(
+    { _id: this._id, active: true, _pendingTransaction: pendingTransaction },
+    { $set: { _pendingTransaction: transaction._id } }
+  );
+
+  let result = await claim(null);
+  if (result.matchedCount !== 1) {
+    // A purchase that claimed the card and then failed, or was canceled, leaves the card free to be claimed again
+    const claimed = await storage.model('VirtualCard').findOne({ _id: this._id }, { _pendingTransaction: 1 });
+    const previousTransaction = claimed?._pendingTransaction;
+    if (previousTransaction && !(await storage.model('Transaction').exists({ _id: previousTransaction, status: { $in: SPENDING_STATUSES } }))) {
+      result = await claim(previousTransaction);
+    }
+  }
+  if (result.matchedCount !== 1) { throw new HandledError('Single-use virtual card already has a purchase pending', 409); }
+  this._pendingTransaction = transaction._id;
+};
+
+/**
+ * Method to revoke the virtual card so it can no longer be used, without changing the funding debit card
+ * @param {Object} params - Parameters for the revocation
+ * @param {String} params.performedBy - Identity of who is revoking the virtual card
+ *
+ * @returns {VirtualCard} - Updated virtual card object
+ */
+VirtualCard.methods.revoke = async function({ performedBy } = {}) {
+  try {
+    if (this.revokedAt) { return this; }
+    this.active = false;
+    this.revokedAt = new Date();
+
+    await this.auditSave({ performedBy, action: 'revoke' });
+    return this;
+  } catch (err) {
+    logger.error('Error revoking virtual card', err, { virtualCardId: this._id });
+    throw new HandledError('Error revoking virtual card', 500);
+  }
+};
+
+/**
+ * Filter method to be used before returning to the client
+ *
+ * @returns {Object} - Filtered virtualCard object
+ */
+VirtualCard.methods._filter = function() {
+  return {
+    id: this._id,
+    accountNumber: this.accountNumber,
+    lastFourDigits: this.lastFourDigits,
+    expiryMonth: this.expiryMonth,
+    expiryYear: this.expiryYear,
+    type: this.type,
+    lockedVender: this.lockedVender,
+    active: this.active,
+    usedAt: this.usedAt,
+    pendingTransaction: this._pendingTransaction,
+    revokedAt: this.revokedAt,
+    debitCard: this._debitCard,
+    user: this._user,
+    createdAt: this.createdAt,
+  };
+}
+
+export default storage.model('VirtualCard', VirtualCard);
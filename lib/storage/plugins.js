@@ -1,3 +1,13 @@
+import crypto from 'crypto';
+import Helpers from '../util/helpers.js';
+import HandledError from '../util/handledError.js';
+
+// Card credential constants, the CVV secret keys the hash so stored CVVs cannot be guessed from the hash alone - a CVV has only
+// 1000 values, so a known secret would let every hash be brute-forced, and it is required rather than defaulted outside of tests
+const CARD_VALID_YEARS = Number(process.env.CARD_VALID_YEARS) || 3;
+if (!process.env.CVV_HASH_SECRET && !process.env.MOCHA) { throw new Error('CVV_HASH_SECRET environment variable is required'); }
+const CVV_HASH_SECRET = process.env.CVV_HASH_SECRET || 'test-cvv-secret';
+
 /**
  * Plugin to add audit save functionality to a schema
  * 
@@ -18,11 +28,95 @@ export const auditSave = async function (schema) {
     throw new Error('"auditLog" must have: - "timestamp" (Date), "performedBy" (String), and "action" (String)');
   }
 
-  schema.methods.auditSave = async function({ performedBy, action } = {}) {
+  // Optional reason for the action, only kept if the schema defines it
+  const hasReason = itemSchema.path('reason')?.instance === 'String';
+
+  schema.methods.auditSave = async function({ performedBy, action, reason } = {}) {
     if (!performedBy || !action) { throw new Error('"performedBy" and "action" parameters required for auditSave'); }
     this.auditLog = this.auditLog || [];
     
-    this.auditLog.push({ timestamp: new Date(), performedBy, action });
+    this.auditLog.push({ timestamp: new Date(), performedBy, action, ...(hasReason && reason && { reason }) });
     await this.save();
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Plugin to add card credentials to a schema - a Luhn-valid account number, an expiry month and year, and a CVV stored only as a hash
+ * 
+ * @param {Schema} schema - Mongoose schema with accountNumber and lastFourDigits fields to add the card credentials to
+ */
+export const cardCredentials = function (schema) {
+  if (!schema.path('accountNumber') || !schema.path('lastFourDigits')) {
+    throw new Error('Fields of "accountNumber" and "lastFourDigits" required for cardCredentials plugin');
+  }
+  schema.add({
+    expiryMonth: { type: Number, min: 1, max: 12 },
+    expiryYear: Number,
+    hashedCvv: String,
+  });
+
+  /**
+   * Sets a new account number, expiry, and CVV on the card - the plain CVV is only available from the return value
+   * and on $locals.cvv of this document, it is never stored
+   *
+   * @returns {String} cvv - Plain CVV of the card
+   */
+  schema.methods.issueCredentials = function() {
+    const accountNumber = Helpers.generateAccountNumber();
+    const now = new Date();
+    const cvv = crypto.randomInt(1000).toString().padStart(3, '0');
+
+    this.accountNumber = accountNumber;
+    this.lastFourDigits = accountNumber.slice(-4);
+    this.expiryMonth = now.getUTCMonth() + 1;
+    this.expiryYear = now.getUTCFullYear() + CARD_VALID_YEARS;
+    this.hashedCvv = hashCvv(accountNumber, cvv);
+    this.$locals.cvv = cvv;
+    return cvv;
+  };
+
+  /**
+   * Checks if the card is past the end of its expiry month - cards issued without an expiry never expire
+   * @param {Date} date - Date to check against, defaults to now
+   *
+   * @returns {Boolean} - True if the card is expired, false otherwise
+   */
+  schema.methods.isExpired = function(date = new Date()) {
+    if (!this.expiryMonth || !this.expiryYear) { return false; }
+    // Month is 0 indexed for Date.UTC, so the expiry month number is the start of the following month
+    return new Date(date) >= new Date(Date.UTC(this.expiryYear, this.expiryMonth, 1));
+  };
+
+  /**
+   * Verifies the card is not expired, and the expiry and CVV match the card when they are supplied
+   * @param {Object} params - Credentials supplied with the authorization
+   * @param {Number} params.expiryMonth - Expiry month printed on the card
+   * @param {Number} params.expiryYear - Expiry year printed on the card
+   * @param {String} params.cvv - CVV printed on the card
+   */
+  schema.methods.verifyCredentials = function({ expiryMonth, expiryYear, cvv } = {}) {
+    if (this.isExpired()) { throw new HandledError('Card is expired', 400, 'card_expired'); }
+    if (typeof expiryMonth !== 'undefined' || typeof expiryYear !== 'undefined') {
+      if (Number(expiryMonth) !== this.expiryMonth || Number(expiryYear) !== this.expiryYear) {
+        throw new HandledError('Card expiry does not match', 400, 'invalid_expiry');
+      }
+    }
+    if (typeof cvv !== 'undefined') {
+      const hashedCvv = hashCvv(this.accountNumber, String(cvv));
+      if (!this.hashedCvv || !crypto.timingSafeEqual(Buffer.from(hashedCvv), Buffer.from(this.hashedCvv))) {
+        throw new HandledError('Card CVV does not match', 400, 'invalid_cvv');
+      }
+    }
+  };
+}
+
+/**
+ * Method to hash a CVV for storage and verification, keyed by the account number of the card
+ * @param {String} accountNumber - Account number of the card
+ * @param {String} cvv - Plain CVV
+ * 
+ * @returns {String} - Hex encoded HMAC-SHA-256 of the CVV
+ */
+function hashCvv(accountNumber, cvv) {
+  return crypto.createHmac('sha256', CVV_HASH_SECRET).update(`${accountNumber}:${cvv}`).digest('hex');
+}
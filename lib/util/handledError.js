@@ -1,11 +1,13 @@
 /**
  * HandledError class to differentiate between handled and unhandled errors
+ * An optional reason code can be given for errors the client is expected to handle, such as spending control rejections
  */
 class HandledError extends Error {
-  constructor(message, code) {
+  constructor(message, code, reason) {
     super(message);
     this.handled = true;
     this.code = code || 500;
+    if (reason) { this.reason = reason; }
   }
 }
 
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
 /**
@@ -48,6 +49,39 @@ Helpers.getObjectIdFromDate = (date) => {
   return mongoose.Types.ObjectId.createFromTime(new Date(date).getTime() / 1000);
 };
 
+/**
+ * Gets the start of the statement cycle a date falls in - statement cycles are calendar months in UTC
+ * @param {Date} date - Date within the statement cycle, defaults to now
+ * 
+ * @returns {Date} - Start of the statement cycle
+ */
+Helpers.getStatementCycleStart = (date = new Date()) => {
+  const cycleDate = new Date(date);
+  return new Date(Date.UTC(cycleDate.getUTCFullYear(), cycleDate.getUTCMonth(), 1));
+};
+
+/**
+ * Gets the end of the statement cycle a date falls in, which is the start of the next statement cycle
+ * @param {Date} date - Date within the statement cycle, defaults to now
+ * 
+ * @returns {Date} - End of the statement cycle, exclusive
+ */
+Helpers.getStatementCycleEnd = (date = new Date()) => {
+  const cycleDate = new Date(date);
+  return new Date(Date.UTC(cycleDate.getUTCFullYear(), cycleDate.getUTCMonth() + 1, 1));
+};
+
+/**
+ * Gets the start of the day a date falls in, in UTC
+ * @param {Date} date - Date within the day, defaults to now
+ * 
+ * @returns {Date} - Start of the day
+ */
+Helpers.getDayStart = (date = new Date()) => {
+  const dayDate = new Date(date);
+  return new Date(Date.UTC(dayDate.getUTCFullYear(), dayDate.getUTCMonth(), dayDate.getUTCDate()));
+};
+
 /**
  * Validates if the given id is a valid ObjectId
  * @param {String || ObjectId} id - Id to validate
@@ -58,4 +92,52 @@ Helpers.isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id);
 };
 
+/**
+ * Calculates the Luhn check digit for a card number without its check digit
+ * @param {String} digits - Card number digits to calculate the check digit for
+ * 
+ * @returns {String} - Luhn check digit
+ */
+Helpers.getLuhnCheckDigit = (digits) => {
+  let sum = 0;
+  // Every second digit from the right, starting with the rightmost, is doubled as the check digit is appended after it
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) { digit -= 9; }
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Validates if the given card number has a valid Luhn check digit
+ * @param {String} number - Card number to validate
+ * 
+ * @returns {Boolean} - True if the card number is valid, false otherwise
+ */
+Helpers.isValidLuhn = (number) => {
+  if (typeof number !== 'string' || !/^\d{2,19}$/.test(number)) { return false; }
+  return Helpers.getLuhnCheckDigit(number.slice(0, -1)) === number.slice(-1);
+};
+
+/**
+ * Generates a random Luhn-valid 16 digit card number starting with the issuer BIN - used for debit cards and virtual cards
+ * @param {String} bin - Bank identification number the card number starts with, defaults to the CARD_BIN env variable
+ * 
+ * @returns {String} - 16 digit card number
+ */
+Helpers.generateAccountNumber = (bin = process.env.CARD_BIN || '400000') => {
+  if (!/^\d{6,8}$/.test(bin)) { throw new Error('Card BIN must be 6 to 8 digits'); }
+
+  // Fill the digits between the BIN and the check digit randomly
+  let digits = bin;
+  while (digits.length < 15) {
+    digits += crypto.randomInt(10).toString();
+  }
+  return digits + Helpers.getLuhnCheckDigit(digits);
+};
+
 export default Helpers;
\ No newline at end of file
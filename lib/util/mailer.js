@@ -0,0 +1,78 @@
+import { appendFile } from 'fs/promises';
+import { SESClient, SendEmailCommand } from '@aws-sdk/client-ses';
+import HandledError from './handledError.js';
+import Helpers from './helpers.js';
+import logger from './logger.js';
+
+/**
+ * Mailer functions for sending emails through a pluggable transport
+ * - ses: sends through AWS SES (default)
+ * - file: appends each message as a JSON line to MAIL_OUTBOX_FILE, for local development
+ * - memory: pushes each message to Mailer.outbox, for tests
+ */
+const Mailer = {
+  outbox: [],
+};
+
+let sesClient;
+let transport;
+
+// Built in transports - each receives the message and resolves once it is delivered
+const TRANSPORTS = {
+  ses: async (message) => {
+    sesClient = sesClient || new SESClient({ region: process.env.AWS_REGION || 'us-east-1' });
+    await sesClient.send(new SendEmailCommand({
+      Source: message.from,
+      Destination: { ToAddresses: [message.to] },
+      Message: {
+        Subject: { Data: message.subject },
+        Body: { Text: { Data: message.text } },
+      },
+    }));
+  },
+  file: async (message) => {
+    await appendFile(process.env.MAIL_OUTBOX_FILE || 'outbox.log', `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+  },
+  memory: async (message) => {
+    Mailer.outbox.push(message);
+  },
+};
+
+/**
+ * Set the transport used to send emails
+ * @param {String || Function} name - Name of a built in transport, or an async function receiving the message
+ */
+Mailer.setTransport = (name) => {
+  if (typeof name === 'function') {
+    transport = name;
+    return;
+  }
+  if (!TRANSPORTS[name]) { throw new Error(`Mail transport "${name}" does not exist`); }
+  transport = TRANSPORTS[name];
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} params - Parameters for the email
+ * @param {String} params.to - Email address to send to
+ * @param {String} params.subject - Subject of the email
+ * @param {String} params.text - Plain text body of the email
+ */
+Mailer.send = async ({ to, subject, text } = {}) => {
+  try {
+    if (!Helpers.isValidEmail(to)) { throw new HandledError('Valid email is required to send mail', 400); }
+    if (typeof subject !== 'string' || typeof text !== 'string') { throw new HandledError('Mail subject and text are required as strings', 400); }
+    if (!transport) { Mailer.setTransport(process.env.MAIL_TRANSPORT || (process.env.MOCHA ? 'memory' : 'ses')); }
+
+    await transport({ from: process.env.MAIL_FROM, to, subject, text });
+  } catch (err) {
+    if (err.handled) {
+      logger.info(`Error sending mail: ${err.message}`, { to });
+      throw err;
+    }
+    logger.error('Error sending mail', err, { to });
+    throw new HandledError('Error sending mail', 500);
+  }
+};
+
+export default Mailer;
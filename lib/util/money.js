@@ -0,0 +1,73 @@
+/**
+ * Money functions for converting and rounding amounts - amounts are stored as whole cents, and sent to and from the
+ * client as decimal amounts with no more than 2 decimal places
+ */
+const Money = {};
+
+// Currency of amounts stored before currencies were recorded, and of debit cards opened without one
+Money.DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Validates if the given currency is a 3 letter ISO 4217 code
+ * @param {String} currency - Currency to validate
+ *
+ * @returns {Boolean} - True if currency is valid, false otherwise
+ */
+Money.isValidCurrency = (currency) => {
+  return typeof currency === 'string' && /^[A-Z]{3}$/.test(currency);
+};
+
+/**
+ * Validates if the given decimal amount is a finite number with no more than 2 decimal places
+ * @param {Number} amount - Decimal amount to validate
+ *
+ * @returns {Boolean} - True if amount is valid, false otherwise
+ */
+Money.isValidAmount = (amount) => {
+  return typeof amount === 'number' && Number.isFinite(amount) && Math.round(amount * 100) / 100 === amount;
+};
+
+/**
+ * Converts a decimal amount to whole cents, leaving unset amounts as they are
+ * @param {Number} amount - Decimal amount to convert
+ *
+ * @returns {Number} - Amount in cents
+ */
+Money.toCents = (amount) => {
+  return typeof amount === 'number' ? Math.round(amount * 100) : amount;
+};
+
+/**
+ * Converts an amount in cents to a decimal amount, leaving unset amounts as they are
+ * @param {Number} cents - Amount in cents to convert
+ *
+ * @returns {Number} - Decimal amount
+ */
+Money.fromCents = (cents) => {
+  return typeof cents === 'number' ? cents / 100 : cents;
+};
+
+/**
+ * Converts every amount in cents of an object to a decimal amount - used for balances and totals returned to the client
+ * @param {Object} amounts - Object of amounts in cents
+ *
+ * @returns {Object} - Object with the same keys and decimal amounts
+ */
+Money.fromCentsValues = (amounts) => {
+  return Object.fromEntries(Object.entries(amounts).map(([key, cents]) => [key, Money.fromCents(cents)]));
+};
+
+/**
+ * Multiplies an amount in cents by a rate, rounding half away from zero to whole cents - used for cashback, interest, and currency conversion
+ * @param {Number} cents - Amount in cents to multiply
+ * @param {Number} rate - Rate to multiply by, such as 0.01 for 1%
+ *
+ * @returns {Number} - Product in cents
+ */
+Money.multiply = (cents, rate) => {
+  // The product is trimmed to 15 significant digits first, so binary error such as 0.4999999999 still rounds up
+  const product = Number((Math.abs(cents) * Number(rate)).toPrecision(15));
+  return Math.sign(cents) * Math.round(product) || 0;
+};
+
+export default Money;
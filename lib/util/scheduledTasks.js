@@ -11,6 +11,9 @@ export const initializeTasks = async () => {
   const tasks = [
     { timer: '*/4 * * * *', model: storage.model('Transaction'), method: 'validatePending' },
     { timer: '*/10 * * * *', model: storage.model('Transaction'), method: 'addBalanceInterest' },
+    { timer: '0 * * * *', model: storage.model('Transaction'), method: 'expireAuthorizations' },
+    { timer: '*/5 * * * *', model: storage.model('Transaction'), method: 'promoteScheduled' },
+    { timer: '*/5 * * * *', model: storage.model('RecurringTransfer'), method: 'runDue' },
   ];
   
   for (const task of tasks) {
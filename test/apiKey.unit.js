@@ -0,0 +1,185 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('ApiKey', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+
+  let auditSaveStub;
+  beforeEach(async () => {
+    auditSaveStub = sinon.stub(storage.model('ApiKey').prototype, 'auditSave');
+  });
+
+  describe('create', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to missing name', async () => {
+      try {
+        await storage.model('ApiKey').create();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Api key name required as a string');
+      }
+    });
+    it('should error due to invalid scopes', async () => {
+      try {
+        await storage.model('ApiKey').create({ name: 'test', scopes: ['invalid'], userId: user._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.contain('Api key scopes required as an array of');
+      }
+    });
+    it('should error due to a service api key with a write scope', async () => {
+      try {
+        await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read', 'transactions:write'], service: 'reports' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(400);
+        err.message.should.equal('Service api key scopes limited to: users:read, cards:read, transactions:read');
+      }
+    });
+    it('should error due to both a user and service provided', async () => {
+      try {
+        await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read'], userId: user._id, service: 'reports' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Api key requires a userId or service, not both');
+      }
+    });
+    it('should create an api key storing only the hash of the key', async () => {
+      try {
+        const { apiKey, key } = await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read', 'transactions:read'], userId: user._id });
+        auditSaveStub.callCount.should.equal(1);
+        auditSaveStub.firstCall.args[0].action.should.equal('create');
+        key.should.match(/^mo_/);
+        apiKey.hashedKey.should.not.equal(key);
+        apiKey.hashedKey.should.have.length(64);
+        apiKey.keyPrefix.should.equal(key.slice(0, 10));
+        apiKey.scopes.should.deep.equal(['transactions:read']);
+        should.not.exist(apiKey._filter().hashedKey);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('authenticate', async () => {
+    let findOneAndUpdateStub;
+
+    beforeEach(async () => {
+      findOneAndUpdateStub = sinon.stub(storage.model('ApiKey'), 'findOneAndUpdate');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should return null for a key without the prefix', async () => {
+      try {
+        const result = await storage.model('ApiKey').authenticate({ key: 'invalid' });
+        should.not.exist(result);
+        findOneAndUpdateStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should find an unrevoked key by its hash and record when it was used', async () => {
+      try {
+        const { apiKey, key } = await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read'], service: 'reports' });
+        findOneAndUpdateStub.resolves(apiKey);
+        const result = await storage.model('ApiKey').authenticate({ key });
+        result.should.equal(apiKey);
+        const [query, update] = findOneAndUpdateStub.firstCall.args;
+        query.hashedKey.should.equal(apiKey.hashedKey);
+        query.revokedAt.should.deep.equal({ $exists: false });
+        (update.$set.lastUsedAt instanceof Date).should.equal(true);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('hasScope', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should only have the scopes granted', async () => {
+      const apiKey = new storage.model('ApiKey')({ name: 'test', scopes: ['transactions:read', 'transactions:write'], _user: user._id });
+      apiKey.hasScope('transactions:write').should.equal(true);
+      apiKey.hasScope('cards:read').should.equal(false);
+    });
+    it('should not have write scopes granted to a service api key before they were limited', async () => {
+      const apiKey = new storage.model('ApiKey')({ name: 'test', scopes: ['transactions:read', 'transactions:write'], service: 'reports' });
+      apiKey.hasScope('transactions:read').should.equal(true);
+      apiKey.hasScope('transactions:write').should.equal(false);
+    });
+  });
+
+  describe('rotate', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to the api key being revoked', async () => {
+      try {
+        const { apiKey } = await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read'], userId: user._id });
+        apiKey.revokedAt = new Date();
+        await apiKey.rotate({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Revoked api key cannot be rotated');
+      }
+    });
+    it('should replace the key hash with a new key', async () => {
+      try {
+        const { apiKey, key } = await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read'], userId: user._id });
+        const previousHash = apiKey.hashedKey;
+        const newKey = await apiKey.rotate({ performedBy: user.id });
+        newKey.should.not.equal(key);
+        apiKey.hashedKey.should.not.equal(previousHash);
+        auditSaveStub.secondCall.args[0].should.deep.equal({ performedBy: user.id, action: 'rotate' });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('revoke', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should set the revoked date once', async () => {
+      try {
+        const { apiKey } = await storage.model('ApiKey').create({ name: 'test', scopes: ['transactions:read'], userId: user._id });
+        await apiKey.revoke({ performedBy: user.id });
+        should.exist(apiKey.revokedAt);
+        await apiKey.revoke({ performedBy: user.id });
+        auditSaveStub.callCount.should.equal(2);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('hasScope', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should only allow the scopes granted', async () => {
+      const apiKey = new storage.model('ApiKey')({ name: 'test', scopes: ['transactions:read'] });
+      apiKey.hasScope('transactions:read').should.equal(true);
+      apiKey.hasScope('transactions:write').should.equal(false);
+    });
+  });
+});
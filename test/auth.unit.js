@@ -0,0 +1,370 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import express from 'express';
+import session from 'express-session';
+import storage from '../lib/storage/index.js';
+import auth from '../lib/auth/index.js';
+import mailer from '../lib/util/mailer.js';
+
+const should = chai.should();
+
+describe('Auth', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+
+  describe('findOrCreateUser', async () => {
+    let findUserStub;
+    let createStub;
+
+    beforeEach(async () => {
+      findUserStub = sinon.stub(storage.model('User'), 'findUser');
+      createStub = sinon.stub(storage.model('User'), 'create');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to no email from the provider', async () => {
+      try {
+        await auth.findOrCreateUser({ firstName: 'Test', lastName: 'User' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Email is required from the authentication provider');
+      }
+    });
+    it('should return the existing user for the email', async () => {
+      try {
+        findUserStub.resolves(user);
+        const result = await auth.findOrCreateUser({ email: user.email, firstName: 'Test', lastName: 'User' });
+        createStub.callCount.should.equal(0);
+        result.should.equal(user);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should create a new user when none exists for the email', async () => {
+      try {
+        findUserStub.resolves(null);
+        createStub.resolves(user);
+        const result = await auth.findOrCreateUser({ email: user.email, firstName: 'Test', lastName: 'User' });
+        createStub.callCount.should.equal(1);
+        createStub.firstCall.args[0].should.deep.equal({ email: user.email, firstName: 'Test', lastName: 'User' });
+        result.should.equal(user);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('requireUser', async () => {
+    let res;
+
+    beforeEach(async () => {
+      res = { status: sinon.stub().returnsThis(), json: sinon.stub().returnsThis() };
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should respond unauthorized when there is no user in the session', async () => {
+      const next = sinon.stub();
+      auth.requireUser({ isAuthenticated: () => false }, res, next);
+      next.callCount.should.equal(0);
+      res.status.firstCall.args[0].should.equal(401);
+      res.json.firstCall.args[0].error.should.equal('Authentication required');
+    });
+    it('should continue when there is a user in the session', async () => {
+      const next = sinon.stub();
+      auth.requireUser({ isAuthenticated: () => true, user }, res, next);
+      next.callCount.should.equal(1);
+      res.status.callCount.should.equal(0);
+    });
+  });
+
+  describe('requireAdmin', async () => {
+    let res;
+
+    beforeEach(async () => {
+      res = { status: sinon.stub().returnsThis(), json: sinon.stub().returnsThis() };
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should respond forbidden for a user without the admin role', async () => {
+      const next = sinon.stub();
+      auth.requireAdmin({ isAuthenticated: () => true, user }, res, next);
+      next.callCount.should.equal(0);
+      res.status.firstCall.args[0].should.equal(403);
+    });
+    it('should continue for an admin user', async () => {
+      const next = sinon.stub();
+      const admin = new storage.model('User')({ firstName: 'Admin', lastName: 'User', email: 'admin@gmail.com', role: 'admin' });
+      auth.requireAdmin({ isAuthenticated: () => true, user: admin }, res, next);
+      next.callCount.should.equal(1);
+    });
+  });
+
+  describe('getIdentity', async () => {
+    it('should identify the user or the service making the request', async () => {
+      auth.getIdentity({ user }).should.equal(user.id);
+      auth.getIdentity({ apiKey: { service: 'reports' } }).should.equal('service:reports');
+    });
+  });
+
+  describe('requireScope', async () => {
+    let res;
+    let authenticateStub;
+
+    beforeEach(async () => {
+      res = { status: sinon.stub().returnsThis(), json: sinon.stub().returnsThis() };
+      authenticateStub = sinon.stub(storage.model('ApiKey'), 'authenticate');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should fall back to the session user when no bearer token is provided', async () => {
+      const next = sinon.stub();
+      await auth.requireScope('transactions:read')({ headers: {}, isAuthenticated: () => true, user }, res, next);
+      next.callCount.should.equal(1);
+      authenticateStub.callCount.should.equal(0);
+    });
+    it('should respond unauthorized for an invalid api key', async () => {
+      const next = sinon.stub();
+      authenticateStub.resolves(null);
+      await auth.requireScope('transactions:read')({ headers: { authorization: 'Bearer mo_invalid' } }, res, next);
+      next.callCount.should.equal(0);
+      res.status.firstCall.args[0].should.equal(401);
+    });
+    it('should respond forbidden for an api key without the scope', async () => {
+      const next = sinon.stub();
+      authenticateStub.resolves(new storage.model('ApiKey')({ name: 'test', scopes: ['transactions:read'], service: 'reports' }));
+      await auth.requireScope('transactions:write')({ headers: { authorization: 'Bearer mo_key' } }, res, next);
+      next.callCount.should.equal(0);
+      res.status.firstCall.args[0].should.equal(403);
+      res.json.firstCall.args[0].error.should.equal('Api key missing required scope: transactions:write');
+    });
+    it('should act as the user the api key was issued to', async () => {
+      const next = sinon.stub();
+      const req = { headers: { authorization: 'Bearer mo_key' } };
+      authenticateStub.resolves(new storage.model('ApiKey')({ name: 'test', scopes: ['transactions:read'], _user: user._id }));
+      sinon.stub(storage.model('User'), 'findUser').resolves(user);
+      await auth.requireScope('transactions:read')(req, res, next);
+      next.callCount.should.equal(1);
+      req.user.should.equal(user);
+      req.apiKey.hasScope('transactions:read').should.equal(true);
+    });
+    it('should have no user for an api key issued to a service', async () => {
+      const next = sinon.stub();
+      const req = { headers: { authorization: 'Bearer mo_key' } };
+      authenticateStub.resolves(new storage.model('ApiKey')({ name: 'test', scopes: ['transactions:read'], service: 'reports' }));
+      await auth.requireScope('transactions:read')(req, res, next);
+      next.callCount.should.equal(1);
+      should.not.exist(req.user);
+    });
+  });
+
+  describe('idempotent', async () => {
+    let res;
+    let json;
+    let beginStub;
+    const getReq = (headers = {}) => ({ user, method: 'POST', baseUrl: '/api/transactions', path: '/', body: { amount: 10 }, get: (name) => headers[name] });
+
+    beforeEach(async () => {
+      json = sinon.stub();
+      res = { statusCode: 200, status: sinon.stub().returnsThis(), set: sinon.stub().returnsThis(), json };
+      beginStub = sinon.stub(storage.model('IdempotencyKey'), 'begin');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should continue without a key when no Idempotency-Key header is sent', async () => {
+      const next = sinon.stub();
+      await auth.idempotent(getReq(), res, next);
+      next.callCount.should.equal(1);
+      beginStub.callCount.should.equal(0);
+    });
+    it('should replay the stored response for a retry', async () => {
+      const next = sinon.stub();
+      beginStub.resolves({ idempotencyKey: { responseCode: 400, responseBody: { error: 'Insufficient funds for transfer' } }, replay: true });
+      await auth.idempotent(getReq({ 'Idempotency-Key': 'key' }), res, next);
+      next.callCount.should.equal(0);
+      beginStub.firstCall.args[0].should.deep.equal({ key: 'key', caller: user.id, method: 'POST', path: '/api/transactions/', body: { amount: 10 } });
+      res.set.firstCall.args.should.deep.equal(['Idempotent-Replayed', 'true']);
+      res.status.firstCall.args[0].should.equal(400);
+      json.firstCall.args[0].should.deep.equal({ error: 'Insufficient funds for transfer' });
+    });
+    it('should respond with the error for a key used with a different request', async () => {
+      const next = sinon.stub();
+      const err = new Error('Idempotency-Key has already been used for a different request');
+      Object.assign(err, { handled: true, code: 422 });
+      beginStub.rejects(err);
+      await auth.idempotent(getReq({ 'Idempotency-Key': 'key' }), res, next);
+      next.callCount.should.equal(0);
+      res.status.firstCall.args[0].should.equal(422);
+    });
+    it('should store the response of the first request before sending it', async () => {
+      const next = sinon.stub();
+      const idempotencyKey = { complete: sinon.stub().resolves(), release: sinon.stub().resolves() };
+      beginStub.resolves({ idempotencyKey, replay: false });
+      await auth.idempotent(getReq({ 'Idempotency-Key': 'key' }), res, next);
+      next.callCount.should.equal(1);
+      await res.json({ id: 'transaction' });
+      await new Promise(resolve => setImmediate(resolve));
+      idempotencyKey.complete.firstCall.args[0].should.deep.equal({ responseCode: 200, responseBody: { id: 'transaction' } });
+      json.firstCall.args[0].should.deep.equal({ id: 'transaction' });
+      json.calledAfter(idempotencyKey.complete).should.equal(true);
+    });
+    it('should release the key when the request has a server error', async () => {
+      const idempotencyKey = { complete: sinon.stub().resolves(), release: sinon.stub().resolves() };
+      beginStub.resolves({ idempotencyKey, replay: false });
+      await auth.idempotent(getReq({ 'Idempotency-Key': 'key' }), res, sinon.stub());
+      res.statusCode = 500;
+      res.json({ error: 'Internal server error' });
+      await new Promise(resolve => setImmediate(resolve));
+      idempotencyKey.release.callCount.should.equal(1);
+      idempotencyKey.complete.callCount.should.equal(0);
+      json.callCount.should.equal(1);
+    });
+  });
+
+  describe('login flow', async () => {
+    const providers = [
+      { name: 'google', envPrefix: 'GOOGLE', profile: { id: '1', displayName: 'Test User', name: { givenName: 'Test', familyName: 'User' }, emails: [{ value: user.email }] } },
+      { name: 'outlook', envPrefix: 'OUTLOOK', profile: { id: '2', displayName: 'Test User', emails: [{ value: user.email, type: 'home' }] } },
+      { name: 'slack', envPrefix: 'SLACK', profile: { id: '3', displayName: 'Test User', user: { id: '3', name: 'Test User', email: user.email } } },
+    ];
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      providers.forEach(p => {
+        process.env[`${p.envPrefix}_CLIENT_ID`] = 'client-id';
+        process.env[`${p.envPrefix}_CLIENT_SECRET`] = 'client-secret';
+      });
+      process.env.MAGIC_LINK_SECRET = 'magic-secret';
+      auth.loadStrategies();
+      mailer.setTransport('memory');
+
+      const app = express();
+      app.use(express.json());
+      app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+      app.use(auth.passport.initialize());
+      app.use(auth.passport.session());
+      app.use('/auth', auth.router);
+      server = app.listen(0);
+      baseUrl = `http://localhost:${server.address().port}`;
+    });
+    after(async () => {
+      server.close();
+      providers.forEach(p => {
+        delete process.env[`${p.envPrefix}_CLIENT_ID`];
+        delete process.env[`${p.envPrefix}_CLIENT_SECRET`];
+      });
+      delete process.env.MAGIC_LINK_SECRET;
+    });
+    beforeEach(async () => {
+      // Stub the provider token exchange and profile lookup so the flow runs offline
+      providers.forEach(p => {
+        const strategy = auth.passport._strategy(p.name);
+        sinon.stub(strategy._oauth2, 'getOAuthAccessToken').callsFake((code, params, callback) => callback(null, 'access-token', 'refresh-token', {}));
+        sinon.stub(strategy, 'userProfile').callsFake((accessToken, done) => done(null, p.profile));
+      });
+      sinon.stub(storage.model('User'), 'findOne').resolves(user);
+      mailer.outbox.length = 0;
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should return not found for an unregistered provider', async () => {
+      try {
+        const res = await fetch(`${baseUrl}/auth/unknown`, { redirect: 'manual' });
+        res.status.should.equal(404);
+        (await res.json()).error.should.equal('Authentication provider not found');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail the callback when the state does not match the login request', async () => {
+      try {
+        const res = await fetch(`${baseUrl}/auth/google/callback?code=abc&state=invalid`, { redirect: 'manual' });
+        res.status.should.equal(401);
+        (await res.json()).error.should.equal('Authentication failed');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    for (const provider of providers) {
+      it(`should log in through ${provider.name}, keep the user in the session, and log out`, async () => {
+        try {
+          const loginRes = await fetch(`${baseUrl}/auth/${provider.name}`, { redirect: 'manual' });
+          loginRes.status.should.equal(302);
+          const state = new URL(loginRes.headers.get('location')).searchParams.get('state');
+          should.exist(state);
+          const cookie = loginRes.headers.get('set-cookie').split(';')[0];
+
+          const callbackRes = await fetch(`${baseUrl}/auth/${provider.name}/callback?code=abc&state=${state}`, { headers: { cookie }, redirect: 'manual' });
+          callbackRes.status.should.equal(200);
+          const body = await callbackRes.json();
+          body.email.should.equal(user.email);
+          const sessionCookie = callbackRes.headers.get('set-cookie').split(';')[0];
+
+          const logoutRes = await fetch(`${baseUrl}/auth/logout`, { method: 'POST', headers: { cookie: sessionCookie } });
+          logoutRes.status.should.equal(200);
+        } catch (err) {
+          should.not.exist(err);
+        }
+      });
+    }
+    it('should error due to an invalid magic link destination', async () => {
+      try {
+        const res = await fetch(`${baseUrl}/auth/magiclogin`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ destination: 'invalid' }) });
+        res.status.should.equal(400);
+        (await res.json()).error.should.equal('Valid email required as destination');
+        mailer.outbox.length.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail the magic link callback for an invalid token', async () => {
+      try {
+        const res = await fetch(`${baseUrl}/auth/magiclogin/callback?token=invalid`);
+        res.status.should.equal(401);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail the magic link callback when no user exists for the email', async () => {
+      try {
+        storage.model('User').findOne.resolves(null);
+        await fetch(`${baseUrl}/auth/magiclogin`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ destination: 'unknown@gmail.com' }) });
+        const token = mailer.outbox[0].text.match(/token=([^\s]+)/)[1];
+
+        const res = await fetch(`${baseUrl}/auth/magiclogin/callback?token=${token}`);
+        res.status.should.equal(401);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should email a magic link and log in the user with its token', async () => {
+      try {
+        const sendRes = await fetch(`${baseUrl}/auth/magiclogin`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ destination: user.email }) });
+        sendRes.status.should.equal(200);
+        const { code } = await sendRes.json();
+        mailer.outbox.length.should.equal(1);
+        mailer.outbox[0].to.should.equal(user.email);
+        mailer.outbox[0].text.should.contain(code);
+        const token = mailer.outbox[0].text.match(/token=([^\s]+)/)[1];
+
+        const callbackRes = await fetch(`${baseUrl}/auth/magiclogin/callback?token=${token}`);
+        callbackRes.status.should.equal(200);
+        (await callbackRes.json()).email.should.equal(user.email);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
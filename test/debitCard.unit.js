@@ -1,6 +1,7 @@
 import sinon from 'sinon';
 import * as chai from 'chai';
 import storage from '../lib/storage/index.js';
+import Helpers from '../lib/util/helpers.js';
 
 const should = chai.should();
 
@@ -212,4 +213,748 @@ describe('DebitCard', () => {
       }
     });
   });
+
+  describe('findAccessible', async () => {
+    let findStub;
+
+    beforeEach(async () => {
+      findStub = sinon.stub(storage.model('DebitCard'), 'find');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to invalid userId', async () => {
+      try {
+        await storage.model('DebitCard').findAccessible({ userId: 'invalid' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('valid userId is required');
+      }
+    });
+    it('should return the debit cards owned or held by the user', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        findStub.resolves([debitCard]);
+        const results = await storage.model('DebitCard').findAccessible({ userId: user._id });
+        findStub.firstCall.args[0].should.deep.equal({ $or: [{ _user: user._id }, { 'holders._user': user._id }] });
+        results.should.deep.equal([debitCard]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('canAccess', async () => {
+    const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
+    const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should allow the owner of the debit card', async () => {
+      debitCard.canAccess(user._id).should.equal(true);
+      debitCard.canAccess(user._id.toString()).should.equal(true);
+    });
+    it('should not allow another user or a missing user', async () => {
+      debitCard.canAccess(user2._id).should.equal(false);
+      debitCard.canAccess().should.equal(false);
+      debitCard.canAccess('invalid').should.equal(false);
+    });
+    it('should allow joint owners and authorized users, with only joint owners as owners', async () => {
+      const user3 = new storage.model('User')({ firstName: 'Test3', lastName: 'User3', email: 'test3@gmail.com' });
+      const sharedDebitCard = new storage.model('DebitCard')({
+        accountNumber: '123456789', lastFourDigits: '1234', _user: user._id,
+        holders: [{ _user: user2._id, role: 'joint' }, { _user: user3._id, role: 'authorized', spendingCap: 50 }]
+      });
+      sharedDebitCard.canAccess(user2._id).should.equal(true);
+      sharedDebitCard.canAccess(user3._id).should.equal(true);
+      sharedDebitCard.isOwner(user._id).should.equal(true);
+      sharedDebitCard.isOwner(user2._id).should.equal(true);
+      sharedDebitCard.isOwner(user3._id).should.equal(false);
+      sharedDebitCard.getHolder(user3._id).spendingCap.should.equal(50);
+    });
+  });
+
+  describe('addHolder and removeHolder', async () => {
+    const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
+    let debitCardSaveStub;
+    let findUserStub;
+
+    beforeEach(async () => {
+      debitCardSaveStub = sinon.stub(storage.model('DebitCard').prototype, 'save');
+      findUserStub = sinon.stub(storage.model('User'), 'findUser').resolves(user2);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid role', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.addHolder({ email: user2.email, role: 'owner', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Holder role must be one of: joint, authorized');
+      }
+    });
+    it('should error due to a spending cap for a joint owner', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.addHolder({ email: user2.email, role: 'joint', spendingCap: 50, performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Spending cap can only be set for authorized users');
+      }
+    });
+    it('should error due to the user not being found', async () => {
+      try {
+        findUserStub.resolves(null);
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.addHolder({ email: 'missing@gmail.com', role: 'joint', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('User not found to add as holder');
+      }
+    });
+    it('should error due to the user already being a holder', async () => {
+      try {
+        findUserStub.resolves(user);
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.addHolder({ email: user.email, role: 'joint', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('User is already a holder of the debit card');
+      }
+    });
+    it('should add an authorized user with a spending cap and then remove them', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.addHolder({ email: user2.email, role: 'authorized', spendingCap: 100, performedBy: user.id });
+        debitCard.holders.length.should.equal(1);
+        debitCard.getHolder(user2._id).role.should.equal('authorized');
+        debitCard.getHolder(user2._id).spendingCap.should.equal(10000);
+        debitCard._filter().holders[0].spendingCap.should.equal(100);
+        debitCard.auditLog[0].action.should.equal(`addHolder:authorized:${user2.id}`);
+
+        await debitCard.removeHolder({ userId: user2.id, performedBy: user.id });
+        debitCard.holders.length.should.equal(0);
+        debitCard.auditLog[1].action.should.equal(`removeHolder:authorized:${user2.id}`);
+        debitCardSaveStub.callCount.should.equal(2);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to removing the primary owner', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.removeHolder({ userId: user.id, performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Primary owner cannot be removed from the debit card');
+      }
+    });
+  });
+
+  describe('setActive and setInactive', async () => {
+    let debitCardSaveStub;
+
+    beforeEach(async () => {
+      debitCardSaveStub = sinon.stub(storage.model('DebitCard').prototype, 'save');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should record who deactivated the debit card and why', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.setInactive({ performedBy: user.id, reason: 'Reported lost' });
+        debitCard.active.should.equal(false);
+        debitCardSaveStub.callCount.should.equal(1);
+        debitCard.auditLog[0].performedBy.should.equal(user.id);
+        debitCard.auditLog[0].action.should.equal('setInactive');
+        debitCard.auditLog[0].reason.should.equal('Reported lost');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error when no identity is provided for the audit log', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: false, _user: user._id });
+        await debitCard.setActive();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Error setting debit card as active');
+        debitCardSaveStub.callCount.should.equal(0);
+      }
+    });
+  });
+
+  describe('close', async () => {
+    const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
+    const sweepDebitCard = new storage.model('DebitCard')({ accountNumber: '987654321', lastFourDigits: '4321', active: true, _user: user._id });
+    let debitCard;
+    let countStub;
+    let balancesStub;
+    let transactionSaveStub;
+    let postTransactionStub;
+    let updateBalancesStub;
+    let unitOfWorkStub;
+    let updateOneStub;
+
+    beforeEach(async () => {
+      debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
+      sinon.stub(storage.model('DebitCard').prototype, 'save');
+      updateOneStub = sinon.stub(storage.model('DebitCard'), 'updateOne').resolves({ matchedCount: 1 });
+      sinon.stub(storage.model('DebitCard'), 'findOne').resolves(sweepDebitCard);
+      countStub = sinon.stub(storage.model('Transaction'), 'countDocuments').resolves(0);
+      balancesStub = sinon.stub(debitCard, 'getBalances').resolves({ currentBalance: 0, pendingBalance: 0, finalBalance: 0 });
+      transactionSaveStub = sinon.stub(storage.model('Transaction').prototype, 'save');
+      postTransactionStub = sinon.stub(storage.model('JournalEntry'), 'postTransaction').resolves();
+      updateBalancesStub = sinon.stub(storage.model('DebitCard'), 'updateBalances').resolves();
+      unitOfWorkStub = sinon.stub(storage, 'unitOfWork').callsFake(work => work());
+      sinon.stub(storage.model('Transaction'), 'find').returns({ sort: sinon.stub().resolves([]) });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to the user not being an owner', async () => {
+      try {
+        await debitCard.close({ userId: user2._id, performedBy: user2.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to close this debit card');
+      }
+    });
+    it('should error due to pending transactions', async () => {
+      try {
+        countStub.resolves(1);
+        await debitCard.close({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        countStub.firstCall.args[0].status.should.deep.equal({ $in: ['scheduled', 'authorized', 'pending'] });
+        // Counted after the card is claimed, within the same unit of work
+        countStub.calledAfter(updateOneStub).should.equal(true);
+        err.message.should.equal('Debit card cannot be closed while transactions are pending');
+        should.not.exist(debitCard.closedAt);
+      }
+    });
+    it('should error due to the debit card having been reissued', async () => {
+      try {
+        debitCard.active = false;
+        debitCard._replacedBy = sweepDebitCard._id;
+        await debitCard.close({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(400);
+        err.message.should.equal('Debit card has been reissued, the current card of the account must be closed');
+        updateOneStub.callCount.should.equal(0);
+        should.not.exist(debitCard.closedAt);
+      }
+    });
+    it('should error due to the debit card being closed or changed at the same time', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        await debitCard.close({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        countStub.callCount.should.equal(0);
+        balancesStub.callCount.should.equal(0);
+        debitCard.active.should.equal(true);
+      }
+    });
+    it('should error due to a negative balance', async () => {
+      try {
+        balancesStub.resolves({ currentBalance: -20, pendingBalance: 0, finalBalance: -20 });
+        await debitCard.close({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Debit card cannot be closed with a negative balance');
+        should.not.exist(debitCard.closedAt);
+      }
+    });
+    it('should error due to a positive balance without an account to sweep it to', async () => {
+      try {
+        balancesStub.resolves({ currentBalance: 50, pendingBalance: 0, finalBalance: 50 });
+        await debitCard.close({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('sweepAccountNumber required as a string to transfer the remaining balance');
+      }
+    });
+    it('should sweep the positive balance and close the debit card', async () => {
+      try {
+        balancesStub.resolves({ currentBalance: 5000, pendingBalance: 0, finalBalance: 5000 });
+        const { statement } = await debitCard.close({ sweepAccountNumber: sweepDebitCard.accountNumber, userId: user._id, performedBy: user.id });
+        transactionSaveStub.callCount.should.equal(2);
+        const [withdrawal, credit] = transactionSaveStub.thisValues;
+        withdrawal.amount.should.equal(-5000);
+        withdrawal._debitCard.should.deep.equal(debitCard._id);
+        withdrawal.status.should.equal('completed');
+        credit.amount.should.equal(5000);
+        credit._debitCard.should.deep.equal(sweepDebitCard._id);
+        unitOfWorkStub.callCount.should.equal(1);
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: debitCard._id, active: true, closedAt: { $exists: false }, _replacedBy: { $exists: false } });
+        updateOneStub.firstCall.args[1].$set.active.should.equal(false);
+        balancesStub.calledAfter(updateOneStub).should.equal(true);
+        postTransactionStub.callCount.should.equal(2);
+        updateBalancesStub.firstCall.args[0].should.deep.equal({ debitCardId: debitCard._id, currentBalance: -5000 });
+        updateBalancesStub.secondCall.args[0].should.deep.equal({ debitCardId: sweepDebitCard._id, currentBalance: 5000 });
+        postTransactionStub.secondCall.args[0].transaction.should.equal(credit);
+        debitCard.active.should.equal(false);
+        should.exist(debitCard.closedAt);
+        debitCard.auditLog[0].action.should.equal('close');
+        statement.sweptAmount.should.equal(5000);
+        statement.sweepAccountNumber.should.equal(sweepDebitCard.accountNumber);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not allow a closed debit card to be set active', async () => {
+      try {
+        await debitCard.close({ performedBy: user.id });
+        await debitCard.setActive({ performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Closed debit card cannot be set as active');
+      }
+    });
+  });
+
+  describe('reissue', async () => {
+    const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
+    let debitCardSaveStub;
+    let updateOneStub;
+
+    beforeEach(async () => {
+      debitCardSaveStub = sinon.stub(storage.model('DebitCard').prototype, 'save');
+      updateOneStub = sinon.stub(storage.model('DebitCard'), 'updateOne').resolves({ matchedCount: 1 });
+      sinon.stub(storage, 'unitOfWork').callsFake(work => work());
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid reason', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.reissue({ reason: 'bored', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Reissue reason must be one of: lost, stolen, damaged');
+      }
+    });
+    it('should error due to the debit card already being reissued', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, _replacedBy: user2._id });
+        await debitCard.reissue({ reason: 'lost', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Debit card has already been reissued');
+      }
+    });
+    it('should deactivate the debit card and issue a linked card with a new number', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({
+          accountNumber: '123456789', lastFourDigits: '1234', accountType: 'savings', active: true, _user: user._id, holders: [{ _user: user2._id, role: 'joint' }]
+        });
+        const newDebitCard = await debitCard.reissue({ reason: 'stolen', userId: user2._id, performedBy: user2.id });
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: debitCard._id, _replacedBy: { $exists: false }, closedAt: { $exists: false } });
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { active: false, _replacedBy: newDebitCard._id, reissueReason: 'stolen' } });
+        debitCardSaveStub.callCount.should.equal(2);
+        newDebitCard.accountNumber.should.not.equal(debitCard.accountNumber);
+        newDebitCard.lastFourDigits.should.equal(newDebitCard.accountNumber.slice(-4));
+        newDebitCard.accountType.should.equal('savings');
+        newDebitCard._originalCard.should.deep.equal(debitCard._id);
+        newDebitCard.isOwner(user2._id).should.equal(true);
+        debitCard.active.should.equal(false);
+        debitCard._replacedBy.should.deep.equal(newDebitCard._id);
+        debitCard.reissueReason.should.equal('stolen');
+        debitCard.auditLog[0].action.should.equal('reissue:stolen');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not issue a second card when the debit card is reissued at the same time', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
+        await debitCard.reissue({ reason: 'lost', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        debitCardSaveStub.callCount.should.equal(0);
+      }
+    });
+    it('should link a card reissued again to the original card of the account', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, _originalCard: user2._id });
+        const newDebitCard = await debitCard.reissue({ reason: 'damaged', performedBy: user.id });
+        newDebitCard._originalCard.should.deep.equal(user2._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getBalances, updateBalances, and rebuildBalances', async () => {
+    const originalDebitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+    const debitCard = new storage.model('DebitCard')({ accountNumber: '987654321', lastFourDigits: '4321', _user: user._id, _originalCard: originalDebitCard._id });
+    let findOneStub;
+    let updateOneStub;
+
+    beforeEach(async () => {
+      findOneStub = sinon.stub(storage.model('DebitCard'), 'findOne');
+      updateOneStub = sinon.stub(storage.model('DebitCard'), 'updateOne').resolves({ matchedCount: 1 });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should return zero balances for an account that has never had a transaction', async () => {
+      try {
+        findOneStub.resolves(new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id }));
+        const balances = await originalDebitCard.getBalances();
+        findOneStub.firstCall.args[0].should.deep.equal({ _id: originalDebitCard._id });
+        balances.should.deep.equal({ currentBalance: 0, pendingBalance: 0, finalBalance: 0 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should read the balances of a reissued account from its first card', async () => {
+      try {
+        findOneStub.resolves({ currentBalance: 80, pendingBalance: -20 });
+        const balances = await debitCard.getBalances();
+        findOneStub.firstCall.args[0].should.deep.equal({ _id: originalDebitCard._id });
+        balances.should.deep.equal({ currentBalance: 80, pendingBalance: -20, finalBalance: 60 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should increment the balances and version on the first card of the account', async () => {
+      try {
+        findOneStub.resolves(debitCard);
+        await storage.model('DebitCard').updateBalances({ debitCardId: debitCard._id, currentBalance: 20, pendingBalance: -20 });
+        const [query, update] = updateOneStub.firstCall.args;
+        query.should.deep.equal({ _id: originalDebitCard._id });
+        update.should.deep.equal({ $inc: { currentBalance: 20, pendingBalance: -20, balanceVersion: 1 } });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not update the balances when nothing changed', async () => {
+      try {
+        await storage.model('DebitCard').updateBalances({ debitCardId: debitCard._id, currentBalance: 0, pendingBalance: 0 });
+        findOneStub.callCount.should.equal(0);
+        updateOneStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should rebuild the balances from the journal and pending transactions of every linked card', async () => {
+      try {
+        sinon.stub(storage.model('DebitCard'), 'find').resolves([originalDebitCard, debitCard]);
+        findOneStub.resolves({ balanceVersion: 4 });
+        const postedBalanceStub = sinon.stub(storage.model('JournalEntry'), 'getPostedBalance').resolves(80);
+        sinon.stub(storage.model('Transaction'), 'aggregate').returns({ exec: sinon.stub().resolves([{ _id: null, pending: -20 }]) });
+        const balances = await debitCard.rebuildBalances();
+        postedBalanceStub.firstCall.args[0].debitCardIds.should.deep.equal([originalDebitCard._id, debitCard._id]);
+        const [query, update] = updateOneStub.firstCall.args;
+        query.should.deep.equal({ _id: originalDebitCard._id, balanceVersion: 4 });
+        update.should.deep.equal({ $set: { currentBalance: 80, pendingBalance: -20 }, $inc: { balanceVersion: 1 } });
+        balances.should.deep.equal({ currentBalance: 80, pendingBalance: -20, finalBalance: 60 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error when the balances keep changing while being rebuilt', async () => {
+      try {
+        findOneStub.resolves({});
+        sinon.stub(storage.model('JournalEntry'), 'getPostedBalance').resolves(0);
+        sinon.stub(storage.model('Transaction'), 'aggregate').returns({ exec: sinon.stub().resolves([]) });
+        updateOneStub.resolves({ matchedCount: 0 });
+        await originalDebitCard.rebuildBalances();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Debit card balances changed while being rebuilt, try again');
+        updateOneStub.callCount.should.equal(3);
+        should.equal(updateOneStub.firstCall.args[0].balanceVersion, null);
+      }
+    });
+  });
+
+  describe('setControls', async () => {
+    beforeEach(async () => {
+      sinon.stub(storage.model('DebitCard').prototype, 'save');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid limit', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.setControls({ controls: { dailyWithdrawalLimit: -5 }, performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('dailyWithdrawalLimit must be a positive number with no more than 2 decimal places');
+      }
+    });
+    it('should error due to venders without a list type', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id });
+        await debitCard.setControls({ controls: { venders: ['AMZN'] }, performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('venderListType required when venders are provided');
+      }
+    });
+    it('should replace the controls and record the change', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, controls: { maxPurchaseAmount: 10 } });
+        await debitCard.setControls({ controls: { dailyWithdrawalLimit: 200, venderListType: 'blocklist', venders: ['amzn', 'AMZN'] }, performedBy: user.id });
+        debitCard.controls.dailyWithdrawalLimit.should.equal(20000);
+        debitCard._filter().controls.should.deep.equal({
+          maxPurchaseAmount: undefined, dailyWithdrawalLimit: 200, monthlyWithdrawalLimit: undefined, venderListType: 'blocklist', venders: ['AMZN']
+        });
+        debitCard.auditLog[0].action.should.equal('setControls');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getControlViolation', async () => {
+    let aggregateStub;
+
+    beforeEach(async () => {
+      aggregateStub = sinon.stub(storage.model('Transaction'), 'aggregate').resolves([]);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should not apply controls to fees or debits', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, controls: { dailyWithdrawalLimit: 1 } });
+        should.not.exist(await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'fee', amount: -10, vender: 'ONE' }));
+        should.not.exist(await debitCard.getControlViolation({ type: 'debit', subtype: 'credit', amount: 10, vender: 'ONE' }));
+        aggregateStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should reject venders by the blocklist or allowlist', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, controls: { venderListType: 'blocklist', venders: ['AMZN'] } });
+        (await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'purchase', amount: -10, vender: 'amzn' })).reason.should.equal('vender_blocked');
+        should.not.exist(await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'purchase', amount: -10, vender: 'APPL' }));
+        debitCard.controls.venderListType = 'allowlist';
+        (await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'purchase', amount: -10, vender: 'APPL' })).reason.should.equal('vender_not_allowed');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should reject withdrawals over the daily and monthly totals', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, controls: { dailyWithdrawalLimit: 100, monthlyWithdrawalLimit: 500 } });
+        aggregateStub.resolves([{ _id: null, daily: -60, monthly: -300 }]);
+        (await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'transfer', amount: -50, vender: 'SELF' })).reason.should.equal('daily_limit_exceeded');
+        aggregateStub.resolves([{ _id: null, daily: 0, monthly: -480 }]);
+        (await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'purchase', amount: -50, vender: 'TEST' })).reason.should.equal('monthly_limit_exceeded');
+        aggregateStub.resolves([{ _id: null, daily: -10, monthly: -10 }]);
+        should.not.exist(await debitCard.getControlViolation({ type: 'withdrawal', subtype: 'purchase', amount: -50, vender: 'TEST' }));
+        aggregateStub.firstCall.args[0][0].$match.status.should.deep.equal({ $in: ['scheduled', 'authorized', 'pending', 'completed'] });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('verifyCredentials', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to the card being expired', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', _user: user._id, expiryMonth: 1, expiryYear: 2020 });
+        debitCard.verifyCredentials();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.reason.should.equal('card_expired');
+        err.message.should.equal('Card is expired');
+      }
+    });
+    it('should error due to a mismatched expiry', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ _user: user._id });
+        debitCard.issueCredentials();
+        debitCard.verifyCredentials({ expiryMonth: debitCard.expiryMonth, expiryYear: debitCard.expiryYear + 1 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.reason.should.equal('invalid_expiry');
+      }
+    });
+    it('should error due to a mismatched CVV', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ _user: user._id });
+        const cvv = debitCard.issueCredentials();
+        debitCard.verifyCredentials({ cvv: cvv === '000' ? '001' : '000' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.reason.should.equal('invalid_cvv');
+        err.message.should.equal('Card CVV does not match');
+      }
+    });
+    it('should verify the expiry and CVV issued to the card', async () => {
+      try {
+        const debitCard = new storage.model('DebitCard')({ _user: user._id });
+        const cvv = debitCard.issueCredentials();
+        debitCard.verifyCredentials({ expiryMonth: String(debitCard.expiryMonth), expiryYear: debitCard.expiryYear, cvv });
+        debitCard.isExpired(new Date(Date.UTC(debitCard.expiryYear, debitCard.expiryMonth - 1, 28))).should.equal(false);
+        debitCard.isExpired(new Date(Date.UTC(debitCard.expiryYear, debitCard.expiryMonth, 1))).should.equal(true);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('create account', async () => {
+    let debitCardSaveStub;
+    let findUserStub;
+
+    beforeEach(async () => {
+      debitCardSaveStub = sinon.stub(storage.model('DebitCard').prototype, 'save');
+      findUserStub = sinon.stub(storage.model('User'), 'findById').resolves(user);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to invalid userId', async () => {
+      try {
+        await storage.model('DebitCard').create({ userId: 'invalid' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('valid userId is required');
+      }
+    });
+    it('should error due to invalid accountType', async () => {
+      try {
+        await storage.model('DebitCard').create({ userId: user._id, accountType: 'brokerage' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('accountType must be one of: checking, savings');
+      }
+    });
+    it('should error due to invalid nickname', async () => {
+      try {
+        await storage.model('DebitCard').create({ userId: user._id, nickname: 'a'.repeat(51) });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('nickname must be a string of at most 50 characters');
+      }
+    });
+    it('should error due to a currency without an exchange rate', async () => {
+      try {
+        sinon.stub(storage.model('FxRate'), 'find').resolves([]);
+        await storage.model('DebitCard').create({ userId: user._id, currency: 'JPY' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Exchange rate not available for JPY');
+        debitCardSaveStub.callCount.should.equal(0);
+      }
+    });
+    it('should create an account held in another currency', async () => {
+      try {
+        sinon.stub(storage.model('FxRate'), 'find').resolves([{ currency: 'EUR', rate: 1.08 }]);
+        const debitCard = await storage.model('DebitCard').create({ userId: user._id, currency: 'EUR' });
+        debitCard._filter().currency.should.equal('EUR');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to user not found', async () => {
+      try {
+        findUserStub.resolves(null);
+        await storage.model('DebitCard').create({ userId: user._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('User not found to create debit card');
+      }
+    });
+    it('should create a checking account by default', async () => {
+      try {
+        const debitCard = await storage.model('DebitCard').create({ userId: user._id });
+        debitCardSaveStub.callCount.should.equal(1);
+        debitCard.accountType.should.equal('checking');
+        debitCard.currency.should.equal('USD');
+        debitCard.lastFourDigits.should.equal(debitCard.accountNumber.slice(-4));
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should issue a Luhn-valid account number with the BIN, an expiry, and a hashed CVV', async () => {
+      try {
+        const debitCard = await storage.model('DebitCard').create({ userId: user._id });
+        debitCard.accountNumber.should.have.length(16);
+        debitCard.accountNumber.should.match(/^400000/);
+        Helpers.isValidLuhn(debitCard.accountNumber).should.equal(true);
+        debitCard.expiryMonth.should.equal(new Date().getUTCMonth() + 1);
+        debitCard.expiryYear.should.equal(new Date().getUTCFullYear() + 3);
+        debitCard.$locals.cvv.should.match(/^\d{3}$/);
+        debitCard.hashedCvv.should.not.contain(debitCard.$locals.cvv);
+        should.not.exist(debitCard._filter().hashedCvv);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should create several accounts for the same user', async () => {
+      try {
+        const checking = await storage.model('DebitCard').create({ userId: user._id, nickname: 'Bills' });
+        const savings = await storage.model('DebitCard').create({ userId: user._id, accountType: 'savings', nickname: 'Rainy day' });
+        debitCardSaveStub.callCount.should.equal(2);
+        savings.accountType.should.equal('savings');
+        savings.nickname.should.equal('Rainy day');
+        checking.accountNumber.should.not.equal(savings.accountNumber);
+        savings._user.should.deep.equal(checking._user);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
 });
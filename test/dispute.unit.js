@@ -0,0 +1,150 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('Dispute', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+  const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
+  const purchase = new storage.model('Transaction')({
+    date: new Date('2024-09-02'), type: 'withdrawal', subtype: 'purchase', status: 'completed', amount: -2000, refundedAmount: 500, vender: 'test', _debitCard: debitCard._id, _user: user._id
+  });
+
+  let auditSaveStub;
+  beforeEach(async () => {
+    auditSaveStub = sinon.stub(storage.model('Dispute').prototype, 'auditSave');
+    sinon.stub(storage, 'unitOfWork').callsFake(work => work());
+  });
+
+  describe('open', async () => {
+    let findTransactionsStub;
+    let existsStub;
+
+    beforeEach(async () => {
+      findTransactionsStub = sinon.stub(storage.model('Transaction'), 'findTransactions').resolves([purchase]);
+      existsStub = sinon.stub(storage.model('Dispute'), 'exists').resolves(null);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid reason', async () => {
+      try {
+        await storage.model('Dispute').open({ transactionId: purchase.id, reason: 'changed_mind' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.contain('Dispute reason must be one of');
+      }
+    });
+    it('should error due to a transaction that is not a completed purchase', async () => {
+      try {
+        findTransactionsStub.resolves([new storage.model('Transaction')({ ...purchase.toObject(), status: 'pending' })]);
+        await storage.model('Dispute').open({ transactionId: purchase.id, reason: 'unrecognized' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Transaction invalid for dispute - must be completed purchase');
+      }
+    });
+    it('should error due to the transaction already being disputed', async () => {
+      try {
+        existsStub.resolves({ _id: purchase._id });
+        await storage.model('Dispute').open({ transactionId: purchase.id, reason: 'unrecognized' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Transaction has already been disputed');
+      }
+    });
+    it('should open a dispute for the part of the purchase not refunded', async () => {
+      try {
+        const dispute = await storage.model('Dispute').open({ transactionId: purchase.id, reason: 'unrecognized', evidence: 'Never shopped here', userId: user._id, performedBy: user.id });
+        findTransactionsStub.firstCall.args[0].should.deep.equal({ transactionId: purchase.id, userId: user._id });
+        auditSaveStub.firstCall.args[0].should.deep.equal({ performedBy: user.id, action: 'open', reason: 'unrecognized' });
+        dispute.status.should.equal('opened');
+        dispute.amount.should.equal(1500);
+        dispute._filter().amount.should.equal(15);
+        dispute._transaction.should.deep.equal(purchase._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('setStatus', async () => {
+    let updateOneStub;
+    let disputeTransactionStub;
+    const getDispute = (status) => new storage.model('Dispute')({ _transaction: purchase._id, _debitCard: debitCard._id, amount: 1500, reason: 'unrecognized', status });
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub(storage.model('Dispute'), 'updateOne').resolves({ matchedCount: 1 });
+      disputeTransactionStub = sinon.stub(storage.model('Transaction'), 'createDisputeTransaction').callsFake(async () => new storage.model('Transaction')());
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to skipping a status', async () => {
+      try {
+        await getDispute('opened').setStatus({ status: 'won', performedBy: 'admin' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Dispute status can only be changed to: provisional_credit');
+      }
+    });
+    it('should error due to the dispute already being resolved', async () => {
+      try {
+        await getDispute('won').setStatus({ status: 'lost', performedBy: 'admin' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Dispute has already been resolved');
+      }
+    });
+    it('should post the provisional credit when it is issued', async () => {
+      try {
+        const dispute = await getDispute('opened').setStatus({ status: 'provisional_credit', performedBy: 'admin' });
+        updateOneStub.firstCall.args[0].status.should.equal('opened');
+        disputeTransactionStub.firstCall.args[0].dispute.status.should.equal('provisional_credit');
+        should.exist(dispute._provisionalCredit);
+        auditSaveStub.firstCall.args[0].action.should.equal('status:provisional_credit');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should keep the credit of a won dispute', async () => {
+      try {
+        const dispute = await getDispute('under_review').setStatus({ status: 'won', reason: 'Merchant accepted chargeback', performedBy: 'admin' });
+        disputeTransactionStub.callCount.should.equal(0);
+        should.exist(dispute.resolvedAt);
+        auditSaveStub.firstCall.args[0].reason.should.equal('Merchant accepted chargeback');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should reverse the provisional credit of a lost dispute', async () => {
+      try {
+        const dispute = await getDispute('under_review').setStatus({ status: 'lost', performedBy: 'admin' });
+        disputeTransactionStub.callCount.should.equal(1);
+        should.exist(dispute._reversal);
+        should.exist(dispute.resolvedAt);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the status being changed at the same time', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        await getDispute('opened').setStatus({ status: 'provisional_credit', performedBy: 'admin' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        disputeTransactionStub.callCount.should.equal(0);
+      }
+    });
+  });
+});
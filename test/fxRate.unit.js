@@ -0,0 +1,122 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('FxRate', () => {
+  describe('setRates', async () => {
+    let bulkWriteStub;
+
+    beforeEach(async () => {
+      bulkWriteStub = sinon.stub(storage.model('FxRate'), 'bulkWrite').resolves();
+      sinon.stub(storage.model('FxRate'), 'find').returns({ sort: sinon.stub().resolves([]) });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to rates quoted against another currency', async () => {
+      try {
+        await storage.model('FxRate').setRates({ base: 'EUR', rates: { GBP: 0.85 } });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Exchange rates must be quoted against USD');
+      }
+    });
+    it('should error due to missing rates', async () => {
+      try {
+        await storage.model('FxRate').setRates({ rates: {} });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Rates required as an object of rates keyed by currency');
+      }
+    });
+    it('should error due to an invalid currency or rate', async () => {
+      try {
+        await storage.model('FxRate').setRates({ rates: { USD: 1 } });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Rate currency must be a 3 letter currency code other than USD');
+      }
+      try {
+        await storage.model('FxRate').setRates({ rates: { EUR: -1.08 } });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Rate for EUR must be a positive number');
+        bulkWriteStub.callCount.should.equal(0);
+      }
+    });
+    it('should upsert the rate of each currency with its source', async () => {
+      try {
+        await storage.model('FxRate').setRates({ rates: { EUR: 1.08, GBP: 1.27 }, source: 'admin' });
+        const [eur, gbp] = bulkWriteStub.firstCall.args[0];
+        eur.updateOne.should.deep.equal({ filter: { currency: 'EUR' }, update: { $set: { rate: 1.08, source: 'admin' } }, upsert: true });
+        gbp.updateOne.filter.should.deep.equal({ currency: 'GBP' });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should load the rates from the default file', async () => {
+      try {
+        await storage.model('FxRate').loadFile();
+        const currencies = bulkWriteStub.firstCall.args[0].map(w => w.updateOne.filter.currency);
+        currencies.should.include('EUR');
+        bulkWriteStub.firstCall.args[0][0].updateOne.update.$set.source.should.match(/^file:.*fxRates\.json$/);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getRate', async () => {
+    let findStub;
+
+    beforeEach(async () => {
+      findStub = sinon.stub(storage.model('FxRate'), 'find').resolves([{ currency: 'EUR', rate: 1.08 }, { currency: 'GBP', rate: 1.27 }]);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should not look up a rate for the same currency', async () => {
+      try {
+        const rate = await storage.model('FxRate').getRate({ from: 'EUR', to: 'EUR' });
+        rate.should.equal(1);
+        findStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should convert to and from the base currency', async () => {
+      try {
+        (await storage.model('FxRate').getRate({ from: 'EUR', to: 'USD' })).should.equal(1.08);
+        findStub.firstCall.args[0].should.deep.equal({ currency: { $in: ['EUR'] } });
+        (await storage.model('FxRate').getRate({ from: 'USD', to: 'EUR' })).should.equal(0.9259259259);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should convert between two currencies through the base currency', async () => {
+      try {
+        (await storage.model('FxRate').getRate({ from: 'GBP', to: 'EUR' })).should.equal(1.175925926);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to a currency without a rate', async () => {
+      try {
+        await storage.model('FxRate').getRate({ from: 'JPY', to: 'USD' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(400);
+        err.message.should.equal('Exchange rate not available for JPY');
+      }
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('IdempotencyKey', () => {
+  const request = { key: 'key', caller: 'user', method: 'POST', path: '/api/transactions/transfer', body: { amount: 10, receiverAccountNumber: '123' } };
+
+  let saveStub;
+  let findOneStub;
+  beforeEach(async () => {
+    saveStub = sinon.stub(storage.model('IdempotencyKey').prototype, 'save');
+    findOneStub = sinon.stub(storage.model('IdempotencyKey'), 'findOne').resolves(null);
+  });
+
+  describe('begin', async () => {
+    let deleteOneStub;
+
+    beforeEach(async () => {
+      deleteOneStub = sinon.stub(storage.model('IdempotencyKey'), 'deleteOne').resolves();
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to a key that is too long', async () => {
+      try {
+        await storage.model('IdempotencyKey').begin({ ...request, key: 'k'.repeat(256) });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Idempotency-Key must be a string of at most 255 characters');
+      }
+    });
+    it('should save a new key scoped to the caller while the request is processed', async () => {
+      try {
+        const { idempotencyKey, replay } = await storage.model('IdempotencyKey').begin(request);
+        replay.should.equal(false);
+        saveStub.callCount.should.equal(1);
+        findOneStub.firstCall.args[0].should.deep.equal({ caller: 'user', key: 'key' });
+        idempotencyKey.status.should.equal('processing');
+        (idempotencyKey.expiresAt > new Date()).should.equal(true);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should replay a completed key used with the same request in any key order', async () => {
+      try {
+        const { idempotencyKey: completedKey } = await storage.model('IdempotencyKey').begin(request);
+        completedKey.status = 'completed';
+        findOneStub.resolves(completedKey);
+        const { idempotencyKey, replay } = await storage.model('IdempotencyKey').begin({ ...request, body: { receiverAccountNumber: '123', amount: 10 } });
+        replay.should.equal(true);
+        idempotencyKey.should.equal(completedKey);
+        saveStub.callCount.should.equal(1);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the key being used with a different request', async () => {
+      try {
+        const { idempotencyKey } = await storage.model('IdempotencyKey').begin(request);
+        findOneStub.resolves(idempotencyKey);
+        await storage.model('IdempotencyKey').begin({ ...request, body: { ...request.body, amount: 20 } });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(422);
+        err.message.should.equal('Idempotency-Key has already been used for a different request');
+      }
+    });
+    it('should error due to the request with the key still being processed', async () => {
+      try {
+        const { idempotencyKey } = await storage.model('IdempotencyKey').begin(request);
+        findOneStub.resolves(idempotencyKey);
+        await storage.model('IdempotencyKey').begin(request);
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+      }
+    });
+    it('should error due to another request saving the same key first', async () => {
+      try {
+        saveStub.rejects(Object.assign(new Error('duplicate key'), { code: 11000 }));
+        await storage.model('IdempotencyKey').begin(request);
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('A request with this Idempotency-Key is still being processed');
+      }
+    });
+    it('should take over a key left processing past its lock by a request that never finished', async () => {
+      try {
+        const { idempotencyKey: abandonedKey } = await storage.model('IdempotencyKey').begin(request);
+        abandonedKey.lockedAt = new Date(Date.now() - 5 * 60 * 1000);
+        findOneStub.resolves(abandonedKey);
+        const findOneAndUpdateStub = sinon.stub(storage.model('IdempotencyKey'), 'findOneAndUpdate').resolves(abandonedKey);
+        const { idempotencyKey, replay } = await storage.model('IdempotencyKey').begin(request);
+        replay.should.equal(false);
+        idempotencyKey.should.equal(abandonedKey);
+        findOneAndUpdateStub.firstCall.args[0].should.deep.equal({ _id: abandonedKey._id, status: 'processing', lockedAt: abandonedKey.lockedAt });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to another retry taking over the abandoned key first', async () => {
+      try {
+        const { idempotencyKey: abandonedKey } = await storage.model('IdempotencyKey').begin(request);
+        abandonedKey.lockedAt = new Date(Date.now() - 5 * 60 * 1000);
+        findOneStub.resolves(abandonedKey);
+        sinon.stub(storage.model('IdempotencyKey'), 'findOneAndUpdate').resolves(null);
+        await storage.model('IdempotencyKey').begin(request);
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+      }
+    });
+    it('should allow an expired key to be used for a new request', async () => {
+      try {
+        const { idempotencyKey: expiredKey } = await storage.model('IdempotencyKey').begin(request);
+        expiredKey.status = 'completed';
+        expiredKey.expiresAt = new Date(Date.now() - 1000);
+        findOneStub.resolves(expiredKey);
+        const { idempotencyKey, replay } = await storage.model('IdempotencyKey').begin({ ...request, body: { amount: 20 } });
+        replay.should.equal(false);
+        deleteOneStub.firstCall.args[0]._id.should.deep.equal(expiredKey._id);
+        idempotencyKey.should.not.equal(expiredKey);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('complete', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should store the response to replay while the request holds the key', async () => {
+      try {
+        const updateOneStub = sinon.stub(storage.model('IdempotencyKey'), 'updateOne').resolves({ matchedCount: 1 });
+        const { idempotencyKey } = await storage.model('IdempotencyKey').begin(request);
+        await idempotencyKey.complete({ responseCode: 200, responseBody: [{ id: 'transaction' }] });
+        idempotencyKey.status.should.equal('completed');
+        idempotencyKey.responseCode.should.equal(200);
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: idempotencyKey._id, lockedAt: idempotencyKey.lockedAt });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('JournalEntry', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+  const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
+
+  let saveStub;
+  beforeEach(async () => {
+    saveStub = sinon.stub(storage.model('JournalEntry').prototype, 'save');
+  });
+
+  describe('create', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to a single posting', async () => {
+      try {
+        await storage.model('JournalEntry').create({ postings: [{ account: 'fee_income', amount: 1000 }] });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Journal entry requires at least two postings');
+      }
+    });
+    it('should error due to an invalid account', async () => {
+      try {
+        await storage.model('JournalEntry').create({ postings: [{ account: 'invalid', amount: 1000 }, { account: 'fee_income', amount: -1000 }] });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.contain('Posting account must be one of');
+      }
+    });
+    it('should error due to a customer posting without a debit card', async () => {
+      try {
+        await storage.model('JournalEntry').create({ postings: [{ account: 'customer', amount: -1000 }, { account: 'fee_income', amount: 1000 }] });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('valid debitCardId is required for customer postings');
+      }
+    });
+    it('should error due to a posting amount not in whole cents', async () => {
+      try {
+        await storage.model('JournalEntry').create({ postings: [{ account: 'customer', debitCardId: debitCard._id, amount: -10.5 }, { account: 'fee_income', amount: 10.5 }] });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Posting amount required as a whole number of cents');
+      }
+    });
+    it('should error due to the postings not netting to zero', async () => {
+      try {
+        await storage.model('JournalEntry').create({ postings: [{ account: 'customer', debitCardId: debitCard._id, amount: -1000 }, { account: 'fee_income', amount: 999 }] });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Journal entry postings must net to zero');
+        saveStub.callCount.should.equal(0);
+      }
+    });
+    it('should create a journal entry with postings that net to zero', async () => {
+      try {
+        const postings = [
+          { account: 'customer', debitCardId: debitCard._id, amount: 10 },
+          { account: 'customer', debitCardId: debitCard._id, amount: 20 },
+          { account: 'external_settlement', amount: -30 }
+        ];
+        const journalEntry = await storage.model('JournalEntry').create({ description: 'test', postings });
+        saveStub.callCount.should.equal(1);
+        journalEntry.postings.length.should.equal(3);
+        journalEntry.postings[0]._debitCard.should.deep.equal(debitCard._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('postTransaction', async () => {
+    let findOneStub;
+
+    beforeEach(async () => {
+      findOneStub = sinon.stub(storage.model('JournalEntry'), 'findOne').resolves(null);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    const getTransaction = (params) => new storage.model('Transaction')({
+      date: new Date(), status: 'completed', vender: 'test', description: 'test tx', _debitCard: debitCard._id, _user: user._id, ...params
+    });
+
+    it('should error due to the transaction not being completed', async () => {
+      try {
+        await storage.model('JournalEntry').postTransaction({ transaction: getTransaction({ type: 'withdrawal', subtype: 'purchase', amount: -2000, status: 'pending' }) });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only completed transactions can be posted to the journal');
+      }
+    });
+    it('should post a transaction in the currency of its debit card', async () => {
+      try {
+        const journalEntry = await storage.model('JournalEntry').postTransaction({ transaction: getTransaction({ type: 'withdrawal', subtype: 'purchase', amount: -2165, currency: 'EUR' }) });
+        journalEntry.currency.should.equal('EUR');
+        journalEntry._filter().postings[0].amount.should.equal(-21.65);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should return the existing journal entry of a transaction that was already posted', async () => {
+      try {
+        const transaction = getTransaction({ type: 'withdrawal', subtype: 'purchase', amount: -2000 });
+        const existingEntry = new storage.model('JournalEntry')({ date: new Date(), _transaction: transaction._id });
+        findOneStub.resolves(existingEntry);
+        const journalEntry = await storage.model('JournalEntry').postTransaction({ transaction });
+        journalEntry.should.equal(existingEntry);
+        saveStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should post each subtype against its internal account', async () => {
+      try {
+        const expectedAccounts = [
+          [{ type: 'withdrawal', subtype: 'purchase', amount: -2000 }, 'external_settlement'],
+          [{ type: 'debit', subtype: 'credit', amount: 10000 }, 'external_settlement'],
+          [{ type: 'debit', subtype: 'refund', amount: 2000 }, 'external_settlement'],
+          [{ type: 'withdrawal', subtype: 'bill_payment', amount: -8000 }, 'external_settlement'],
+          [{ type: 'withdrawal', subtype: 'fee', amount: -1000 }, 'fee_income'],
+          [{ type: 'debit', subtype: 'cashback', amount: 20 }, 'cashback_expense'],
+          [{ type: 'withdrawal', subtype: 'clawback', amount: -10 }, 'cashback_expense'],
+          [{ type: 'debit', subtype: 'dispute_credit', amount: 2000 }, 'disputes_clearing'],
+          [{ type: 'withdrawal', subtype: 'dispute_reversal', amount: -2000 }, 'disputes_clearing'],
+          [{ type: 'debit', subtype: 'interest', amount: 50 }, 'interest_expense'],
+          [{ type: 'withdrawal', subtype: 'transfer', amount: -5000, vender: 'SELF' }, 'transfers_clearing'],
+          [{ type: 'debit', subtype: 'credit', amount: 5000, vender: 'SELF' }, 'transfers_clearing']
+        ];
+        for (const [params, account] of expectedAccounts) {
+          const transaction = getTransaction(params);
+          const journalEntry = await storage.model('JournalEntry').postTransaction({ transaction });
+          journalEntry._transaction.should.deep.equal(transaction._id);
+          journalEntry.currency.should.equal('USD');
+          const [customerPosting, counterpartPosting] = journalEntry.postings;
+          customerPosting.account.should.equal('customer');
+          customerPosting._debitCard.should.deep.equal(debitCard._id);
+          customerPosting.amount.should.equal(params.amount);
+          counterpartPosting.account.should.equal(account);
+          counterpartPosting.amount.should.equal(-params.amount);
+        }
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getPostedBalance', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should only sum the customer postings of the debit cards', async () => {
+      try {
+        const aggregateStub = sinon.stub(storage.model('JournalEntry'), 'aggregate').returns({ exec: sinon.stub().resolves([{ _id: null, balance: 8000 }]) });
+        const balance = await storage.model('JournalEntry').getPostedBalance({ debitCardIds: [debitCard._id] });
+        balance.should.equal(8000);
+        aggregateStub.firstCall.args[0][2].$match.should.deep.equal({ 'postings.account': 'customer', 'postings._debitCard': { $in: [debitCard._id] } });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should return zero for debit cards without postings', async () => {
+      try {
+        sinon.stub(storage.model('JournalEntry'), 'aggregate').returns({ exec: sinon.stub().resolves([]) });
+        const balance = await storage.model('JournalEntry').getPostedBalance({ debitCardIds: [debitCard._id] });
+        balance.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getTrialBalance', async () => {
+    let aggregateStub;
+
+    beforeEach(async () => {
+      aggregateStub = sinon.stub(storage.model('JournalEntry'), 'aggregate');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid start date', async () => {
+      try {
+        await storage.model('JournalEntry').getTrialBalance({ startDate: 'invalid' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('startDate paramter invalid');
+      }
+    });
+    it('should prove the books balance and give the net income', async () => {
+      try {
+        aggregateStub.returns({
+          exec: sinon.stub().resolves([
+            { _id: 'customer', balance: 7030 },
+            { _id: 'external_settlement', balance: -8000 },
+            { _id: 'fee_income', balance: 1000 },
+            { _id: 'cashback_expense', balance: -20 },
+            { _id: 'interest_expense', balance: -10 }
+          ])
+        });
+        const trialBalance = await storage.model('JournalEntry').getTrialBalance({ startDate: '2024-09-01', endDate: '2024-10-01' });
+        aggregateStub.firstCall.args[0][0].$match.date.should.deep.equal({ $gte: new Date('2024-09-01'), $lte: new Date('2024-10-01') });
+        aggregateStub.firstCall.args[0][0].$match.$expr.should.deep.equal({ $eq: [{ $ifNull: ['$currency', 'USD'] }, 'USD'] });
+        trialBalance.currency.should.equal('USD');
+        trialBalance.balanced.should.equal(true);
+        trialBalance.netIncome.should.equal(970);
+        trialBalance.accounts.interest_expense.should.equal(-10);
+        trialBalance.accounts.transfers_clearing.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to an invalid currency', async () => {
+      try {
+        await storage.model('JournalEntry').getTrialBalance({ currency: 'euro' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('currency must be a 3 letter currency code');
+      }
+    });
+    it('should show the books do not balance', async () => {
+      try {
+        aggregateStub.returns({ exec: sinon.stub().resolves([{ _id: 'customer', balance: 10000 }, { _id: 'external_settlement', balance: -9000 }]) });
+        const trialBalance = await storage.model('JournalEntry').getTrialBalance();
+        trialBalance.balanced.should.equal(false);
+        trialBalance.netIncome.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import { SESClient } from '@aws-sdk/client-ses';
+import mailer from '../lib/util/mailer.js';
+
+const should = chai.should();
+
+describe('Mailer', () => {
+  describe('setTransport', async () => {
+    it('should error due to an unknown transport', async () => {
+      try {
+        mailer.setTransport('invalid');
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Mail transport "invalid" does not exist');
+      }
+    });
+  });
+
+  describe('send', async () => {
+    beforeEach(async () => {
+      mailer.setTransport('memory');
+      mailer.outbox.length = 0;
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid email', async () => {
+      try {
+        await mailer.send({ to: 'invalid', subject: 'Test', text: 'Test' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Valid email is required to send mail');
+      }
+    });
+    it('should error due to a missing subject or text', async () => {
+      try {
+        await mailer.send({ to: 'test@gmail.com' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Mail subject and text are required as strings');
+      }
+    });
+    it('should add the message to the in-memory outbox', async () => {
+      try {
+        await mailer.send({ to: 'test@gmail.com', subject: 'Test', text: 'Body' });
+        mailer.outbox.length.should.equal(1);
+        mailer.outbox[0].to.should.equal('test@gmail.com');
+        mailer.outbox[0].subject.should.equal('Test');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should send the message with a custom transport', async () => {
+      try {
+        const transport = sinon.stub().resolves();
+        mailer.setTransport(transport);
+        await mailer.send({ to: 'test@gmail.com', subject: 'Test', text: 'Body' });
+        transport.callCount.should.equal(1);
+        transport.firstCall.args[0].text.should.equal('Body');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should send the message through SES', async () => {
+      try {
+        const sesStub = sinon.stub(SESClient.prototype, 'send').resolves({ MessageId: '1' });
+        mailer.setTransport('ses');
+        await mailer.send({ to: 'test@gmail.com', subject: 'Test', text: 'Body' });
+        sesStub.callCount.should.equal(1);
+        sesStub.firstCall.args[0].input.Destination.ToAddresses.should.deep.equal(['test@gmail.com']);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error when the transport fails', async () => {
+      try {
+        mailer.setTransport(sinon.stub().rejects(new Error('failed')));
+        await mailer.send({ to: 'test@gmail.com', subject: 'Test', text: 'Body' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Error sending mail');
+      }
+    });
+  });
+});
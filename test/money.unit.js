@@ -0,0 +1,44 @@
+import * as chai from 'chai';
+import Money from '../lib/util/money.js';
+
+chai.should();
+
+describe('Money', () => {
+  describe('isValidAmount', async () => {
+    it('should only allow finite numbers with no more than 2 decimal places', async () => {
+      Money.isValidAmount(0.29).should.equal(true);
+      Money.isValidAmount(-100).should.equal(true);
+      Money.isValidAmount(0.295).should.equal(false);
+      Money.isValidAmount('1.00').should.equal(false);
+      Money.isValidAmount(Infinity).should.equal(false);
+    });
+  });
+
+  describe('toCents and fromCents', async () => {
+    it('should convert decimal amounts to whole cents and back', async () => {
+      Money.toCents(0.29).should.equal(29);
+      Money.toCents(-19.99).should.equal(-1999);
+      Money.fromCents(-1999).should.equal(-19.99);
+      (typeof Money.toCents(undefined)).should.equal('undefined');
+      (typeof Money.fromCents(undefined)).should.equal('undefined');
+    });
+    it('should convert every amount of an object', async () => {
+      Money.fromCentsValues({ currentBalance: 1050, pendingBalance: -25 }).should.deep.equal({ currentBalance: 10.5, pendingBalance: -0.25 });
+    });
+  });
+
+  describe('multiply', async () => {
+    it('should round half away from zero to whole cents', async () => {
+      Money.multiply(1050, 0.01).should.equal(11);
+      Money.multiply(-1050, 0.01).should.equal(-11);
+      Money.multiply(1049, 0.01).should.equal(10);
+      Money.multiply(12345, '0.015').should.equal(185);
+    });
+    it('should not drift over many postings', async () => {
+      let total = 0;
+      for (let i = 0; i < 1000; i++) { total += Money.multiply(1010, 0.01); }
+      total.should.equal(10000);
+      Money.fromCents(total).should.equal(100);
+    });
+  });
+});
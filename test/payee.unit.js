@@ -0,0 +1,145 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('Payee', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+  const getPayee = (params = {}) => new storage.model('Payee')({ _user: user._id, name: 'City Power', accountReference: 'ACCT-001', category: 'utilities', ...params });
+
+  let auditSaveStub;
+  beforeEach(async () => {
+    auditSaveStub = sinon.stub(storage.model('Payee').prototype, 'auditSave');
+  });
+
+  describe('create', async () => {
+    const params = { userId: user._id, name: 'City Power', accountReference: 'ACCT-001', category: 'utilities', performedBy: user.id };
+
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to a missing account reference', async () => {
+      try {
+        await storage.model('Payee').create({ ...params, accountReference: '' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Payee accountReference required as a string of no more than 50 characters');
+      }
+    });
+    it('should error due to an invalid category', async () => {
+      try {
+        await storage.model('Payee').create({ ...params, category: 'groceries' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.contain('Payee category must be one of');
+      }
+    });
+    it('should add the payee to the address book of the user', async () => {
+      try {
+        const payee = await storage.model('Payee').create({ ...params, nickname: 'Electric' });
+        auditSaveStub.firstCall.args[0].should.deep.equal({ performedBy: user.id, action: 'create' });
+        payee._user.should.deep.equal(user._id);
+        payee.active.should.equal(true);
+        payee._filter().nickname.should.equal('Electric');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('findPayees', async () => {
+    let findStub;
+    let sortStub;
+
+    beforeEach(async () => {
+      sortStub = sinon.stub().resolves([]);
+      findStub = sinon.stub(storage.model('Payee'), 'find').returns({ sort: sortStub });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should only find the active payees of the user', async () => {
+      try {
+        await storage.model('Payee').findPayees({ category: 'utilities', userId: user._id });
+        findStub.firstCall.args[0].should.deep.equal({ active: true, category: 'utilities', _user: user._id });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should find an archived payee by id', async () => {
+      try {
+        const payee = getPayee({ active: false });
+        await storage.model('Payee').findPayees({ payeeId: payee.id, userId: user._id });
+        findStub.firstCall.args[0].should.deep.equal({ _id: payee.id, _user: user._id });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('edit', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should record the fields changed in the audit log', async () => {
+      try {
+        const payee = await getPayee({ nickname: 'Electric' }).edit({ accountReference: 'ACCT-002', nickname: null, category: 'utilities', performedBy: user.id });
+        payee.accountReference.should.equal('ACCT-002');
+        should.not.exist(payee.nickname);
+        auditSaveStub.firstCall.args[0].should.deep.equal({ performedBy: user.id, action: 'edit', reason: 'Changed accountReference, nickname' });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not record an edit that changes nothing', async () => {
+      try {
+        await getPayee().edit({ name: 'City Power', performedBy: user.id });
+        auditSaveStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to an invalid name', async () => {
+      try {
+        await getPayee().edit({ name: '', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Payee name required as a string of no more than 100 characters');
+      }
+    });
+    it('should error due to editing an archived payee', async () => {
+      try {
+        await getPayee({ active: false }).edit({ name: 'City Water', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Archived payees cannot be edited');
+      }
+    });
+  });
+
+  describe('archive', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should archive the payee once', async () => {
+      try {
+        const payee = await getPayee().archive({ performedBy: user.id });
+        payee.active.should.equal(false);
+        await payee.archive({ performedBy: user.id });
+        auditSaveStub.callCount.should.equal(1);
+        auditSaveStub.firstCall.args[0].action.should.equal('archive');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('Product', () => {
+  const checkingProduct = new storage.model('Product')({ accountType: 'checking', name: 'Checking', interestRate: 0.01, maxTransfersPerCycle: null, allowPurchases: true });
+  const savingsProduct = new storage.model('Product')({ accountType: 'savings', name: 'Savings', interestRate: 0.02, maxTransfersPerCycle: 6, allowPurchases: false });
+
+  describe('seedDefaults', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should insert each default product only if it does not exist yet', async () => {
+      try {
+        const bulkWriteStub = sinon.stub(storage.model('Product'), 'bulkWrite').resolves();
+        await storage.model('Product').seedDefaults();
+        const operations = bulkWriteStub.firstCall.args[0];
+        operations.map(o => o.updateOne.filter.accountType).should.deep.equal(['checking', 'savings']);
+        operations.forEach(o => {
+          o.updateOne.upsert.should.equal(true);
+          should.exist(o.updateOne.update.$setOnInsert);
+        });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('findProduct', async () => {
+    let findOneStub;
+
+    beforeEach(async () => {
+      findOneStub = sinon.stub(storage.model('Product'), 'findOne');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to no product configured for the account type', async () => {
+      try {
+        findOneStub.resolves(null);
+        await storage.model('Product').findProduct({ accountType: 'savings' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Product not configured for account type savings');
+      }
+    });
+    it('should default to the checking product', async () => {
+      try {
+        findOneStub.resolves(checkingProduct);
+        const result = await storage.model('Product').findProduct();
+        findOneStub.firstCall.args[0].should.deep.equal({ accountType: 'checking' });
+        result.should.equal(checkingProduct);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getInterestRates', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should return the interest rate of each account type', async () => {
+      try {
+        sinon.stub(storage.model('Product'), 'find').resolves([checkingProduct, savingsProduct]);
+        const rates = await storage.model('Product').getInterestRates();
+        rates.should.deep.equal({ checking: 0.01, savings: 0.02 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,263 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+import HandledError from '../lib/util/handledError.js';
+
+const should = chai.should();
+
+describe('RecurringTransfer', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+  const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
+  const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
+  const savingsCard = new storage.model('DebitCard')({ accountNumber: '987654321', lastFourDigits: '4321', accountType: 'savings', active: true, _user: user._id });
+  const getRecurringTransfer = (schedule, params = {}) => new storage.model('RecurringTransfer')({
+    _senderDebitCard: debitCard._id, _receiverDebitCard: savingsCard._id, _user: user._id, amount: 5000, schedule, startDate: new Date('2025-01-03T09:00:00Z'), ...params
+  });
+
+  let auditSaveStub;
+  beforeEach(async () => {
+    auditSaveStub = sinon.stub(storage.model('RecurringTransfer').prototype, 'auditSave');
+  });
+
+  describe('create', async () => {
+    let debitCardStub;
+    const params = { senderAccountNumber: debitCard.accountNumber, receiverAccountNumber: savingsCard.accountNumber, amount: 50, frequency: 'weekly', startDate: '2025-01-03T09:00:00Z', userId: user._id, performedBy: user.id };
+
+    beforeEach(async () => {
+      debitCardStub = sinon.stub(storage.model('DebitCard'), 'findOne');
+      debitCardStub.onFirstCall().resolves(debitCard);
+      debitCardStub.onSecondCall().resolves(savingsCard);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid frequency', async () => {
+      try {
+        await storage.model('RecurringTransfer').create({ ...params, frequency: 'daily' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Schedule frequency must be one of: weekly, biweekly, monthly, cron');
+      }
+    });
+    it('should error due to a monthly schedule without a day of month', async () => {
+      try {
+        await storage.model('RecurringTransfer').create({ ...params, frequency: 'monthly' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('dayOfMonth required as a number from 1 to 31 for monthly schedules');
+      }
+    });
+    it('should error due to an invalid cron expression', async () => {
+      try {
+        await storage.model('RecurringTransfer').create({ ...params, frequency: 'cron', cron: '0 0 9 * * 5' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('cron required as a 5 field cron expression for cron schedules');
+      }
+    });
+    it('should error due to both an end date and an occurrence count', async () => {
+      try {
+        await storage.model('RecurringTransfer').create({ ...params, endDate: '2025-06-01', maxOccurrences: 4 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only one of endDate or maxOccurrences can be set');
+      }
+    });
+    it('should error due to the user not owning the sender debit card', async () => {
+      try {
+        await storage.model('RecurringTransfer').create({ ...params, userId: user2._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to transfer from the sender debit card');
+      }
+    });
+    it('should set up a recurring transfer with its first run on the start date', async () => {
+      try {
+        const recurringTransfer = await storage.model('RecurringTransfer').create({ ...params, maxOccurrences: 4 });
+        auditSaveStub.firstCall.args[0].should.deep.equal({ performedBy: user.id, action: 'create' });
+        recurringTransfer.amount.should.equal(5000);
+        recurringTransfer.status.should.equal('active');
+        recurringTransfer.nextRunAt.toISOString().should.equal('2025-01-03T09:00:00.000Z');
+        recurringTransfer._filter().amount.should.equal(50);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('getNextRunDate', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should repeat weekly and biweekly runs from the start date', async () => {
+      getRecurringTransfer({ frequency: 'weekly' }).getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-10T09:00:00.000Z');
+      getRecurringTransfer({ frequency: 'biweekly' }).getNextRunDate(new Date('2025-01-05T00:00:00Z')).toISOString().should.equal('2025-01-17T09:00:00.000Z');
+    });
+    it('should run monthly on the day of month, or the last day of shorter months', async () => {
+      const recurringTransfer = getRecurringTransfer({ frequency: 'monthly', dayOfMonth: 31 });
+      recurringTransfer.getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-31T09:00:00.000Z');
+      recurringTransfer.getNextRunDate(new Date('2025-01-31T09:00:00Z')).toISOString().should.equal('2025-02-28T09:00:00.000Z');
+    });
+    it('should run on the next match of a cron expression in UTC', async () => {
+      const recurringTransfer = getRecurringTransfer({ frequency: 'cron', cron: '30 14 1 * *' });
+      recurringTransfer.getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-02-01T14:30:00.000Z');
+      getRecurringTransfer({ frequency: 'cron', cron: '0 9 * * fri' }).getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-10T09:00:00.000Z');
+    });
+    it('should run on either the day of month or the day of week when both are restricted', async () => {
+      const recurringTransfer = getRecurringTransfer({ frequency: 'cron', cron: '0 9 1 * 1' });
+      recurringTransfer.getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-06T09:00:00.000Z');
+      recurringTransfer.getNextRunDate(new Date('2025-01-27T09:00:00Z')).toISOString().should.equal('2025-02-01T09:00:00.000Z');
+      getRecurringTransfer({ frequency: 'cron', cron: '0 9 */2 * 1' }).getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-13T09:00:00.000Z');
+    });
+    it('should match cron ranges, steps, lists, and names', async () => {
+      getRecurringTransfer({ frequency: 'cron', cron: '*/20 8-10 * * 7' }).getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-05T08:00:00.000Z');
+      getRecurringTransfer({ frequency: 'cron', cron: '0 12 1,15 feb-mar *' }).getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-02-01T12:00:00.000Z');
+      getRecurringTransfer({ frequency: 'cron', cron: '45/5 9 * * *' }).getNextRunDate(new Date('2025-01-03T09:47:00Z')).toISOString().should.equal('2025-01-03T09:50:00.000Z');
+    });
+    it('should not run after the end date', async () => {
+      const recurringTransfer = getRecurringTransfer({ frequency: 'weekly' }, { endDate: new Date('2025-01-15') });
+      recurringTransfer.getNextRunDate(new Date('2025-01-03T09:00:00Z')).toISOString().should.equal('2025-01-10T09:00:00.000Z');
+      should.not.exist(recurringTransfer.getNextRunDate(new Date('2025-01-10T09:00:00Z')));
+    });
+  });
+
+  describe('pause, resume, and cancel', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to the user not having set up the recurring transfer', async () => {
+      try {
+        await getRecurringTransfer({ frequency: 'weekly' }).pause({ userId: user2._id, performedBy: user2.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+      }
+    });
+    it('should pause and resume from the next run after now without making up missed runs', async () => {
+      try {
+        const recurringTransfer = getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-03T09:00:00Z') });
+        await recurringTransfer.pause({ userId: user._id, performedBy: user.id });
+        recurringTransfer.status.should.equal('paused');
+        await recurringTransfer.resume({ userId: user._id, performedBy: user.id });
+        recurringTransfer.status.should.equal('active');
+        (recurringTransfer.nextRunAt > new Date()).should.equal(true);
+        (recurringTransfer.nextRunAt - new Date() <= 7 * 24 * 60 * 60 * 1000).should.equal(true);
+        auditSaveStub.secondCall.args[0].action.should.equal('resume');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should cancel a recurring transfer so it cannot be resumed', async () => {
+      try {
+        const recurringTransfer = getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-03T09:00:00Z') });
+        await recurringTransfer.cancel({ userId: user._id, performedBy: user.id });
+        recurringTransfer.status.should.equal('canceled');
+        should.not.exist(recurringTransfer.nextRunAt);
+        await recurringTransfer.resume({ userId: user._id, performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only paused recurring transfers can be resumed');
+      }
+    });
+  });
+
+  describe('run', async () => {
+    let updateOneStub;
+    let findOneAndUpdateStub;
+    let transferStub;
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub(storage.model('RecurringTransfer'), 'updateOne').resolves({ matchedCount: 1 });
+      findOneAndUpdateStub = sinon.stub(storage.model('RecurringTransfer'), 'findOneAndUpdate').resolves({ occurrences: 1 });
+      const debitCardStub = sinon.stub(storage.model('DebitCard'), 'findOne');
+      debitCardStub.onFirstCall().resolves(debitCard);
+      debitCardStub.onSecondCall().resolves(savingsCard);
+      transferStub = sinon.stub(storage.model('Transaction'), 'createTransferTransaction').resolves([{ _id: 'sender' }, { _id: 'receiver' }]);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should claim the run and make the transfer', async () => {
+      try {
+        const recurringTransfer = getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-03T09:00:00Z') });
+        const run = await recurringTransfer.run();
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: recurringTransfer._id, status: 'active', nextRunAt: new Date('2025-01-03T09:00:00Z') });
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { nextRunAt: new Date('2025-01-10T09:00:00Z'), status: 'active' } });
+        transferStub.firstCall.args[0].should.deep.equal({ senderAccountNumber: debitCard.accountNumber, receiverAccountNumber: savingsCard.accountNumber, amount: 50, userId: user._id });
+        run.status.should.equal('completed');
+        run._transactions.should.deep.equal(['sender', 'receiver']);
+        findOneAndUpdateStub.firstCall.args[1].should.deep.equal({ $push: { runs: run }, $inc: { occurrences: 1 } });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should complete the recurring transfer on its last occurrence', async () => {
+      try {
+        findOneAndUpdateStub.resolves({ occurrences: 4 });
+        const recurringTransfer = getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-24T09:00:00Z'), maxOccurrences: 4, occurrences: 3 });
+        await recurringTransfer.run();
+        updateOneStub.firstCall.args[1].$set.should.deep.equal({ nextRunAt: new Date('2025-01-31T09:00:00Z'), status: 'active' });
+        updateOneStub.secondCall.args.should.deep.equal([
+          { _id: recurringTransfer._id, status: { $in: ['active', 'paused'] } },
+          { $set: { nextRunAt: null, status: 'completed' } }
+        ]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not count a skipped run toward the occurrences', async () => {
+      try {
+        transferStub.rejects(new HandledError('Insufficient funds for transfer', 400, 'insufficient_funds'));
+        findOneAndUpdateStub.resolves({ occurrences: 3 });
+        const recurringTransfer = getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-24T09:00:00Z'), maxOccurrences: 4, occurrences: 3 });
+        const run = await recurringTransfer.run();
+        findOneAndUpdateStub.firstCall.args[1].should.deep.equal({ $push: { runs: run } });
+        updateOneStub.callCount.should.equal(1);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should skip a run without the funds to cover it', async () => {
+      try {
+        transferStub.rejects(new HandledError('Insufficient funds for transfer', 400, 'insufficient_funds'));
+        const run = await getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-03T09:00:00Z') }).run();
+        run.status.should.equal('skipped');
+        run.reason.should.equal('insufficient_funds');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should record a failed run with the reason', async () => {
+      try {
+        transferStub.rejects(new HandledError('Receiver debit card not found or is inactive', 400));
+        const run = await getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-03T09:00:00Z') }).run();
+        run.status.should.equal('failed');
+        run.reason.should.equal('Receiver debit card not found or is inactive');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not make a run already claimed by another task', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        const run = await getRecurringTransfer({ frequency: 'weekly' }, { nextRunAt: new Date('2025-01-03T09:00:00Z') }).run();
+        should.not.exist(run);
+        transferStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
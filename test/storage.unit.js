@@ -0,0 +1,74 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import mongoose from 'mongoose';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('Storage', () => {
+  describe('recordBaselineMigrations', async () => {
+    let updateOneStub;
+    let debitCardExistsStub;
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub().resolves();
+      sinon.stub(mongoose.connection, 'collection').returns({ updateOne: updateOneStub });
+      debitCardExistsStub = sinon.stub(storage.model('DebitCard'), 'exists').resolves(null);
+      sinon.stub(storage.model('Transaction'), 'exists').resolves(null);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should record the baseline migrations as run for a fresh database', async () => {
+      try {
+        await storage.recordBaselineMigrations();
+        updateOneStub.callCount.should.equal(1);
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: 'money-to-cents' });
+        should.exist(updateOneStub.firstCall.args[1].$setOnInsert.completedAt);
+        updateOneStub.firstCall.args[2].should.deep.equal({ upsert: true });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not record the baseline migrations for a database with data', async () => {
+      try {
+        debitCardExistsStub.resolves({ _id: 'debitCard' });
+        await storage.recordBaselineMigrations();
+        updateOneStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('unitOfWork', async () => {
+    let transactionStub;
+
+    beforeEach(async () => {
+      transactionStub = sinon.stub(mongoose.connection, 'transaction').callsFake(work => work('session'));
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should run the work in a transaction and return its result', async () => {
+      try {
+        const result = await storage.unitOfWork(async (session) => `result:${session}`);
+        transactionStub.callCount.should.equal(1);
+        result.should.equal('result:session');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should join the unit of work it is called from', async () => {
+      try {
+        const result = await mongoose.transactionAsyncLocalStorage.run({ session: 'outerSession' }, () => storage.unitOfWork(async (session) => `result:${session}`));
+        transactionStub.callCount.should.equal(0);
+        result.should.equal('result:outerSession');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});
@@ -10,26 +10,38 @@ describe('Transaction', () => {
   const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
   const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
   const debitCard2 = new storage.model('DebitCard')({ accountNumber: '987654321', lastFourDigits: '4321', active: true, _user: user2._id });
+  const checkingProduct = new storage.model('Product')({ accountType: 'checking', name: 'Checking', interestRate: 0.01, maxTransfersPerCycle: null, allowPurchases: true });
+  const savingsProduct = new storage.model('Product')({ accountType: 'savings', name: 'Savings', interestRate: 0.02, maxTransfersPerCycle: 6, allowPurchases: false });
   const transaction = new storage.model('Transaction')({
-    _id: Helpers.getObjectIdFromDate('2024-09-01'), date: new Date('2024-09-01'), type: 'debit', subtype: 'credit', amount: 100, vender: 'test', description: 'test tx', _debitCard: debitCard._id, _user: debitCard._user
+    _id: Helpers.getObjectIdFromDate('2024-09-01'), date: new Date('2024-09-01'), type: 'debit', subtype: 'credit', amount: 10000, vender: 'test', description: 'test tx', _debitCard: debitCard._id, _user: debitCard._user
   });
   const transaction2 = new storage.model('Transaction')({
-    _id: Helpers.getObjectIdFromDate('2024-09-02'), date: new Date('2024-09-02'), type: 'withdrawal', subtype: 'purchase', amount: -20, vender: 'test2', description: 'test tx2', _debitCard: debitCard2._id, _user: debitCard2._user
+    _id: Helpers.getObjectIdFromDate('2024-09-02'), date: new Date('2024-09-02'), type: 'withdrawal', subtype: 'purchase', amount: -2000, vender: 'test2', description: 'test tx2', _debitCard: debitCard2._id, _user: debitCard2._user
   });
   const transaction3 = new storage.model('Transaction')({
-    _id: Helpers.getObjectIdFromDate('2024-09-03'), date: new Date('2024-09-03'), type: 'withdrawal', subtype: 'fee', amount: -10, vender: 'test3', description: 'test tx3', _debitCard: debitCard._id, _user: debitCard._user
+    _id: Helpers.getObjectIdFromDate('2024-09-03'), date: new Date('2024-09-03'), type: 'withdrawal', subtype: 'fee', amount: -1000, vender: 'test3', description: 'test tx3', _debitCard: debitCard._id, _user: debitCard._user
   });
 
   let saveStub;
+  let postTransactionStub;
+  let updateBalancesStub;
+  let unitOfWorkStub;
   beforeEach(async () => {
     saveStub = sinon.stub(storage.model('Transaction').prototype, 'save');
+    postTransactionStub = sinon.stub(storage.model('JournalEntry'), 'postTransaction').resolves();
+    updateBalancesStub = sinon.stub(storage.model('DebitCard'), 'updateBalances').resolves();
+    unitOfWorkStub = sinon.stub(storage, 'unitOfWork').callsFake(work => work());
   });
 
   describe('create', async () => {
     let debitCardStub;
+    let virtualCardStub;
+    let productStub;
 
     beforeEach(async () => {
       debitCardStub = sinon.stub(storage.model('DebitCard'), 'findOne');
+      virtualCardStub = sinon.stub(storage.model('VirtualCard'), 'findOne').resolves(null);
+      productStub = sinon.stub(storage.model('Product'), 'findProduct').resolves(checkingProduct);
     });
     afterEach(async () => {
       sinon.restore();
@@ -117,12 +129,233 @@ describe('Transaction', () => {
         err.message.should.equal('Debit card not found or inactive for the account number provided');
       }
     });
+    it('should error due to a merchant-locked virtual card used at another vender', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'merchant-locked', lockedVender: 'AMZN', _debitCard: debitCard._id, _user: user._id });
+        debitCardStub.onFirstCall().resolves(null);
+        virtualCardStub.resolves(virtualCard);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'WLMRT', accountNumber: virtualCard.accountNumber });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Virtual card is locked to another vender');
+      }
+    });
+    it('should charge a purchase with a virtual card to its funding debit card', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'merchant-locked', lockedVender: 'AMZN', _debitCard: debitCard._id, _user: user._id });
+        debitCardStub.onFirstCall().resolves(null);
+        debitCardStub.onSecondCall().resolves(debitCard);
+        virtualCardStub.resolves(virtualCard);
+        const result = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'amzn', accountNumber: virtualCard.accountNumber });
+        debitCardStub.secondCall.args[0].should.deep.equal({ _id: debitCard._id });
+        result._debitCard.should.deep.equal(debitCard._id);
+        result._virtualCard.should.deep.equal(virtualCard._id);
+        result._initiatedBy.should.deep.equal(user._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should claim a single-use virtual card in the unit of work the purchase is saved in', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', _debitCard: debitCard._id, _user: user._id });
+        debitCardStub.onFirstCall().resolves(null);
+        debitCardStub.onSecondCall().resolves(debitCard);
+        virtualCardStub.resolves(virtualCard);
+        sinon.stub(storage.model('Transaction'), 'countDocuments').resolves(0);
+        const claimStub = sinon.stub(virtualCard, 'claimPurchase').resolves();
+        const result = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'AMZN', accountNumber: virtualCard.accountNumber });
+        claimStub.firstCall.args[0].transaction.should.equal(result);
+        claimStub.calledAfter(unitOfWorkStub).should.equal(true);
+        claimStub.calledBefore(saveStub).should.equal(true);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error with a reason code due to a purchase violating the spending controls', async () => {
+      try {
+        const controlledDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: true, _user: user._id, controls: { maxPurchaseAmount: 50 } });
+        debitCardStub.returns(controlledDebitCard);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: controlledDebitCard.accountNumber });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(400);
+        err.reason.should.equal('max_purchase_exceeded');
+        err.message.should.equal('Purchase exceeds the maximum single purchase of this debit card');
+      }
+    });
+    it('should error due to an invalid CVV supplied with the account number', async () => {
+      try {
+        const issuedDebitCard = new storage.model('DebitCard')({ active: true, _user: user._id });
+        const cvv = issuedDebitCard.issueCredentials();
+        debitCardStub.returns(issuedDebitCard);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: issuedDebitCard.accountNumber, cvv: cvv === '000' ? '001' : '000' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.reason.should.equal('invalid_cvv');
+      }
+    });
+    it('should create a transaction with the expiry and CVV supplied with the account number', async () => {
+      try {
+        const issuedDebitCard = new storage.model('DebitCard')({ active: true, _user: user._id });
+        const cvv = issuedDebitCard.issueCredentials();
+        debitCardStub.returns(issuedDebitCard);
+        const { expiryMonth, expiryYear, accountNumber } = issuedDebitCard;
+        const result = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber, expiryMonth, expiryYear, cvv });
+        saveStub.callCount.should.equal(1);
+        result._debitCard.should.deep.equal(issuedDebitCard._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the debit card having been reissued', async () => {
+      try {
+        const reissuedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: false, _user: user._id, _replacedBy: debitCard._id });
+        debitCardStub.returns(reissuedDebitCard);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: reissuedDebitCard.accountNumber });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Debit card has been reissued, the replacement card must be used');
+      }
+    });
+    it('should error due to the user not having access to the debit card', async () => {
+      try {
+        debitCardStub.returns(debitCard);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: debitCard.accountNumber, userId: user2._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to create transactions for this debit card');
+      }
+    });
+    it('should error due to an authorized user exceeding their spending cap for the statement cycle', async () => {
+      try {
+        const sharedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: true, _user: user._id, holders: [{ _user: user2._id, role: 'authorized', spendingCap: 15000 }] });
+        debitCardStub.returns(sharedDebitCard);
+        sinon.stub(storage.model('Transaction'), 'aggregate').resolves([{ _id: null, total: -7500 }]);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: sharedDebitCard.accountNumber, userId: user2._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Spending cap of 150 per statement cycle exceeded for this authorized user');
+      }
+    });
+    it('should record the authorized user that initiated a purchase within their spending cap', async () => {
+      try {
+        const sharedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: true, _user: user._id, holders: [{ _user: user2._id, role: 'authorized', spendingCap: 15000 }] });
+        debitCardStub.returns(sharedDebitCard);
+        const aggregateStub = sinon.stub(storage.model('Transaction'), 'aggregate').resolves([]);
+        const result = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: sharedDebitCard.accountNumber, userId: user2._id });
+        aggregateStub.firstCall.args[0][0].$match._initiatedBy.should.deep.equal(user2._id);
+        result._initiatedBy.should.deep.equal(user2._id);
+        result._user.should.deep.equal(user._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to a purchase from a savings account', async () => {
+      try {
+        const savingsDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', accountType: 'savings', _user: user._id });
+        debitCardStub.returns(savingsDebitCard);
+        productStub.resolves(savingsProduct);
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: savingsDebitCard.accountNumber });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        productStub.firstCall.args[0].should.deep.equal({ accountType: 'savings' });
+        err.message.should.equal('Purchases are not allowed from savings accounts');
+      }
+    });
+    it('should allow a credit to a savings account', async () => {
+      try {
+        const savingsDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', accountType: 'savings', _user: user._id });
+        debitCardStub.returns(savingsDebitCard);
+        productStub.resolves(savingsProduct);
+        const result = await storage.model('Transaction').create({ type: 'debit', subtype: 'credit', amount: 100, vender: 'TEST', accountNumber: savingsDebitCard.accountNumber });
+        saveStub.callCount.should.equal(1);
+        result.subtype.should.equal('credit');
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should convert a purchase in another currency to the currency of the debit card', async () => {
+      try {
+        debitCardStub.returns(debitCard);
+        const getRateStub = sinon.stub(storage.model('FxRate'), 'getRate').resolves(1.0832);
+        const transaction = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -19.99, currency: 'EUR', vender: 'TEST', accountNumber: debitCard.accountNumber });
+        getRateStub.firstCall.args[0].should.deep.equal({ from: 'EUR', to: 'USD' });
+        transaction.amount.should.equal(-2165);
+        transaction._filter().should.deep.include({ amount: -21.65, currency: 'USD', originalAmount: -19.99, originalCurrency: 'EUR', fxRate: 1.0832 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to an invalid currency', async () => {
+      try {
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, currency: 'euro', vender: 'TEST', accountNumber: debitCard.accountNumber });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Currency must be a 3 letter currency code');
+      }
+    });
+    it('should error due to authorizing a transaction other than a purchase', async () => {
+      try {
+        await storage.model('Transaction').create({ type: 'debit', subtype: 'credit', amount: 100, vender: 'TEST', accountNumber: debitCard.accountNumber, authorize: true });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only purchases can be authorized');
+      }
+    });
+    it('should place an authorization hold on the pending balance for a purchase', async () => {
+      try {
+        debitCardStub.returns(debitCard);
+        const transaction = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -50, vender: 'GAS', accountNumber: debitCard.accountNumber, authorize: true });
+        transaction.status.should.equal('authorized');
+        transaction.authorizedAmount.should.equal(-5000);
+        (transaction.authorizationExpiresAt > new Date()).should.equal(true);
+        updateBalancesStub.firstCall.args[0].should.deep.include({ currentBalance: 0, pendingBalance: -5000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to scheduling a transaction for a past date', async () => {
+      try {
+        await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -50, vender: 'RENT', accountNumber: debitCard.accountNumber, scheduledFor: '2024-09-01' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('scheduledFor must be a future date');
+      }
+    });
+    it('should schedule a transaction without counting it in the balances', async () => {
+      try {
+        debitCardStub.returns(debitCard);
+        const scheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const transaction = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -50, vender: 'RENT', accountNumber: debitCard.accountNumber, scheduledFor });
+        transaction.status.should.equal('scheduled');
+        transaction.date.should.deep.equal(scheduledFor);
+        transaction._filter().scheduledFor.should.equal(scheduledFor.toISOString());
+        updateBalancesStub.firstCall.args[0].should.deep.include({ currentBalance: 0, pendingBalance: 0 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
     it('should error successfully create a transaction', async () => {
       try {
         debitCardStub.returns(debitCard);
         const transaction = await storage.model('Transaction').create({ type: 'withdrawal', subtype: 'purchase', amount: -100, vender: 'TEST', accountNumber: debitCard.accountNumber, email: user.email });
         saveStub.callCount.should.equal(1);
         (transaction instanceof storage.model('Transaction')).should.equal(true);
+        transaction.amount.should.equal(-10000);
+        transaction._filter().amount.should.equal(-100);
+        transaction.currency.should.equal('USD');
+        should.not.exist(transaction.fxRate);
       } catch (err) {
         should.not.exist(err);
       }
@@ -132,10 +365,14 @@ describe('Transaction', () => {
   describe('createTransferTransaction', async () => {
     let debitCardStub;
     let balanceStub;
+    let productStub;
+    let countStub;
     
     beforeEach(async () => {
       debitCardStub = sinon.stub(storage.model('DebitCard'), 'findOne');
       balanceStub = sinon.stub(debitCard, 'getBalances');
+      productStub = sinon.stub(storage.model('Product'), 'findProduct').resolves(checkingProduct);
+      countStub = sinon.stub(storage.model('Transaction'), 'countDocuments').resolves(0);
     });
     afterEach(async () => {
       sinon.restore();
@@ -189,6 +426,72 @@ describe('Transaction', () => {
         err.message.should.equal('Receiver debit card not found or is inactive');
       }
     });
+    it('should error due to the user not owning the sender debit card', async () => {
+      try {
+        debitCardStub.onFirstCall().resolves(debitCard);
+        await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: debitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20, userId: user2._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to transfer from the sender debit card');
+      }
+    });
+    it('should error due to an authorized user transferring from the sender debit card', async () => {
+      try {
+        const sharedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: true, _user: user._id, holders: [{ _user: user2._id, role: 'authorized' }] });
+        debitCardStub.onFirstCall().resolves(sharedDebitCard);
+        await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: sharedDebitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20, userId: user2._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to transfer from the sender debit card');
+      }
+    });
+    it('should error due to the sender savings account reaching its transfer limit for the statement cycle', async () => {
+      const savingsDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', accountType: 'savings', _user: user._id });
+      try {
+        debitCardStub.onFirstCall().resolves(savingsDebitCard);
+        debitCardStub.onSecondCall().resolves(debitCard2);
+        productStub.resolves(savingsProduct);
+        countStub.resolves(6);
+        await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: savingsDebitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Transfer limit of 6 per statement cycle reached for the sender account');
+        const query = countStub.firstCall.args[0];
+        query.subtype.should.equal('transfer');
+        query._debitCard.should.deep.equal({ $in: [savingsDebitCard._id] });
+        query.date.should.deep.equal({ $gte: Helpers.getStatementCycleStart(), $lt: Helpers.getStatementCycleEnd() });
+        countStub.calledAfter(unitOfWorkStub).should.equal(true);
+      }
+    });
+    it('should count the transfer limit for the statement cycle of a scheduled transfer', async () => {
+      try {
+        const savingsDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', accountType: 'savings', _user: user._id });
+        debitCardStub.onFirstCall().resolves(savingsDebitCard);
+        debitCardStub.onSecondCall().resolves(debitCard2);
+        productStub.resolves(savingsProduct);
+        const scheduledFor = new Date(Date.UTC(new Date().getUTCFullYear() + 1, 0, 15));
+        await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: savingsDebitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20, scheduledFor });
+        countStub.firstCall.args[0].date.should.deep.equal({ $gte: Helpers.getStatementCycleStart(scheduledFor), $lt: Helpers.getStatementCycleEnd(scheduledFor) });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not count transfers for a product without a transfer limit', async () => {
+      try {
+        debitCardStub.onFirstCall().resolves(debitCard);
+        debitCardStub.onSecondCall().resolves(debitCard2);
+        balanceStub.resolves({ currentBalance: 10000, pendingBalance: 0, finalBalance: 10000 });
+        await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: debitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20 });
+        countStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
     it('should error due to insufficient funds in the sender account', async () => {
       try {
         debitCardStub.onFirstCall().resolves(debitCard);
@@ -199,17 +502,134 @@ describe('Transaction', () => {
       } catch (err) {
         should.exist(err);
         err.message.should.equal('Insufficient funds for transfer');
+        err.reason.should.equal('insufficient_funds');
+        saveStub.callCount.should.equal(0);
+      }
+    });
+    it('should schedule both sides of a transfer without checking the funds until its date', async () => {
+      try {
+        debitCardStub.onFirstCall().resolves(debitCard);
+        debitCardStub.onSecondCall().resolves(debitCard2);
+        const scheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const [senderTransaction, receiverTransaction] = await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: debitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20, scheduledFor });
+        balanceStub.callCount.should.equal(0);
+        senderTransaction.status.should.equal('scheduled');
+        receiverTransaction.status.should.equal('scheduled');
+        receiverTransaction._originalTransaction.should.deep.equal(senderTransaction._id);
+        saveStub.callCount.should.equal(2);
+      } catch (err) {
+        should.not.exist(err);
       }
     });
     it('should successfully create the transfer transactions', async () => {
       try {
         debitCardStub.onFirstCall().resolves(debitCard);
         debitCardStub.onSecondCall().resolves(debitCard2);
-        balanceStub.resolves({ currentBalance: 100, pendingBalance: 0, finalBalance: 100 });
+        balanceStub.resolves({ currentBalance: 10000, pendingBalance: 0, finalBalance: 10000 });
         const results = await storage.model('Transaction').createTransferTransaction({ senderAccountNumber: debitCard.accountNumber, receiverAccountNumber: debitCard2.accountNumber, amount: 20 });
         saveStub.callCount.should.equal(2);
+        // The balance is checked within the unit of work the transfer is saved in
+        balanceStub.calledAfter(unitOfWorkStub).should.equal(true);
         (results[0] instanceof storage.model('Transaction')).should.equal(true);
         (results[1] instanceof storage.model('Transaction')).should.equal(true);
+        results[1]._originalTransaction.should.deep.equal(results[0]._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('createBillPayment', async () => {
+    const payee = new storage.model('Payee')({ _user: user._id, name: 'City Power', accountReference: 'ACCT-001', category: 'utilities', nickname: 'Electric' });
+    let findPayeesStub;
+    let payeeExistsStub;
+
+    beforeEach(async () => {
+      findPayeesStub = sinon.stub(storage.model('Payee'), 'findPayees').resolves([payee]);
+      payeeExistsStub = sinon.stub(storage.model('Payee'), 'exists').resolves({ _id: payee._id });
+      sinon.stub(storage.model('DebitCard'), 'findOne').resolves(debitCard);
+      sinon.stub(storage.model('VirtualCard'), 'findOne').resolves(null);
+      sinon.stub(storage.model('Product'), 'findProduct').resolves(checkingProduct);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid amount', async () => {
+      try {
+        await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: -20 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Bill payment amount required as a positive number with no more than 2 decimal places');
+      }
+    });
+    it('should error due to the payee not being in the address book of the user', async () => {
+      try {
+        findPayeesStub.resolves([]);
+        await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: 20, userId: user2._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(404);
+        findPayeesStub.firstCall.args[0].should.deep.equal({ payeeId: payee.id, userId: user2._id });
+      }
+    });
+    it('should error due to an archived payee', async () => {
+      try {
+        findPayeesStub.resolves([new storage.model('Payee')({ ...payee.toObject(), active: false })]);
+        await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: 20 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Payee not found');
+      }
+    });
+    it('should error due to the payee not being in the address book of a holder of the debit card', async () => {
+      try {
+        findPayeesStub.resolves([new storage.model('Payee')({ ...payee.toObject(), _user: user2._id })]);
+        await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: 20 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(404);
+        saveStub.callCount.should.equal(0);
+      }
+    });
+    it('should error due to the payee being archived before the payment is saved', async () => {
+      try {
+        payeeExistsStub.resolves(null);
+        await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: 20 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Payee not found');
+        payeeExistsStub.firstCall.args[0].should.deep.equal({ _id: payee._id, active: true });
+        saveStub.callCount.should.equal(0);
+      }
+    });
+    it('should create a bill payment tied to the payee with its memo', async () => {
+      try {
+        const transaction = await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: 80, memo: 'October bill' });
+        saveStub.callCount.should.equal(1);
+        transaction.subtype.should.equal('bill_payment');
+        transaction.status.should.equal('pending');
+        transaction.amount.should.equal(-8000);
+        transaction.vender.should.equal('City Power');
+        transaction.description.should.equal('Bill payment to Electric');
+        transaction._filter().payee.should.deep.equal(payee._id);
+        transaction._filter().memo.should.equal('October bill');
+        updateBalancesStub.firstCall.args[0].should.deep.include({ pendingBalance: -8000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should schedule a bill payment for a future date', async () => {
+      try {
+        const scheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const transaction = await storage.model('Transaction').createBillPayment({ payeeId: payee.id, accountNumber: debitCard.accountNumber, amount: 80, scheduledFor });
+        transaction.status.should.equal('scheduled');
+        transaction.scheduledFor.should.deep.equal(scheduledFor);
       } catch (err) {
         should.not.exist(err);
       }
@@ -217,8 +637,10 @@ describe('Transaction', () => {
   });
 
   describe('createOverdraftFeeTransaction', async () => {
+    let debitCardSaveStub;
+
     beforeEach(async () => {
-      sinon.stub(storage.model('DebitCard').prototype, 'save');
+      debitCardSaveStub = sinon.stub(storage.model('DebitCard').prototype, 'save');
     });
     afterEach(async () => {
       sinon.restore();
@@ -238,6 +660,9 @@ describe('Transaction', () => {
         const feeTransaction = await storage.model('Transaction').createOverdraftFeeTransaction({ debitCard });
         saveStub.callCount.should.equal(1);
         feeTransaction.status.should.equal('completed');
+        postTransactionStub.firstCall.args[0].transaction.should.equal(feeTransaction);
+        unitOfWorkStub.callCount.should.equal(1);
+        debitCardSaveStub.callCount.should.equal(1);
       } catch (err) {
         should.not.exist(err);
       }
@@ -279,91 +704,210 @@ describe('Transaction', () => {
         (result instanceof storage.model('Transaction')).should.equal(true);
         result.type.should.equal('debit');
         result.subtype.should.equal('cashback');
-        result.amount.should.equal(Math.round((Math.abs(tempTransaction.amount) * 0.01) * 100) / 100);
+        result.amount.should.equal(20);
+        result._filter().amount.should.equal(0.2);
         result.description.should.equal(`Cashback for eligible purchase - ${tempTransaction._id.toString()}`);
+        result._originalTransaction.toString().should.equal(tempTransaction._id.toString());
       } catch (err) {
         should.not.exist(err);
       }
     });
   });
 
-  describe('findTransactions', async () => {
-    let transactionFindOneStub;
-    let cursorStub;
-    let transactionFindStub;
+  describe('createClawbackTransaction', async () => {
+    let aggregateStub;
+
     beforeEach(async () => {
-      transactionFindOneStub = sinon.stub(storage.model('Transaction'), 'findOne');
-      cursorStub = { next: sinon.stub(), close: sinon.stub().resolves() };
-      transactionFindStub = sinon.stub(storage.model('Transaction'), 'find').returns({ cursor: () => cursorStub });
+      sinon.stub(storage.model('DebitCard'), 'findOne').returns(debitCard);
+      aggregateStub = sinon.stub(storage.model('Transaction'), 'aggregate').resolves([{ _id: 'cashback', total: 20 }]);
     });
     afterEach(async () => {
       sinon.restore();
     });
 
-    it('should error due to invalid id being passed', async () => {
+    it('should error due to invalid parameters', async () => {
       try {
-        await storage.model('Transaction').findTransactions({ transactionId: '123' });
+        await storage.model('Transaction').createClawbackTransaction({ transaction: transaction2 });
         throw new Error('Should not reach this point');
       } catch (err) {
         should.exist(err);
-        err.message.should.equal('id parameter invalid');
+        err.message.should.equal('Invalid transaction parameters for clawback');
       }
     });
-    it('should return an empty array due to id passed not finding transaction', async () => {
+    it('should claw back a proportional share of the cashback', async () => {
       try {
-        transactionFindOneStub.resolves();
-        const results = await storage.model('Transaction').findTransactions({ transactionId: transaction._id.toString() });
-        results.should.deep.equal([]);
+        const result = await storage.model('Transaction').createClawbackTransaction({ transaction: transaction2, refundedAmount: 500 });
+        aggregateStub.firstCall.args[0][0].$match._originalTransaction.should.equal(transaction2._id);
+        aggregateStub.firstCall.args[0][0].$match._debitCard.should.deep.equal({ $in: [debitCard._id] });
+        saveStub.callCount.should.equal(1);
+        postTransactionStub.callCount.should.equal(1);
+        result.type.should.equal('withdrawal');
+        result.subtype.should.equal('clawback');
+        result.status.should.equal('completed');
+        result.amount.should.equal(-5);
+        result._originalTransaction.toString().should.equal(transaction2._id.toString());
       } catch (err) {
         should.not.exist(err);
       }
     });
-    it('should return an array containing the transaction associated to the id passed', async () => {
+    it('should claw back the cashback paid across the cards of a reissued account', async () => {
       try {
-        transactionFindOneStub.resolves(transaction);
-        const results = await storage.model('Transaction').findTransactions({ transactionId: transaction._id.toString() });
-        results.should.deep.equal([transaction]);
+        const reissuedCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: false, _user: user._id, _replacedBy: debitCard2._id });
+        storage.model('DebitCard').findOne.onFirstCall().returns(reissuedCard);
+        sinon.stub(reissuedCard, 'getLinkedCardIds').resolves([reissuedCard._id, debitCard2._id]);
+        await storage.model('Transaction').createClawbackTransaction({ transaction: transaction2, refundedAmount: 500 });
+        aggregateStub.firstCall.args[0][0].$match._debitCard.should.deep.equal({ $in: [reissuedCard._id, debitCard2._id] });
       } catch (err) {
         should.not.exist(err);
       }
     });
-    it('should error due to invalid startDate passed', async () => {
+    it('should only claw back what has not already been clawed back', async () => {
       try {
-        await storage.model('Transaction').findTransactions({ startDate: 'invalid' });
-        throw new Error('Should not reach this point');
+        aggregateStub.resolves([{ _id: 'cashback', total: 20 }, { _id: 'clawback', total: -5 }]);
+        const result = await storage.model('Transaction').createClawbackTransaction({ transaction: transaction2, refundedAmount: 2000 });
+        result.amount.should.equal(-15);
       } catch (err) {
-        should.exist(err);
-        err.message.should.equal('startDate paramter invalid');
+        should.not.exist(err);
       }
     });
-    it('should error due to invalid endDate passed', async () => {
+    it('should not create a transaction without cashback to claw back', async () => {
       try {
-        await storage.model('Transaction').findTransactions({ endDate: 'invalid' });
-        throw new Error('Should not reach this point');
+        aggregateStub.resolves([]);
+        const result = await storage.model('Transaction').createClawbackTransaction({ transaction: transaction2, refundedAmount: 2000 });
+        should.not.exist(result);
+        saveStub.callCount.should.equal(0);
       } catch (err) {
-        should.exist(err);
-        err.message.should.equal('endDate paramter invalid');
+        should.not.exist(err);
       }
     });
-    it('should error due to startDate being after endDate', async () => {
+  });
+
+  describe('createDisputeTransaction', async () => {
+    let debitCardStub;
+    const getDispute = (status) => new storage.model('Dispute')({ _transaction: transaction2._id, _debitCard: debitCard._id, amount: 2000, reason: 'unrecognized', status });
+
+    beforeEach(async () => {
+      debitCardStub = sinon.stub(storage.model('DebitCard'), 'findOne').resolves(debitCard);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to a dispute status without a transaction', async () => {
       try {
-        await storage.model('Transaction').findTransactions({ startDate: '2024-09-02', endDate: '2024-09-01' });
+        await storage.model('Transaction').createDisputeTransaction({ dispute: getDispute('under_review') });
         throw new Error('Should not reach this point');
       } catch (err) {
         should.exist(err);
-        err.message.should.equal('startDate must be before endDate');
+        err.message.should.equal('Invalid dispute parameters for transaction');
       }
     });
-    it('should return an array of transactions in the date range provided', async () => {
+    it('should post a provisional credit for the disputed amount', async () => {
       try {
-        cursorStub.next.onCall(0).resolves(transaction);
-        cursorStub.next.onCall(1).resolves(transaction2);
-        cursorStub.next.onCall(2).resolves(transaction3);
-        cursorStub.next.onCall(3).resolves(null);
-
-        const results = await storage.model('Transaction').findTransactions({ startDate: '2024-09-01', endDate: '2024-09-03' });
-        transactionFindStub.callCount.should.equal(1);
-        results.should.deep.equal([transaction, transaction2, transaction3]);
+        const result = await storage.model('Transaction').createDisputeTransaction({ dispute: getDispute('provisional_credit') });
+        saveStub.callCount.should.equal(1);
+        postTransactionStub.callCount.should.equal(1);
+        result.type.should.equal('debit');
+        result.subtype.should.equal('dispute_credit');
+        result.status.should.equal('completed');
+        result.amount.should.equal(2000);
+        result._originalTransaction.toString().should.equal(transaction2._id.toString());
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should reverse the provisional credit of a lost dispute through the replacement of a reissued card', async () => {
+      try {
+        const reissuedCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: false, _user: user._id, _replacedBy: debitCard2._id });
+        debitCardStub.onFirstCall().resolves(reissuedCard);
+        const result = await storage.model('Transaction').createDisputeTransaction({ dispute: getDispute('lost') });
+        debitCardStub.secondCall.args[0].should.deep.equal({ _originalCard: reissuedCard._id, _replacedBy: { $exists: false } });
+        result.type.should.equal('withdrawal');
+        result.subtype.should.equal('dispute_reversal');
+        result.amount.should.equal(-2000);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('findTransactions', async () => {
+    let transactionFindOneStub;
+    let cursorStub;
+    let transactionFindStub;
+    beforeEach(async () => {
+      transactionFindOneStub = sinon.stub(storage.model('Transaction'), 'findOne');
+      cursorStub = { next: sinon.stub(), close: sinon.stub().resolves() };
+      transactionFindStub = sinon.stub(storage.model('Transaction'), 'find').returns({ cursor: () => cursorStub });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to invalid id being passed', async () => {
+      try {
+        await storage.model('Transaction').findTransactions({ transactionId: '123' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('id parameter invalid');
+      }
+    });
+    it('should return an empty array due to id passed not finding transaction', async () => {
+      try {
+        transactionFindOneStub.resolves();
+        const results = await storage.model('Transaction').findTransactions({ transactionId: transaction._id.toString() });
+        results.should.deep.equal([]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should return an array containing the transaction associated to the id passed', async () => {
+      try {
+        transactionFindOneStub.resolves(transaction);
+        const results = await storage.model('Transaction').findTransactions({ transactionId: transaction._id.toString() });
+        results.should.deep.equal([transaction]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to invalid startDate passed', async () => {
+      try {
+        await storage.model('Transaction').findTransactions({ startDate: 'invalid' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('startDate paramter invalid');
+      }
+    });
+    it('should error due to invalid endDate passed', async () => {
+      try {
+        await storage.model('Transaction').findTransactions({ endDate: 'invalid' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('endDate paramter invalid');
+      }
+    });
+    it('should error due to startDate being after endDate', async () => {
+      try {
+        await storage.model('Transaction').findTransactions({ startDate: '2024-09-02', endDate: '2024-09-01' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('startDate must be before endDate');
+      }
+    });
+    it('should return an array of transactions in the date range provided', async () => {
+      try {
+        cursorStub.next.onCall(0).resolves(transaction);
+        cursorStub.next.onCall(1).resolves(transaction2);
+        cursorStub.next.onCall(2).resolves(transaction3);
+        cursorStub.next.onCall(3).resolves(null);
+
+        const results = await storage.model('Transaction').findTransactions({ startDate: '2024-09-01', endDate: '2024-09-03' });
+        transactionFindStub.callCount.should.equal(1);
+        results.should.deep.equal([transaction, transaction2, transaction3]);
       } catch (err) {
         should.not.exist(err);
       }
@@ -400,24 +944,175 @@ describe('Transaction', () => {
         should.not.exist(err);
       }
     });
+    it('should return the transactions of every card of a reissued account for the account number provided', async () => {
+      try {
+        const reissuedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: true, _user: user._id, _originalCard: debitCard._id });
+        sinon.stub(storage.model('DebitCard'), 'findOne').resolves(reissuedDebitCard);
+        sinon.stub(storage.model('DebitCard'), 'find').resolves([debitCard, reissuedDebitCard]);
+        cursorStub.next.onCall(0).resolves(transaction);
+        cursorStub.next.onCall(1).resolves(null);
+
+        const results = await storage.model('Transaction').findTransactions({ accountNumber: reissuedDebitCard.accountNumber });
+        transactionFindStub.firstCall.args[0]._debitCard.should.deep.equal({ $in: [debitCard._id, reissuedDebitCard._id] });
+        results.should.deep.equal([transaction]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
     it('should return an array of transactions associated to the user for the email provided', async () => {
       try {
         sinon.stub(storage.model('User'), 'findOne').resolves(user);
+        sinon.stub(storage.model('DebitCard'), 'findAccessible').resolves([debitCard]);
         cursorStub.next.onCall(0).resolves(transaction2);
         cursorStub.next.onCall(3).resolves(null);
 
         const results = await storage.model('Transaction').findTransactions({ email: user.email });
         transactionFindStub.callCount.should.equal(1);
+        transactionFindStub.firstCall.args[0].$or[0].should.deep.equal({ _debitCard: { $in: [debitCard._id] } });
         results.should.deep.equal([transaction2]);
       } catch (err) {
         should.not.exist(err);
       }
     });
+    it('should error due to an invalid payeeId provided', async () => {
+      try {
+        await storage.model('Transaction').findTransactions({ payeeId: 'invalid' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('payeeId parameter invalid');
+      }
+    });
+    it('should return the bill payments made to the payee provided', async () => {
+      try {
+        const payeeId = Helpers.getObjectIdFromDate('2024-09-01').toString();
+        cursorStub.next.onCall(0).resolves(transaction2);
+        cursorStub.next.onCall(1).resolves(null);
+
+        const results = await storage.model('Transaction').findTransactions({ payeeId });
+        transactionFindStub.firstCall.args[0]._payee.should.equal(payeeId);
+        results.should.deep.equal([transaction2]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('findTransactions scoped to a user', async () => {
+    let transactionFindOneStub;
+    let debitCardFindOneStub;
+    let cursorStub;
+    let transactionFindStub;
+    beforeEach(async () => {
+      transactionFindOneStub = sinon.stub(storage.model('Transaction'), 'findOne');
+      cursorStub = { next: sinon.stub(), close: sinon.stub().resolves() };
+      transactionFindStub = sinon.stub(storage.model('Transaction'), 'find').returns({ cursor: () => cursorStub });
+      sinon.stub(storage.model('DebitCard'), 'findAccessible').resolves([debitCard]);
+      debitCardFindOneStub = sinon.stub(storage.model('DebitCard'), 'findOne');
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to the transaction for the id belonging to another user', async () => {
+      try {
+        transactionFindOneStub.resolves(transaction2);
+        debitCardFindOneStub.resolves(debitCard2);
+        await storage.model('Transaction').findTransactions({ transactionId: transaction2._id.toString(), userId: user._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to access this transaction');
+      }
+    });
+    it('should return the transaction for the id belonging to the user', async () => {
+      try {
+        transactionFindOneStub.resolves(transaction);
+        debitCardFindOneStub.resolves(debitCard);
+        const results = await storage.model('Transaction').findTransactions({ transactionId: transaction._id.toString(), userId: user._id });
+        results.should.deep.equal([transaction]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the account number belonging to another user', async () => {
+      try {
+        debitCardFindOneStub.resolves(debitCard2);
+        await storage.model('Transaction').findTransactions({ accountNumber: debitCard2.accountNumber, userId: user._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to access transactions for this debit card');
+      }
+    });
+    it('should error due to the email belonging to another user', async () => {
+      try {
+        sinon.stub(storage.model('User'), 'findOne').resolves(user2);
+        await storage.model('Transaction').findTransactions({ email: user2.email, userId: user._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to access transactions for this user');
+      }
+    });
+    it('should only search the debit cards the user can access', async () => {
+      try {
+        cursorStub.next.onCall(0).resolves(transaction);
+        cursorStub.next.onCall(1).resolves(null);
+
+        const results = await storage.model('Transaction').findTransactions({ userId: user._id });
+        transactionFindStub.firstCall.args[0].$or.should.deep.equal([
+          { _debitCard: { $in: [debitCard._id] } },
+          { _debitCard: { $in: [] }, _initiatedBy: user._id }
+        ]);
+        results.should.deep.equal([transaction]);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should only return the transactions an authorized user initiated', async () => {
+      try {
+        const sharedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', _user: user2._id, holders: [{ _user: user._id, role: 'authorized' }] });
+        storage.model('DebitCard').findAccessible.resolves([sharedDebitCard]);
+        debitCardFindOneStub.resolves(sharedDebitCard);
+        cursorStub.next.onCall(0).resolves(null);
+
+        await storage.model('Transaction').findTransactions({ accountNumber: sharedDebitCard.accountNumber, userId: user._id });
+        transactionFindStub.firstCall.args[0]._initiatedBy.should.deep.equal(user._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to an authorized user accessing a transaction they did not initiate', async () => {
+      try {
+        const sharedDebitCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', _user: user2._id, holders: [{ _user: user._id, role: 'authorized' }] });
+        storage.model('DebitCard').findAccessible.resolves([sharedDebitCard]);
+        const sharedTransaction = new storage.model('Transaction')({ ...transaction2.toObject(), _debitCard: sharedDebitCard._id, _initiatedBy: user2._id });
+        transactionFindOneStub.resolves(sharedTransaction);
+        debitCardFindOneStub.resolves(sharedDebitCard);
+        await storage.model('Transaction').findTransactions({ transactionId: sharedTransaction._id.toString(), userId: user._id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to access this transaction');
+      }
+    });
   });
 
   describe('createRefundTransaction', async () => {
+    let findOneAndUpdateStub;
+    let clawbackStub;
+    let disputeExistsStub;
+
     beforeEach(async () => {
       sinon.stub(storage.model('DebitCard'), 'findOne').returns(debitCard);
+      disputeExistsStub = sinon.stub(storage.model('Dispute'), 'exists').resolves(null);
+      findOneAndUpdateStub = sinon.stub(storage.model('Transaction'), 'findOneAndUpdate').callsFake(async (filter, update) => ({ refundedAmount: update.$inc.refundedAmount }));
+      clawbackStub = sinon.stub(storage.model('Transaction'), 'createClawbackTransaction').resolves(null);
     });
     afterEach(async () => {
       sinon.restore();
@@ -452,13 +1147,85 @@ describe('Transaction', () => {
         result.subtype.should.equal('refund');
         result.amount.should.equal(Math.abs(tempTransaction.amount));
         result.description.should.equal(`Refund for ${tempTransaction._id.toString()}`);
+        result._originalTransaction.toString().should.equal(tempTransaction._id.toString());
+        findOneAndUpdateStub.firstCall.args[1].should.deep.equal({ $inc: { refundedAmount: 2000 } });
+        clawbackStub.firstCall.args[0].refundedAmount.should.equal(2000);
       } catch (err) {
         should.not.exist(err);
       }
     });
+    it('should successfully create a partial refund', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        tempTransaction.status = 'completed';
+        tempTransaction.refundedAmount = 500;
+        const result = await tempTransaction.createRefundTransaction({ amount: 7.5 });
+        result.amount.should.equal(750);
+        findOneAndUpdateStub.firstCall.args[1].should.deep.equal({ $inc: { refundedAmount: 750 } });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to a refund beyond the remaining refundable amount', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        tempTransaction.status = 'completed';
+        tempTransaction.refundedAmount = 500;
+        await tempTransaction.createRefundTransaction({ amount: 15.01 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Refund amount exceeds the remaining refundable amount of 15');
+        saveStub.callCount.should.equal(0);
+      }
+    });
+    it('should error due to a transaction already fully refunded', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        tempTransaction.status = 'completed';
+        tempTransaction.refundedAmount = 2000;
+        await tempTransaction.createRefundTransaction();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Transaction has already been fully refunded');
+      }
+    });
+    it('should error due to the transaction being disputed', async () => {
+      try {
+        disputeExistsStub.resolves({ _id: transaction2._id });
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        tempTransaction.status = 'completed';
+        await tempTransaction.createRefundTransaction();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Transaction cannot be refunded while it is disputed');
+        disputeExistsStub.firstCall.args[0].status.should.deep.equal({ $ne: 'lost' });
+      }
+    });
+    it('should error due to a refund made at the same time using up the refundable amount', async () => {
+      try {
+        findOneAndUpdateStub.resolves(null);
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        tempTransaction.status = 'completed';
+        await tempTransaction.createRefundTransaction({ amount: 10 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        saveStub.callCount.should.equal(0);
+        clawbackStub.callCount.should.equal(0);
+      }
+    });
   });
 
   describe('cancel', async () => {
+    let updateOneStub;
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+    });
     afterEach(async () => {
       sinon.restore();
     });
@@ -477,14 +1244,275 @@ describe('Transaction', () => {
       try {
         const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
         const result = await tempTransaction.cancel();
-        saveStub.callCount.should.equal(1);
+        updateOneStub.firstCall.args.should.deep.equal([{ _id: tempTransaction._id, status: 'pending' }, { $set: { status: 'canceled' } }]);
+        result.status.should.equal('canceled');
+        updateBalancesStub.firstCall.args[0].should.deep.equal({ debitCardId: debitCard2._id, currentBalance: 0, pendingBalance: 2000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the transaction being validated at the same time', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        await tempTransaction.cancel();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        updateBalancesStub.callCount.should.equal(0);
+      }
+    });
+    it('should cancel a scheduled transfer along with its receiving side', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')({ ...transaction2.toObject(), subtype: 'transfer', status: 'scheduled' });
+        const receiver = new storage.model('Transaction')({ ...transaction.toObject(), status: 'scheduled', _originalTransaction: tempTransaction._id });
+        const findStub = sinon.stub(storage.model('Transaction'), 'find').resolves([receiver]);
+        const result = await tempTransaction.cancel();
         result.status.should.equal('canceled');
+        findStub.firstCall.args[0].should.deep.equal({ _originalTransaction: tempTransaction._id, status: 'scheduled' });
+        updateOneStub.secondCall.args.should.deep.equal([{ _id: receiver._id, status: 'scheduled' }, { $set: { status: 'canceled' } }]);
+        updateBalancesStub.firstCall.args[0].should.deep.include({ currentBalance: 0, pendingBalance: 0 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should cancel a pending transfer along with its receiving side, releasing both from the pending balances', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')({ ...transaction2.toObject(), subtype: 'transfer' });
+        const receiver = new storage.model('Transaction')({ ...transaction.toObject(), status: 'pending', _originalTransaction: tempTransaction._id });
+        sinon.stub(storage.model('Transaction'), 'find').resolves([receiver]);
+        await tempTransaction.cancel();
+        updateOneStub.secondCall.args[0].should.deep.equal({ _id: receiver._id, status: 'pending' });
+        updateBalancesStub.firstCall.args[0].should.deep.equal({ debitCardId: debitCard2._id, currentBalance: 0, pendingBalance: 2000 });
+        updateBalancesStub.secondCall.args[0].should.deep.equal({ debitCardId: debitCard._id, currentBalance: 0, pendingBalance: -10000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to canceling the receiving side of a transfer', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')({ ...transaction.toObject(), status: 'pending', _originalTransaction: transaction2._id });
+        await tempTransaction.cancel();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('The receiving side of a transfer can only be canceled with its sending side');
+        updateOneStub.callCount.should.equal(0);
+      }
+    });
+  });
+
+  describe('capture', async () => {
+    let updateOneStub;
+    let authorization;
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+      authorization = new storage.model('Transaction')(transaction2.toObject());
+      authorization.status = 'authorized';
+      authorization.authorizedAmount = -2000;
+      authorization.authorizationExpiresAt = new Date(Date.now() + 60000);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to a transaction that is not authorized', async () => {
+      try {
+        await transaction2.capture(); // Pending
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only authorized transactions can be captured');
+      }
+    });
+    it('should error due to an expired authorization', async () => {
+      try {
+        authorization.authorizationExpiresAt = new Date(Date.now() - 60000);
+        await authorization.capture();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Authorization has expired');
+      }
+    });
+    it('should error due to a capture beyond the tolerance of the authorized amount', async () => {
+      try {
+        await authorization.capture({ amount: 24.01 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Capture amount exceeds the authorized amount by more than 20%');
+        updateOneStub.callCount.should.equal(0);
+      }
+    });
+    it('should capture less than the authorized amount and release the difference', async () => {
+      try {
+        const result = await authorization.capture({ amount: 15 });
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: authorization._id, status: 'authorized' });
+        result.status.should.equal('pending');
+        result.amount.should.equal(-1500);
+        result.authorizedAmount.should.equal(-2000);
+        updateBalancesStub.firstCall.args[0].should.deep.include({ currentBalance: 0, pendingBalance: 500 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should capture over the authorized amount within the tolerance', async () => {
+      try {
+        const result = await authorization.capture({ amount: 23.5 });
+        result.amount.should.equal(-2350);
+        updateBalancesStub.firstCall.args[0].should.deep.include({ pendingBalance: -350 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should capture an authorization in another currency at its rate', async () => {
+      try {
+        authorization.set({ originalAmount: -1846, originalCurrency: 'EUR', fxRate: 1.0832 });
+        const result = await authorization.capture({ amount: 20 });
+        result.amount.should.equal(-2166);
+        result.originalAmount.should.equal(-2000);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the authorization being released at the same time', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        await authorization.capture();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        updateBalancesStub.callCount.should.equal(0);
+        authorization.status.should.equal('authorized');
+      }
+    });
+  });
+
+  describe('voidAuthorization', async () => {
+    let updateOneStub;
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to a transaction that is not authorized', async () => {
+      try {
+        await transaction2.voidAuthorization(); // Pending
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only authorized transactions can be voided');
+      }
+    });
+    it('should void an authorization and release its hold', async () => {
+      try {
+        const authorization = new storage.model('Transaction')(transaction2.toObject());
+        authorization.status = 'authorized';
+        const result = await authorization.voidAuthorization();
+        result.status.should.equal('voided');
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { status: 'voided' } });
+        updateBalancesStub.firstCall.args[0].should.deep.include({ currentBalance: 0, pendingBalance: 2000 });
       } catch (err) {
         should.not.exist(err);
       }
     });
   });
 
+  describe('forceStatus', async () => {
+    let cashbackStub;
+    let updateOneStub;
+
+    beforeEach(async () => {
+      cashbackStub = sinon.stub(storage.model('Transaction'), 'createCashbackTransaction');
+      updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid status', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        await tempTransaction.forceStatus({ status: 'canceled', reason: 'stuck', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Status must be completed or failed');
+      }
+    });
+    it('should error due to a missing reason', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        await tempTransaction.forceStatus({ status: 'failed', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Reason required as a string');
+      }
+    });
+    it('should error due to the transaction not being pending', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        tempTransaction.status = 'completed';
+        await tempTransaction.forceStatus({ status: 'failed', reason: 'stuck', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Only pending transactions can have their status forced');
+      }
+    });
+    it('should fail the transaction and record the admin and reason', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')(transaction2.toObject());
+        const result = await tempTransaction.forceStatus({ status: 'failed', reason: 'Stuck at processor', performedBy: user.id });
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: tempTransaction._id, status: 'pending' });
+        updateOneStub.firstCall.args[1].$set.should.deep.equal({ status: 'failed' });
+        updateOneStub.firstCall.args[1].$push.auditLog.action.should.equal('forceStatus:failed');
+        result.status.should.equal('failed');
+        result.auditLog[0].performedBy.should.equal(user.id);
+        result.auditLog[0].action.should.equal('forceStatus:failed');
+        result.auditLog[0].reason.should.equal('Stuck at processor');
+        cashbackStub.callCount.should.equal(0);
+        postTransactionStub.callCount.should.equal(0);
+        updateBalancesStub.firstCall.args[0].should.deep.equal({ debitCardId: debitCard2._id, currentBalance: 0, pendingBalance: 2000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should create cashback when completing an eligible purchase', async () => {
+      try {
+        const tempTransaction = new storage.model('Transaction')({ ...transaction2.toObject(), vender: 'AMZN' });
+        await tempTransaction.forceStatus({ status: 'completed', reason: 'Settled', performedBy: user.id });
+        cashbackStub.callCount.should.equal(1);
+        postTransactionStub.firstCall.args[0].transaction.should.equal(tempTransaction);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the transaction being validated at the same time', async () => {
+      const tempTransaction = new storage.model('Transaction')({ ...transaction2.toObject(), vender: 'AMZN' });
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        await tempTransaction.forceStatus({ status: 'completed', reason: 'Settled', performedBy: user.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        tempTransaction.status.should.equal('pending');
+        updateBalancesStub.callCount.should.equal(0);
+        postTransactionStub.callCount.should.equal(0);
+        cashbackStub.callCount.should.equal(0);
+      }
+    });
+  });
+
   describe('_filter', async () => {
     afterEach(async () => {
       sinon.restore();
@@ -531,14 +1559,270 @@ describe('Transaction', () => {
   
         const mockTransactionsByCard = [{ _id: debitCard._id, transactions: [transaction.toObject(), transaction3.toObject()] }];
         aggregateStub.resolves(mockTransactionsByCard);
-        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub });
+        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub, getControlViolation: sinon.stub().resolves(null) });
         getBalancesStub.resolves({ currentBalance: 0 });
-        updateTransactionStub.resolves();
+        updateTransactionStub.resolves({ matchedCount: 1 });
     
         await storage.model('Transaction').validatePending();
         updateTransactionStub.callCount.should.equal(2);
         updateTransactionStub.firstCall.args[1].$set.status.should.equal('completed');
         updateTransactionStub.secondCall.args[1].$set.status.should.equal('completed');
+        postTransactionStub.callCount.should.equal(2);
+        postTransactionStub.firstCall.args[0].transaction.status.should.equal('completed');
+        updateBalancesStub.firstCall.args[0].should.deep.equal({ debitCardId: debitCard._id, currentBalance: 10000, pendingBalance: -10000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail a pending withdrawal that violates a spending control with its reason code', async () => {
+      try {
+        findTransactionsStub.returns({ countDocuments: sinon.stub().resolves(1) });
+        aggregateStub.resolves([{ _id: debitCard._id, transactions: [transaction3.toObject()] }]);
+        const getControlViolationStub = sinon.stub().resolves({ reason: 'daily_limit_exceeded', message: 'limit' });
+        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub, getControlViolation: getControlViolationStub });
+        getBalancesStub.resolves({ currentBalance: 100 });
+        updateTransactionStub.resolves({ matchedCount: 1 });
+
+        await storage.model('Transaction').validatePending();
+        getControlViolationStub.firstCall.args[0].amount.should.equal(transaction3.amount);
+        updateTransactionStub.firstCall.args[1].$set.should.deep.equal({ status: 'failed', failureReason: 'daily_limit_exceeded' });
+        postTransactionStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail a pending withdrawal that would take the balance below the max negative balance', async () => {
+      try {
+        findTransactionsStub.returns({ countDocuments: sinon.stub().resolves(1) });
+        aggregateStub.resolves([{ _id: debitCard._id, transactions: [transaction3.toObject()] }]);
+        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub, getControlViolation: sinon.stub().resolves(null) });
+        getBalancesStub.resolves({ currentBalance: -9500 });
+        updateTransactionStub.resolves({ matchedCount: 1 });
+
+        await storage.model('Transaction').validatePending();
+        updateTransactionStub.firstCall.args[1].$set.should.deep.equal({ status: 'failed', failureReason: 'insufficient_funds' });
+        postTransactionStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail the receiving side of a transfer along with its sending side', async () => {
+      try {
+        const sender = { ...transaction3.toObject(), subtype: 'transfer' };
+        const receiver = new storage.model('Transaction')({ ...transaction.toObject(), status: 'pending', _debitCard: debitCard2._id, _originalTransaction: sender._id });
+        findTransactionsStub.onFirstCall().returns({ countDocuments: sinon.stub().resolves(1) });
+        findTransactionsStub.onSecondCall().resolves([receiver]);
+        aggregateStub.resolves([{ _id: debitCard._id, transactions: [sender] }, { _id: debitCard2._id, transactions: [receiver.toObject()] }]);
+        const getControlViolationStub = sinon.stub().resolves({ reason: 'daily_limit_exceeded', message: 'limit' });
+        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub, getControlViolation: getControlViolationStub });
+        getBalancesStub.resolves({ currentBalance: 10000 });
+        updateTransactionStub.resolves({ matchedCount: 1 });
+
+        await storage.model('Transaction').validatePending();
+        findTransactionsStub.secondCall.args[0].should.deep.equal({ _originalTransaction: sender._id, status: 'pending' });
+        updateTransactionStub.callCount.should.equal(2);
+        updateTransactionStub.secondCall.args.should.deep.equal([
+          { _id: receiver._id, status: 'pending' },
+          { $set: { status: 'failed', failureReason: 'daily_limit_exceeded' } }
+        ]);
+        updateBalancesStub.secondCall.args[0].should.deep.equal({ debitCardId: debitCard2._id, currentBalance: 0, pendingBalance: -10000 });
+        getControlViolationStub.callCount.should.equal(1);
+        postTransactionStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should complete the receiving side of a transfer along with its sending side', async () => {
+      try {
+        const sender = { ...transaction3.toObject(), subtype: 'transfer' };
+        const receiver = new storage.model('Transaction')({ ...transaction.toObject(), status: 'pending', _debitCard: debitCard2._id, _originalTransaction: sender._id });
+        findTransactionsStub.onFirstCall().returns({ countDocuments: sinon.stub().resolves(1) });
+        findTransactionsStub.onSecondCall().resolves([receiver]);
+        aggregateStub.resolves([{ _id: debitCard._id, transactions: [sender] }]);
+        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub, getControlViolation: sinon.stub().resolves(null) });
+        getBalancesStub.resolves({ currentBalance: 10000 });
+        updateTransactionStub.resolves({ matchedCount: 1 });
+
+        await storage.model('Transaction').validatePending();
+        updateTransactionStub.secondCall.args[1].should.deep.equal({ $set: { status: 'completed' } });
+        updateBalancesStub.secondCall.args[0].should.deep.equal({ debitCardId: debitCard2._id, currentBalance: 10000, pendingBalance: -10000 });
+        postTransactionStub.callCount.should.equal(2);
+        postTransactionStub.firstCall.args[0].transaction.should.equal(receiver);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should leave a transaction canceled or forced at the same time as it is', async () => {
+      try {
+        findTransactionsStub.returns({ countDocuments: sinon.stub().resolves(1) });
+        aggregateStub.resolves([{ _id: debitCard._id, transactions: [{ ...transaction3.toObject(), vender: 'AMZN' }] }]);
+        findDebitStub.resolves({ _id: debitCard._id, getBalances: getBalancesStub, getControlViolation: sinon.stub().resolves(null) });
+        getBalancesStub.resolves({ currentBalance: 10000 });
+        updateTransactionStub.resolves({ matchedCount: 0 });
+        const cashbackStub = sinon.stub(storage.model('Transaction'), 'createCashbackTransaction');
+
+        await storage.model('Transaction').validatePending();
+        updateTransactionStub.firstCall.args[0].should.deep.equal({ _id: transaction3._id, status: 'pending' });
+        updateBalancesStub.callCount.should.equal(0);
+        postTransactionStub.callCount.should.equal(0);
+        cashbackStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should skip pending transactions of a closed debit card', async () => {
+      try {
+        findTransactionsStub.returns({ countDocuments: sinon.stub().resolves(1) });
+        aggregateStub.resolves([{ _id: debitCard._id, transactions: [transaction.toObject()] }]);
+        findDebitStub.resolves({ _id: debitCard._id, closedAt: new Date(), getBalances: getBalancesStub });
+
+        await storage.model('Transaction').validatePending();
+        getBalancesStub.callCount.should.equal(0);
+        updateTransactionStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('purchase made before a reissue', async () => {
+    const replacementCard = new storage.model('DebitCard')({ accountNumber: '444444444', lastFourDigits: '4444', active: true, _user: user._id });
+    const reissuedCard = new storage.model('DebitCard')({ accountNumber: '555555555', lastFourDigits: '5555', active: false, _user: user._id, _replacedBy: replacementCard._id });
+    replacementCard._originalCard = reissuedCard._id;
+    const purchase = new storage.model('Transaction')({
+      date: new Date('2024-09-02'), type: 'withdrawal', subtype: 'purchase', amount: -2000, vender: 'AMZN', _debitCard: reissuedCard._id, _user: user._id
+    });
+
+    beforeEach(async () => {
+      sinon.stub(storage.model('DebitCard'), 'findOne').callsFake(async (query) => (query._originalCard ? replacementCard : reissuedCard));
+      sinon.stub(storage.model('VirtualCard'), 'recordCompletedPurchase').resolves();
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should validate the purchase and pay its cashback on the replacement card', async () => {
+      try {
+        sinon.stub(storage.model('Transaction'), 'find').returns({ countDocuments: sinon.stub().resolves(1) });
+        sinon.stub(storage.model('Transaction'), 'aggregate').resolves([{ _id: reissuedCard._id, transactions: [purchase.toObject()] }]);
+        sinon.stub(reissuedCard, 'getBalances').resolves({ currentBalance: 10000 });
+        sinon.stub(reissuedCard, 'getControlViolation').resolves(null);
+        const updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+
+        await storage.model('Transaction').validatePending();
+        updateOneStub.firstCall.args[1].$set.status.should.equal('completed');
+        saveStub.callCount.should.equal(1);
+        const cashbackTransaction = postTransactionStub.secondCall.args[0].transaction;
+        cashbackTransaction.subtype.should.equal('cashback');
+        cashbackTransaction._debitCard.should.deep.equal(replacementCard._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should refund the purchase to the replacement card', async () => {
+      try {
+        sinon.stub(storage.model('Dispute'), 'exists').resolves(null);
+        sinon.stub(storage.model('Transaction'), 'findOneAndUpdate').resolves({ refundedAmount: 2000 });
+        sinon.stub(storage.model('Transaction'), 'createClawbackTransaction').resolves(null);
+        const completedPurchase = new storage.model('Transaction')({ ...purchase.toObject(), status: 'completed' });
+
+        const refundTransaction = await completedPurchase.createRefundTransaction();
+        refundTransaction.amount.should.equal(2000);
+        refundTransaction._debitCard.should.deep.equal(replacementCard._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('promoteScheduled', async () => {
+    let findStub;
+    let updateOneStub;
+    let balanceStub;
+    const getScheduled = (params = {}) => new storage.model('Transaction')({ ...transaction3.toObject(), subtype: 'transfer', status: 'scheduled', ...params });
+
+    beforeEach(async () => {
+      findStub = sinon.stub(storage.model('Transaction'), 'find');
+      updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+      sinon.stub(storage.model('DebitCard'), 'findOne').resolves(debitCard);
+      balanceStub = sinon.stub(storage.model('DebitCard').prototype, 'getBalances').resolves({ finalBalance: 5000 });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should make a scheduled transfer pending along with its receiving side', async () => {
+      try {
+        const scheduled = getScheduled();
+        const receiver = new storage.model('Transaction')({ ...transaction.toObject(), status: 'scheduled', _originalTransaction: scheduled._id });
+        findStub.onFirstCall().returns({ sort: sinon.stub().resolves([scheduled]) });
+        findStub.onSecondCall().resolves([receiver]);
+        await storage.model('Transaction').promoteScheduled();
+        findStub.firstCall.args[0].status.should.equal('scheduled');
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: scheduled._id, status: 'scheduled' });
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { status: 'pending' } });
+        updateOneStub.secondCall.args[0]._id.should.deep.equal(receiver._id);
+        updateBalancesStub.firstCall.args[0].should.deep.include({ pendingBalance: -1000 });
+        updateBalancesStub.secondCall.args[0].should.deep.include({ pendingBalance: 10000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should fail a scheduled transfer the funds no longer cover', async () => {
+      try {
+        balanceStub.resolves({ finalBalance: 500 });
+        findStub.onFirstCall().returns({ sort: sinon.stub().resolves([getScheduled()]) });
+        findStub.onSecondCall().resolves([]);
+        await storage.model('Transaction').promoteScheduled();
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { status: 'failed', failureReason: 'insufficient_funds' } });
+        updateBalancesStub.firstCall.args[0].should.deep.include({ currentBalance: 0, pendingBalance: 0 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not promote a transaction canceled at the same time', async () => {
+      try {
+        updateOneStub.resolves({ matchedCount: 0 });
+        findStub.onFirstCall().returns({ sort: sinon.stub().resolves([getScheduled()]) });
+        await storage.model('Transaction').promoteScheduled();
+        findStub.callCount.should.equal(1);
+        updateBalancesStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('expireAuthorizations', async () => {
+    let findStub;
+    let updateOneStub;
+
+    beforeEach(async () => {
+      findStub = sinon.stub(storage.model('Transaction'), 'find');
+      updateOneStub = sinon.stub(storage.model('Transaction'), 'updateOne').resolves({ matchedCount: 1 });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should expire the authorizations that were not captured in time', async () => {
+      try {
+        const authorization = new storage.model('Transaction')({ ...transaction2.toObject(), status: 'authorized' });
+        findStub.resolves([authorization]);
+        await storage.model('Transaction').expireAuthorizations();
+        findStub.firstCall.args[0].status.should.equal('authorized');
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { status: 'expired' } });
+        updateBalancesStub.firstCall.args[0].should.deep.include({ pendingBalance: 2000 });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not release an authorization captured before it expired', async () => {
+      try {
+        findStub.resolves([new storage.model('Transaction')({ ...transaction2.toObject(), status: 'authorized' })]);
+        updateOneStub.resolves({ matchedCount: 0 });
+        await storage.model('Transaction').expireAuthorizations();
+        updateBalancesStub.callCount.should.equal(0);
       } catch (err) {
         should.not.exist(err);
       }
@@ -546,12 +1830,15 @@ describe('Transaction', () => {
   });
 
   describe('addBalanceInterest', async () => {
-    let aggregateStub;
-    let insertManyStub;
-  
+    let findStub;
+    const getAccount = (params) => new storage.model('DebitCard')({ lastFourDigits: '1234', accountType: 'checking', _user: user._id, ...params });
+
+    // Debit card cursors are read with for await
+    const getCursor = (documents) => (async function* () { yield* documents; })();
+
     beforeEach(async () => {
-      aggregateStub = sinon.stub(storage.model('Transaction'), 'aggregate');
-      insertManyStub = sinon.stub(storage.model('Transaction'), 'insertMany');
+      findStub = sinon.stub(storage.model('DebitCard'), 'find');
+      sinon.stub(storage.model('Product'), 'getInterestRates').resolves({ checking: 0.01, savings: 0.02 });
     });
     afterEach(async () => {
       sinon.restore();
@@ -559,50 +1846,70 @@ describe('Transaction', () => {
 
     it('shouldnt create any interest transactions due to no balances over 0 being found', async () => {
       try {
-        const mockTransactionStream = {
-          on: (event, callback) => {
-            if (event === 'end') { callback(); }
-            return mockTransactionStream;
-          }
-        };
-    
-        aggregateStub.returns({ cursor: () => mockTransactionStream });
+        findStub.returns({ cursor: () => getCursor([]) });
         await storage.model('Transaction').addBalanceInterest();
-        insertManyStub.callCount.should.equal(0);
+        findStub.firstCall.args[0].should.deep.equal({ _originalCard: { $exists: false }, closedAt: { $exists: false }, currentBalance: { $gt: 0 } });
+        saveStub.callCount.should.equal(0);
       } catch (err) {
         should.not.exist(err);
       }
     });
-    it('should create an interest transaction for each positive debit card balance found', async () => {
+    it('should create an interest transaction on the balance of each account at the rate of its product', async () => {
       try {
-        const mockTransactionStream = {
-          on: (event, callback) => {
-            if (event === 'data') {
-              callback({ _id: user._id, _debitCard: debitCard._id, totalBalance: 50 });
-              callback({ _id: user2._id, _debitCard: debitCard2._id, totalBalance: 100 });
-            }
-            if (event === 'end') { callback(); }
-            return mockTransactionStream;
-          }
-        };
-    
-        aggregateStub.returns({ cursor: () => mockTransactionStream });
+        const checkingAccount = getAccount({ accountNumber: '123456789', currentBalance: 5000 });
+        const savingsAccount = getAccount({ accountNumber: '555555555', accountType: 'savings', currentBalance: 20000, _user: user2._id });
+        findStub.returns({ cursor: () => getCursor([checkingAccount, savingsAccount]) });
         await storage.model('Transaction').addBalanceInterest();
-        insertManyStub.callCount.should.equal(1);
-        insertManyStub.args[0][0].length.should.equal(2);
-
-        const interest1 = insertManyStub.args[0][0][0];
-        interest1.amount.should.equal(0.5);
-        interest1._debitCard.should.deep.equal(debitCard._id);
-        interest1._user.should.deep.equal(user._id);
-
-        const interest2 = insertManyStub.args[0][0][1];
-        interest2.amount.should.equal(1);
-        interest2._debitCard.should.deep.equal(debitCard2._id);
-        interest2._user.should.deep.equal(user2._id);
+        // Each account is paid in its own unit of work
+        unitOfWorkStub.callCount.should.equal(2);
+        const [checkingInterest, savingsInterest] = saveStub.thisValues;
+        checkingInterest._debitCard.should.deep.equal(checkingAccount._id);
+        checkingInterest._user.should.deep.equal(user._id);
+        checkingInterest.amount.should.equal(50);
+        savingsInterest._debitCard.should.deep.equal(savingsAccount._id);
+        savingsInterest._user.should.deep.equal(user2._id);
+        savingsInterest.amount.should.equal(400);
+        updateBalancesStub.firstCall.args[0].should.deep.equal({ debitCardId: checkingAccount._id, currentBalance: 50, pendingBalance: 0 });
       } catch (err) {
         should.not.exist(err);
       }
     });
+    it('should pay the interest of a reissued account to its current card', async () => {
+      try {
+        const replacementCard = getAccount({ accountNumber: '444444444', active: true });
+        const account = getAccount({ accountNumber: '123456789', currentBalance: 5000, active: false, _replacedBy: replacementCard._id });
+        replacementCard._originalCard = account._id;
+        sinon.stub(storage.model('DebitCard'), 'findOne').resolves(replacementCard);
+        findStub.returns({ cursor: () => getCursor([account]) });
+        await storage.model('Transaction').addBalanceInterest();
+        saveStub.firstCall.thisValue._debitCard.should.deep.equal(replacementCard._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not pay interest that rounds to less than a cent', async () => {
+      try {
+        findStub.returns({ cursor: () => getCursor([getAccount({ accountNumber: '123456789', currentBalance: 40 })]) });
+        await storage.model('Transaction').addBalanceInterest();
+        saveStub.callCount.should.equal(0);
+        unitOfWorkStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should pay the other accounts and error to the caller due to the interest of one failing to be posted', async () => {
+      try {
+        const accounts = [getAccount({ accountNumber: '123456789', currentBalance: 5000 }), getAccount({ accountNumber: '555555555', currentBalance: 20000 })];
+        findStub.returns({ cursor: () => getCursor(accounts) });
+        postTransactionStub.onFirstCall().rejects(new Error('Write conflict'));
+        await storage.model('Transaction').addBalanceInterest();
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Error adding balance interest');
+        postTransactionStub.callCount.should.equal(2);
+        saveStub.secondCall.thisValue.amount.should.equal(200);
+      }
+    });
   });
 });
@@ -212,4 +212,75 @@ describe('User', () => {
       }
     });
   });
+
+  describe('searchUsers', async () => {
+    let findStub;
+    let limitStub;
+
+    beforeEach(async () => {
+      limitStub = sinon.stub().resolves([user]);
+      findStub = sinon.stub(storage.model('User'), 'find').returns({ limit: limitStub });
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to missing search text', async () => {
+      try {
+        await storage.model('User').searchUsers({ search: ' ' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Search text is required as a string');
+      }
+    });
+    it('should error due to an invalid limit', async () => {
+      try {
+        await storage.model('User').searchUsers({ search: 'test', limit: 500 });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Limit must be an integer between 1 and 100');
+      }
+    });
+    it('should search email and names matching the text literally', async () => {
+      try {
+        const results = await storage.model('User').searchUsers({ search: 'test.user+1', limit: '10' });
+        results.should.deep.equal([user]);
+        const pattern = findStub.firstCall.args[0].$or[0].email;
+        pattern.test('TEST.USER+1@gmail.com').should.equal(true);
+        pattern.test('testXuser1@gmail.com').should.equal(false);
+        limitStub.firstCall.args[0].should.equal(10);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('setRole', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid role', async () => {
+      try {
+        await user.setRole({ role: 'invalid', performedBy: 'script:test' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Role must be one of: user, admin');
+      }
+    });
+    it('should set the role and record who changed it', async () => {
+      try {
+        const tempUser = new storage.model('User')(user.toObject());
+        tempUser.isAdmin().should.equal(false);
+        await tempUser.setRole({ role: 'admin', performedBy: 'script:test' });
+        tempUser.isAdmin().should.equal(true);
+        auditSaveStub.firstCall.args[0].should.deep.equal({ performedBy: 'script:test', action: 'setRole:admin' });
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
 });
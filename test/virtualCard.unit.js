@@ -0,0 +1,236 @@
+import sinon from 'sinon';
+import * as chai from 'chai';
+import storage from '../lib/storage/index.js';
+
+const should = chai.should();
+
+describe('VirtualCard', () => {
+  const user = new storage.model('User')({ firstName: 'Test', lastName: 'User', email: 'test@gmail.com' });
+  const user2 = new storage.model('User')({ firstName: 'Test2', lastName: 'User2', email: 'test2@gmail.com' });
+  const debitCard = new storage.model('DebitCard')({ accountNumber: '123456789', lastFourDigits: '1234', active: true, _user: user._id });
+
+  let auditSaveStub;
+  beforeEach(async () => {
+    auditSaveStub = sinon.stub(storage.model('VirtualCard').prototype, 'auditSave');
+  });
+
+  describe('create', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to an invalid type', async () => {
+      try {
+        await storage.model('VirtualCard').create({ debitCard, type: 'reusable' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Virtual card type must be one of: single-use, merchant-locked');
+      }
+    });
+    it('should error due to a merchant-locked card without a vender', async () => {
+      try {
+        await storage.model('VirtualCard').create({ debitCard, type: 'merchant-locked' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('lockedVender required as a string for merchant-locked virtual cards');
+      }
+    });
+    it('should error due to the user not holding the funding debit card', async () => {
+      try {
+        await storage.model('VirtualCard').create({ debitCard, type: 'single-use', userId: user2._id, performedBy: user2.id });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(403);
+        err.message.should.equal('Not authorized to create virtual cards for this debit card');
+      }
+    });
+    it('should create a virtual card with its own account number', async () => {
+      try {
+        const virtualCard = await storage.model('VirtualCard').create({ debitCard, type: 'merchant-locked', lockedVender: 'AMZN', userId: user._id, performedBy: user.id });
+        auditSaveStub.callCount.should.equal(1);
+        virtualCard.accountNumber.should.not.equal(debitCard.accountNumber);
+        virtualCard.lastFourDigits.should.equal(virtualCard.accountNumber.slice(-4));
+        virtualCard._debitCard.should.deep.equal(debitCard._id);
+        virtualCard._user.should.deep.equal(user._id);
+        virtualCard.active.should.equal(true);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('validatePurchase', async () => {
+    let countStub;
+
+    beforeEach(async () => {
+      countStub = sinon.stub(storage.model('Transaction'), 'countDocuments').resolves(0);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should error due to the virtual card being revoked', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', active: false, _debitCard: debitCard._id, _user: user._id });
+        await virtualCard.validatePurchase({ subtype: 'purchase', vender: 'AMZN' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Virtual card is inactive');
+      }
+    });
+    it('should error due to a transaction other than a purchase', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', _debitCard: debitCard._id, _user: user._id });
+        await virtualCard.validatePurchase({ subtype: 'credit', vender: 'AMZN' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Virtual cards can only be used for purchases');
+      }
+    });
+    it('should error due to a single-use card with a purchase already pending', async () => {
+      try {
+        countStub.resolves(1);
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', _debitCard: debitCard._id, _user: user._id });
+        await virtualCard.validatePurchase({ subtype: 'purchase', vender: 'AMZN' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.message.should.equal('Single-use virtual card already has a purchase pending');
+        countStub.firstCall.args[0].status.should.deep.equal({ $in: ['scheduled', 'authorized', 'pending'] });
+      }
+    });
+    it('should allow a merchant-locked card at its vender regardless of case', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'merchant-locked', lockedVender: 'AMZN', _debitCard: debitCard._id, _user: user._id });
+        await virtualCard.validatePurchase({ subtype: 'purchase', vender: 'amzn' });
+        countStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('claimPurchase', async () => {
+    const purchase = new storage.model('Transaction')({ date: new Date(), type: 'withdrawal', subtype: 'purchase', amount: -2000, vender: 'AMZN', _debitCard: debitCard._id, _user: user._id });
+    const getVirtualCard = () => new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', _debitCard: debitCard._id, _user: user._id });
+    let updateOneStub;
+    let findOneStub;
+    let existsStub;
+
+    beforeEach(async () => {
+      updateOneStub = sinon.stub(storage.model('VirtualCard'), 'updateOne').resolves({ matchedCount: 1 });
+      findOneStub = sinon.stub(storage.model('VirtualCard'), 'findOne');
+      existsStub = sinon.stub(storage.model('Transaction'), 'exists').resolves(null);
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should claim an unclaimed single-use card for the purchase', async () => {
+      try {
+        const virtualCard = getVirtualCard();
+        await virtualCard.claimPurchase({ transaction: purchase });
+        updateOneStub.firstCall.args[0].should.deep.equal({ _id: virtualCard._id, active: true, _pendingTransaction: null });
+        updateOneStub.firstCall.args[1].should.deep.equal({ $set: { _pendingTransaction: purchase._id } });
+        virtualCard._pendingTransaction.should.deep.equal(purchase._id);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should error due to the card being claimed by a purchase made at the same time', async () => {
+      try {
+        const otherPurchaseId = user._id;
+        updateOneStub.resolves({ matchedCount: 0 });
+        findOneStub.resolves({ _pendingTransaction: otherPurchaseId });
+        existsStub.resolves({ _id: otherPurchaseId });
+        await getVirtualCard().claimPurchase({ transaction: purchase });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        should.exist(err);
+        err.code.should.equal(409);
+        err.message.should.equal('Single-use virtual card already has a purchase pending');
+        updateOneStub.callCount.should.equal(1);
+      }
+    });
+    it('should take over a claim of a purchase that has since failed', async () => {
+      try {
+        const failedPurchaseId = user._id;
+        updateOneStub.onFirstCall().resolves({ matchedCount: 0 });
+        findOneStub.resolves({ _pendingTransaction: failedPurchaseId });
+        await getVirtualCard().claimPurchase({ transaction: purchase });
+        existsStub.firstCall.args[0].status.should.deep.equal({ $in: ['scheduled', 'authorized', 'pending', 'completed'] });
+        updateOneStub.secondCall.args[0]._pendingTransaction.should.deep.equal(failedPurchaseId);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should not claim a merchant-locked card', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'merchant-locked', lockedVender: 'AMZN', _debitCard: debitCard._id, _user: user._id });
+        await virtualCard.claimPurchase({ transaction: purchase });
+        updateOneStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('recordCompletedPurchase', async () => {
+    let updateStub;
+
+    beforeEach(async () => {
+      updateStub = sinon.stub(storage.model('VirtualCard'), 'updateOne').resolves();
+    });
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should ignore a transaction without a virtual card', async () => {
+      try {
+        const transaction = new storage.model('Transaction')({ type: 'withdrawal', subtype: 'purchase', status: 'completed', amount: -10, vender: 'AMZN', _debitCard: debitCard._id, _user: user._id });
+        await storage.model('VirtualCard').recordCompletedPurchase({ transaction });
+        updateStub.callCount.should.equal(0);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+    it('should deactivate the single-use virtual card of a completed purchase', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', _debitCard: debitCard._id, _user: user._id });
+        const transaction = new storage.model('Transaction')({ type: 'withdrawal', subtype: 'purchase', status: 'completed', amount: -10, vender: 'AMZN', _debitCard: debitCard._id, _user: user._id, _virtualCard: virtualCard._id });
+        await storage.model('VirtualCard').recordCompletedPurchase({ transaction });
+        const [query, update] = updateStub.firstCall.args;
+        query.should.deep.equal({ _id: virtualCard._id, type: 'single-use', active: true });
+        update.$set.active.should.equal(false);
+        should.exist(update.$set.usedAt);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+
+  describe('revoke', async () => {
+    afterEach(async () => {
+      sinon.restore();
+    });
+
+    it('should deactivate the virtual card once without changing the funding debit card', async () => {
+      try {
+        const virtualCard = new storage.model('VirtualCard')({ accountNumber: '555555555', lastFourDigits: '5555', type: 'single-use', _debitCard: debitCard._id, _user: user._id });
+        await virtualCard.revoke({ performedBy: user.id });
+        await virtualCard.revoke({ performedBy: user.id });
+        virtualCard.active.should.equal(false);
+        should.exist(virtualCard.revokedAt);
+        auditSaveStub.callCount.should.equal(1);
+        debitCard.active.should.equal(true);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+  });
+});